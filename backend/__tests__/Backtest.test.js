@@ -0,0 +1,107 @@
+const Backtest = require('../models/Backtest');
+const VesselFinancialModel = require('../models/VesselFinancialModel');
+
+describe('Backtest', () => {
+  const validParameters = {
+    vesselType: 'Supramax Bulk Carrier',
+    age: 8,
+    price: 21000000,
+    dwt: 58000,
+    currency: 'USD',
+    downPaymentPercent: 35,
+    loanTermYears: 6,
+    interestRatePercent: 6.25,
+    dailyCharterRate: 14000,
+    opexPerDay: 5200,
+    utilizationPercent: 92,
+    scrapValue: 3100000,
+    analysisHorizonYears: 10
+  };
+
+  // 2005-2024: a boom, a long slump and a recovery
+  const rates = [21000, 33000, 52000, 38000, 17000, 19500, 13000, 9000, 9800, 10200,
+    7200, 6900, 9400, 11800, 10600, 10100, 24500, 21800, 12900, 14600];
+  const series = rates.map((rate, i) => ({ year: 2005 + i, rate }));
+
+  test('should replay the index from each start year with enough history', () => {
+    const backtest = new Backtest(validParameters, series).run();
+
+    // Default 5 years of history: 2005 to 2020
+    expect(backtest.vintages.map(vintage => vintage.startYear)).toEqual(
+      Array.from({ length: 16 }, (_, i) => 2005 + i));
+    expect(backtest.vintages[0].historicalYears).toBe(10);
+    expect(backtest.vintages[15].historicalYears).toBe(5);
+    expect(backtest.indexYears).toEqual({ from: 2005, to: 2024 });
+  });
+
+  test('should match the model run on the index rates from the start year', () => {
+    const backtest = new Backtest(validParameters, series).run();
+    const vintage2012 = backtest.vintages.find(vintage => vintage.startYear === 2012);
+    const expected = new VesselFinancialModel({
+      ...validParameters,
+      charterRateSchedule: rates.slice(7, 17),
+      charterEscalationPercent: 0
+    }).calculateFinancialMetrics();
+
+    expect(vintage2012.npv).toBeCloseTo(expected.npv, 6);
+    expect(vintage2012.irr).toBeCloseTo(expected.irr, 10);
+  });
+
+  test('should replace a fixed-period charter with the index rates', () => {
+    const chartered = { ...validParameters, fixedCharterYears: 3, fixedCharterRate: 30000, spotCharterRate: 15000 };
+    const withCharter = new Backtest(chartered, series).run();
+    const indexOnly = new Backtest(validParameters, series).run();
+
+    withCharter.vintages.forEach((vintage, i) => expect(vintage.npv).toBeCloseTo(indexOnly.vintages[i].npv, 6));
+  });
+
+  test('should price carbon in the vintage calendar years', () => {
+    const fuelled = { ...validParameters, fuelConsumptionTonnesPerDay: 25, fuelPricePerTonne: 600, carbonPricePerTonne: 90 };
+    const vintage2012 = new Backtest(fuelled, series).run().vintages.find(vintage => vintage.startYear === 2012);
+    const modelFrom = (startYear) => new VesselFinancialModel({
+      ...fuelled,
+      startYear,
+      charterRateSchedule: rates.slice(7, 17),
+      charterEscalationPercent: 0
+    }).calculateFinancialMetrics();
+
+    // 2012-2021 predates the EU ETS, so no allowances are bought
+    expect(vintage2012.npv).toBeCloseTo(modelFrom(2012).npv, 6);
+    expect(modelFrom(2012).npv).toBeGreaterThan(modelFrom(2024).npv);
+  });
+
+  test('should report the IRR distribution and the worst vintage', () => {
+    const backtest = new Backtest(validParameters, series).run();
+    const meaningful = backtest.vintages.filter(vintage => vintage.irr !== null);
+
+    expect(backtest.irr.notMeaningfulCount).toBe(backtest.vintages.length - meaningful.length);
+    expect(backtest.irr.p10).toBeLessThanOrEqual(backtest.irr.p50);
+    expect(backtest.irr.p50).toBeLessThanOrEqual(backtest.irr.p90);
+
+    expect(backtest.worstVintage.npv).toBeLessThan(backtest.bestVintage.npv);
+    backtest.vintages.forEach(vintage => {
+      if (backtest.worstVintage.irr !== null && vintage.irr !== null) {
+        expect(vintage.irr).toBeGreaterThanOrEqual(backtest.worstVintage.irr);
+      }
+    });
+  });
+
+  test('should limit start years to the lookback window', () => {
+    const backtest = new Backtest(validParameters, series).run({ lookbackYears: 8, minHistoryYears: 3 });
+
+    expect(backtest.vintages.map(vintage => vintage.startYear)).toEqual([2017, 2018, 2019, 2020, 2021, 2022]);
+  });
+
+  test('should rescale the index to the current charter rate when asked', () => {
+    const backtest = new Backtest(validParameters, series).run({ scaleToCurrentRate: true });
+
+    expect(backtest.scale).toBeCloseTo(14000 / 14600, 10);
+    expect(backtest.vintages[0].averageRate).toBeLessThan(
+      new Backtest(validParameters, series).run().vintages[0].averageRate);
+  });
+
+  test('should reject an index too short for the minimum history', () => {
+    expect(() => new Backtest(validParameters, series.slice(0, 3)).run())
+      .toThrow('at least 5 years of rates');
+  });
+});
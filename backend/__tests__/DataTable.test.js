@@ -0,0 +1,116 @@
+const DataTable = require('../models/DataTable');
+const VesselFinancialModel = require('../models/VesselFinancialModel');
+const { validParameters } = require('./fixtures/validParameters');
+
+describe('DataTable', () => {
+  const charterByPrice = {
+    metric: 'equityIrr',
+    rowAxis: { variable: 'dailyCharterRate', min: 14000, max: 22000, points: 5 },
+    columnAxis: { variable: 'price', values: [20000000, 25000000, 30000000] },
+    hurdle: 12
+  };
+
+  test('should build a grid over both axes', async () => {
+    const table = await new DataTable(validParameters).build(charterByPrice);
+
+    expect(table.rowAxis.values).toEqual([14000, 16000, 18000, 20000, 22000]);
+    expect(table.columnAxis.values).toEqual([20000000, 25000000, 30000000]);
+    expect(table.cells).toHaveLength(5);
+    table.cells.forEach(row => expect(row).toHaveLength(3));
+  });
+
+  test('should run the model for each cell', async () => {
+    const table = await new DataTable(validParameters).build(charterByPrice);
+    const base = new VesselFinancialModel(validParameters).calculateFinancialMetrics();
+
+    // Row 18000 and column 25m is the base case; IRR cells are in percent
+    expect(table.cells[2][1].value).toBeCloseTo(base.equityIrr * 100, 8);
+    expect(table.cells[4][0].value).toBeGreaterThan(table.cells[0][0].value);
+    expect(table.cells[0][0].value).toBeGreaterThan(table.cells[0][2].value);
+  });
+
+  test('should flag cells against the hurdle', async () => {
+    const table = await new DataTable(validParameters).build(charterByPrice);
+
+    expect(table.hurdle).toBe(12);
+    table.cells.flat().forEach(cell => {
+      expect(cell.meetsHurdle).toBe(cell.value >= 12);
+    });
+    expect((await new DataTable(validParameters).build({ ...charterByPrice, hurdle: null })).cells[0][0].meetsHurdle)
+      .toBeNull();
+  });
+
+  test('should tabulate DSCR across interest rate and utilization', async () => {
+    const table = await new DataTable(validParameters).build({
+      metric: 'minimumDscr',
+      rowAxis: { variable: 'interestRatePercent', min: 4, max: 9, points: 6 },
+      columnAxis: { variable: 'utilizationPercent', min: 70, max: 100, points: 4 },
+      hurdle: 1.25
+    });
+
+    expect(table.percent).toBe(false);
+    expect(table.cells[0][3].value).toBeGreaterThan(table.cells[5][3].value);
+    expect(table.cells[5][0].meetsHurdle).toBe(false);
+    expect(table.cells[0][3].meetsHurdle).toBe(true);
+  });
+
+  test('should round whole-year axes', async () => {
+    const table = await new DataTable(validParameters).build({
+      ...charterByPrice,
+      rowAxis: { variable: 'loanTermYears', values: [5, 5.4, 7.6, 10] }
+    });
+
+    expect(table.rowAxis.values).toEqual([5, 8, 10]);
+  });
+
+  test('should reject invalid axes and metrics', async () => {
+    const dataTable = new DataTable(validParameters);
+
+    await expect(dataTable.build({ ...charterByPrice, metric: 'roe' })).rejects
+      .toThrow('Metric must be one of');
+    await expect(dataTable.build({ ...charterByPrice, columnAxis: { variable: 'dailyCharterRate', values: [15000] } })).rejects
+      .toThrow('Row and column axes must use different variables');
+    await expect(dataTable.build({ ...charterByPrice, rowAxis: { variable: 'vesselType', values: [1] } })).rejects
+      .toThrow('Parameter vesselType cannot be used as a data table axis');
+    await expect(dataTable.build({ ...charterByPrice, rowAxis: { variable: 'interestRatePercent', values: [5, 25] } })).rejects
+      .toThrow('Parameter interestRatePercent must be between 0 and 20');
+    await expect(dataTable.build({ ...charterByPrice, rowAxis: { variable: 'opexPerDay', min: 5000, max: 4000, points: 3 } })).rejects
+      .toThrow('The row axis needs values, or min < max and at least 2 points');
+  });
+
+  test('should leave infeasible input combinations empty', async () => {
+    const table = await new DataTable({ ...validParameters, gracePeriodMonths: 72 }).build({
+      ...charterByPrice,
+      metric: 'equityNpv',
+      rowAxis: { variable: 'loanTermYears', values: [5, 7, 10] }
+    });
+
+    // A 72-month grace period does not fit a 5-year loan
+    table.cells[0].forEach(cell => expect(cell.value).toBeNull());
+    table.cells[1].forEach(cell => expect(cell.value).not.toBeNull());
+  });
+
+  test('should rethrow unexpected model failures', async () => {
+    const spy = jest.spyOn(VesselFinancialModel.prototype, 'calculateFinancialMetrics')
+      .mockImplementation(() => {
+        throw new Error('Cannot read properties of undefined');
+      });
+
+    try {
+      await expect(new DataTable(validParameters).build(charterByPrice)).rejects
+        .toThrow('Cannot read properties of undefined');
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  test('should export the grid as CSV', async () => {
+    const dataTable = new DataTable(validParameters);
+    const csv = dataTable.toCSV(await dataTable.build(charterByPrice)).split('\n');
+
+    expect(csv[0]).toBe('# Equity IRR (%), hurdle 12');
+    expect(csv[1]).toBe('dailyCharterRate \\ price,20000000,25000000,30000000');
+    expect(csv).toHaveLength(7);
+    expect(csv[2].split(',')).toHaveLength(4);
+  });
+});
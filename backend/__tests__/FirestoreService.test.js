@@ -233,6 +233,18 @@ describe('FirestoreService', () => {
       expect(analysisId).toBe('analysis-123');
     });
 
+    test('should save scenario definitions with the analysis', async () => {
+      mockCollection.add.mockResolvedValue({ id: 'analysis-456' });
+      const scenarios = [{ name: 'Downside', type: 'downside', overrides: { dailyCharterRate: 14000 } }];
+
+      await firestoreService.saveAnalysis({ ...sampleAnalysis, scenarios });
+
+      expect(mockCollection.add).toHaveBeenCalledWith(expect.objectContaining({
+        parameters: sampleAnalysis.parameters,
+        scenarios
+      }));
+    });
+
     test('should throw error for missing required fields', async () => {
       const incompleteAnalysis = {
         analysisName: 'Test'
@@ -363,6 +375,52 @@ describe('FirestoreService', () => {
     });
   });
 
+  describe('Charter Index Management', () => {
+    const series = [
+      { year: 2019, rate: 12500, observations: 12 },
+      { year: 2020, rate: 10900, observations: 12 }
+    ];
+
+    test('should save charter index for the user', async () => {
+      mockCollection.add.mockResolvedValue({ id: 'index-123' });
+
+      const indexId = await firestoreService.saveCharterIndex({ userId: 'user-123', name: 'BPI TC', series });
+
+      expect(mockDb.collection).toHaveBeenCalledWith('charterIndices');
+      expect(mockCollection.add).toHaveBeenCalledWith({
+        userId: 'user-123',
+        name: 'BPI TC',
+        series,
+        createdAt: expect.any(Object),
+        updatedAt: expect.any(Object)
+      });
+      expect(indexId).toBe('index-123');
+    });
+
+    test('should throw error for charter index owned by different user', async () => {
+      mockDoc.get.mockResolvedValue({
+        exists: true,
+        data: () => ({ userId: 'other-user', name: 'BPI TC', series })
+      });
+
+      await expect(firestoreService.getCharterIndex('index-123', 'user-123'))
+        .rejects.toThrow('Access denied');
+    });
+
+    test('should list charter indices with their coverage', async () => {
+      mockCollection.get.mockResolvedValue({
+        docs: [{ id: 'index-123', data: () => ({ name: 'BPI TC', createdAt: 'timestamp1', series }) }]
+      });
+
+      const indices = await firestoreService.getUserCharterIndices('user-123');
+
+      expect(mockCollection.where).toHaveBeenCalledWith('userId', '==', 'user-123');
+      expect(indices).toEqual([
+        { id: 'index-123', name: 'BPI TC', createdAt: 'timestamp1', fromYear: 2019, toYear: 2020 }
+      ]);
+    });
+  });
+
   describe('Search and Count', () => {
     test('should get user analyses count', async () => {
       mockCollection.get.mockResolvedValue({
@@ -124,6 +124,24 @@ I need more details about the vessel.`
       await expect(geminiService.extractParameters('test message'))
         .rejects.toThrow('Failed to parse AI response');
     });
+
+    test('should keep valid parameters when the goal seek request is malformed', async () => {
+      mockModel.generateContent.mockResolvedValue({
+        response: {
+          text: () => `\`\`\`json
+{"vesselType": "Panamax Bulk Carrier", "price": 22000000, "dailyCharterRate": 18000,
+ "goalSeek": {"targetMetric": "equityIrr", "targetValue": "high", "variable": "price"}}
+\`\`\`
+What price gives a high IRR?`
+        }
+      });
+
+      const result = await geminiService.extractParameters('What price gives a high IRR?');
+
+      expect(result.parameters).toEqual(expect.objectContaining({ price: 22000000, dailyCharterRate: 18000 }));
+      expect(result.goalSeek).toBeNull();
+      expect(result.goalSeekWarning).toBe('Goal seek target value must be a valid number');
+    });
   });
 
   describe('Parameter Validation', () => {
@@ -210,6 +228,71 @@ I need more details about the vessel.`
         .toThrow('Parameter age must be at most 50');
     });
 
+    test('should validate charter rate schedule arrays', () => {
+      const validated = geminiService.validateParameters({
+        fixedCharterYears: 3,
+        fixedCharterRate: 18000,
+        spotCharterRate: 14000,
+        charterRateSchedule: ['18000', 16000, 14000]
+      });
+
+      expect(validated.fixedCharterYears).toBe(3);
+      expect(validated.charterRateSchedule).toEqual([18000, 16000, 14000]);
+      expect(() => geminiService.validateParameters({ charterRateSchedule: 15000 }))
+        .toThrow('Parameter charterRateSchedule must be an array');
+      expect(() => geminiService.validateParameters({ charterRateSchedule: [-500] }))
+        .toThrow('Parameter charterRateSchedule values must be at least 0');
+    });
+
+    test('should validate lightweight tonnage and scrap price', () => {
+      const validated = geminiService.validateParameters({ ldt: '13500', scrapPricePerLdt: 480 });
+
+      expect(validated).toEqual(expect.objectContaining({ ldt: 13500, scrapPricePerLdt: 480 }));
+      expect(() => geminiService.validateParameters({ scrapPricePerLdt: 9000 }))
+        .toThrow('Parameter scrapPricePerLdt must be at most 5000');
+    });
+
+    test('should validate voyage charter terms', () => {
+      const validated = geminiService.validateParameters({
+        charterMode: 'voyage',
+        cargoTonnes: '130000',
+        worldscaleRate: 55,
+        worldscaleFlatRate: 20.5,
+        seaDays: 40
+      });
+
+      expect(validated).toEqual(expect.objectContaining({
+        charterMode: 'voyage', cargoTonnes: 130000, worldscaleRate: 55, worldscaleFlatRate: 20.5, seaDays: 40
+      }));
+      expect(() => geminiService.validateParameters({ charterMode: 'spot' }))
+        .toThrow('Parameter charterMode must be one of: timeCharter, voyage');
+    });
+
+    test('should validate fuel and emissions inputs', () => {
+      const validated = geminiService.validateParameters({
+        fuelConsumptionTonnesPerDay: '28',
+        fuelType: 'LNG',
+        carbonPricePerTonne: 80,
+        startYear: 2026
+      });
+
+      expect(validated).toEqual(expect.objectContaining({
+        fuelConsumptionTonnesPerDay: 28, fuelType: 'LNG', carbonPricePerTonne: 80, startYear: 2026
+      }));
+      expect(() => geminiService.validateParameters({ fuelType: 'coal' }))
+        .toThrow('Parameter fuelType must be one of: HFO, VLSFO, MGO, LNG, methanol');
+    });
+
+    test('should validate goal seek requests', () => {
+      expect(geminiService.validateGoalSeek(null)).toBeNull();
+      expect(geminiService.validateGoalSeek({ targetMetric: 'equityIrr', targetValue: '12', variable: 'price' }))
+        .toEqual({ targetMetric: 'equityIrr', targetValue: 12, variable: 'price' });
+      expect(() => geminiService.validateGoalSeek({ targetMetric: 'equityIrr', targetValue: 12, variable: 'vesselType' }))
+        .toThrow('Goal seek needs a target metric and a numeric parameter to solve for');
+      expect(() => geminiService.validateGoalSeek({ targetMetric: 'equityIrr', targetValue: 'high', variable: 'price' }))
+        .toThrow('Goal seek target value must be a valid number');
+    });
+
     test('should convert string numbers to floats', () => {
       const testParams = {
         age: '10',
@@ -433,6 +516,52 @@ Down payment updated to 25%.`
       expect(summary).toContain('N/A');
       expect(summary).not.toContain('Year 1 Net Cash Flow:');
     });
+
+    test('should explain how the terminal value was derived', () => {
+      const resultsData = {
+        npv: 1000000,
+        irr: 0.1,
+        paybackPeriod: null,
+        keyRatios: { debtServiceCoverageRatio: null },
+        summary: {
+          vesselDescription: 'Test Vessel',
+          purchasePrice: 10000000,
+          financingTerms: '5 years at 6.00%',
+          terminalValue: '$5,904,000 = 13,120 LDT × $450/LDT demolition price',
+          operatingAssumptions: { dailyRate: 10000, utilization: '80.0%' }
+        }
+      };
+
+      const summary = geminiService.createResultsSummary(resultsData);
+
+      expect(summary).toContain('Terminal Value: $5,904,000 = 13,120 LDT × $450/LDT demolition price');
+    });
+
+    test('should summarize the retrofit appraisal', () => {
+      const resultsData = {
+        npv: 1000000,
+        irr: 0.1,
+        paybackPeriod: null,
+        keyRatios: { debtServiceCoverageRatio: null },
+        summary: {
+          vesselDescription: 'Test Vessel',
+          purchasePrice: 10000000,
+          financingTerms: '5 years at 6.00%',
+          operatingAssumptions: { dailyRate: 10000, utilization: '80.0%' }
+        },
+        retrofitAppraisal: {
+          items: [{ name: 'Scrubber', installationYear: 2, capex: 3200000, npv: 850000, irr: 0.214, irrStatus: 'converged', paybackPeriod: 3.6 }],
+          combined: { npv: 850000, irr: 0.214, irrStatus: 'converged', paybackPeriod: 3.6 },
+          withoutRetrofits: { npv: 150000 }
+        }
+      };
+
+      const summary = geminiService.createResultsSummary(resultsData);
+
+      expect(summary).toContain('RETROFIT APPRAISAL (deal NPV without retrofits $150,000)');
+      expect(summary).toContain('- Scrubber (year 2, $3,200,000): incremental NPV $850,000, IRR 21.40%, payback 3.6 years');
+      expect(summary).not.toContain('All retrofits');
+    });
   });
 
   describe('JSON Parsing', () => {
@@ -0,0 +1,78 @@
+const GoalSeek = require('../models/GoalSeek');
+const VesselFinancialModel = require('../models/VesselFinancialModel');
+const { validParameters } = require('./fixtures/validParameters');
+
+describe('GoalSeek', () => {
+  test('should solve the purchase price for a target equity IRR', () => {
+    const solution = new GoalSeek(validParameters)
+      .solve({ targetMetric: 'equityIrr', targetValue: 12, variable: 'price' });
+
+    expect(solution.variable).toBe('price');
+    expect(solution.solvedValue).toBeLessThan(validParameters.price);
+    expect(solution.achievedValue).toBeCloseTo(12, 4);
+    expect(solution.parameters.price).toBe(solution.solvedValue);
+    expect(solution.results.equityIrr).toBeCloseTo(0.12, 6);
+  });
+
+  test('should return the same metrics as the model for the solved input', () => {
+    const solution = new GoalSeek(validParameters)
+      .solve({ targetMetric: 'equityNpv', targetValue: 0, variable: 'dailyCharterRate' });
+    const results = new VesselFinancialModel(solution.parameters).calculateFinancialMetrics();
+
+    expect(Math.abs(solution.results.equityNpv)).toBeLessThan(1);
+    expect(solution.results.equityNpv).toBeCloseTo(results.equityNpv, 6);
+    expect(solution.results.cashFlows).toHaveLength(results.cashFlows.length);
+  });
+
+  test('should solve the down payment for a minimum DSCR', () => {
+    const solution = new GoalSeek(validParameters)
+      .solve({ targetMetric: 'minimumDscr', targetValue: 1.25, variable: 'downPaymentPercent' });
+    const dscrs = solution.results.keyRatios.covenantTests.map(test => test.dscr);
+
+    expect(solution.solvedValue).toBeGreaterThan(0);
+    expect(solution.solvedValue).toBeLessThan(100);
+    expect(Math.min(...dscrs)).toBeCloseTo(1.25, 6);
+  });
+
+  test('should only try whole years for year-based inputs', () => {
+    const solution = new GoalSeek(validParameters)
+      .solve({ targetMetric: 'equityIrr', targetValue: 12, variable: 'loanTermYears' });
+
+    expect(Number.isInteger(solution.solvedValue)).toBe(true);
+  });
+
+  test('should respect bounds narrowed by the request', () => {
+    expect(() => new GoalSeek(validParameters).solve({
+      targetMetric: 'equityIrr',
+      targetValue: 12,
+      variable: 'price',
+      bounds: { min: 24000000, max: 30000000 }
+    })).toThrow('Equity IRR of 12% cannot be reached by varying price between 24000000 and 30000000');
+  });
+
+  test('should reject bounds outside the parameter rules', () => {
+    expect(() => new GoalSeek(validParameters).solve({
+      targetMetric: 'equityIrr',
+      targetValue: 12,
+      variable: 'interestRatePercent',
+      bounds: { min: 0, max: 40 }
+    })).toThrow('Bounds for interestRatePercent must be between 0 and 20');
+  });
+
+  test('should reject unknown metrics and non-numeric variables', () => {
+    const goalSeek = new GoalSeek(validParameters);
+
+    expect(() => goalSeek.solve({ targetMetric: 'roe', targetValue: 12, variable: 'price' }))
+      .toThrow('Target metric must be one of');
+    expect(() => goalSeek.solve({ targetMetric: 'equityIrr', targetValue: 12, variable: 'vesselType' }))
+      .toThrow('Parameter vesselType cannot be solved for');
+  });
+
+  test('should describe the solution', () => {
+    const goalSeek = new GoalSeek(validParameters);
+    const solution = goalSeek.solve({ targetMetric: 'equityIrr', targetValue: 12, variable: 'price' });
+
+    expect(goalSeek.describeSolution(solution))
+      .toMatch(/^Setting price to [\d,]+ gives Equity IRR of 12\.00% \(target 12\.00%\)\.$/);
+  });
+});
@@ -0,0 +1,128 @@
+const MonteCarloSimulation = require('../models/MonteCarloSimulation');
+const { validParameters } = require('./fixtures/validParameters');
+
+describe('MonteCarloSimulation', () => {
+  test('should reproduce a run from its seed', async () => {
+    const first = await new MonteCarloSimulation(validParameters, { seed: 42, iterations: 200 }).run();
+    const second = await new MonteCarloSimulation(validParameters, { seed: 42, iterations: 200 }).run();
+    const other = await new MonteCarloSimulation(validParameters, { seed: 7, iterations: 200 }).run();
+
+    expect(second.npv).toEqual(first.npv);
+    expect(second.probabilityDscrBreach).toBe(first.probabilityDscrBreach);
+    expect(other.npv.p50).not.toBe(first.npv.p50);
+  });
+
+  test('should return a seed when none is given', async () => {
+    const simulation = await new MonteCarloSimulation(validParameters, { iterations: 10 }).run();
+
+    expect(Number.isInteger(simulation.config.seed)).toBe(true);
+    expect((await new MonteCarloSimulation(validParameters, { seed: simulation.config.seed, iterations: 10 }).run()).npv)
+      .toEqual(simulation.npv);
+  });
+
+  test('should report ordered percentiles and probabilities', async () => {
+    const simulation = await new MonteCarloSimulation(validParameters, { seed: 1, iterations: 300 }).run();
+
+    expect(simulation.npv.p10).toBeLessThan(simulation.npv.p50);
+    expect(simulation.npv.p50).toBeLessThan(simulation.npv.p90);
+    expect(simulation.irr.p10).toBeLessThan(simulation.irr.p90);
+    expect(simulation.probabilityNegativeNpv).toBeGreaterThan(0);
+    expect(simulation.probabilityNegativeNpv).toBeLessThan(1);
+    expect(simulation.probabilityDscrBreach).toBeGreaterThanOrEqual(0);
+    expect(simulation.probabilityDscrBreach).toBeLessThanOrEqual(1);
+    expect(simulation.dscrThreshold).toBe(1);
+  });
+
+  test('should build histograms covering every path', async () => {
+    const simulation = await new MonteCarloSimulation(validParameters, { seed: 3, iterations: 250 }).run();
+    const { histogram } = simulation.npv;
+
+    expect(histogram).toHaveLength(20);
+    expect(histogram.reduce((sum, bin) => sum + bin.count, 0)).toBe(250);
+    expect(histogram[1].from).toBeCloseTo(histogram[0].to, 6);
+    expect(simulation.irr.histogram.reduce((sum, bin) => sum + bin.count, 0))
+      .toBe(250 - simulation.irr.notMeaningfulCount);
+  });
+
+  test('should collapse to the base case without uncertainty', async () => {
+    const simulation = new MonteCarloSimulation(validParameters, {
+      seed: 5,
+      iterations: 20,
+      charter: { volatilityPercent: 0, reversionSpeed: 0 },
+      utilization: { distribution: 'normal', mean: 85, stdDev: 0 },
+      opexInflation: { distribution: 'normal', mean: 0, stdDev: 0 },
+      residualValue: { distribution: 'normal', mean: 100, stdDev: 0 }
+    });
+    const base = simulation.baseModel.calculateFinancialMetrics();
+    const results = await simulation.run();
+
+    expect(results.npv.p10).toBeCloseTo(base.npv, 4);
+    expect(results.npv.p90).toBeCloseTo(base.npv, 4);
+    expect(results.probabilityNegativeNpv).toBe(base.npv < 0 ? 1 : 0);
+  });
+
+  test('should never raise NPV on a lower residual value draw', async () => {
+    const npvAtResidual = async (mean) => (await new MonteCarloSimulation(validParameters, {
+      seed: 5,
+      iterations: 5,
+      charter: { volatilityPercent: 0, reversionSpeed: 0 },
+      utilization: { distribution: 'normal', mean: 85, stdDev: 0 },
+      opexInflation: { distribution: 'normal', mean: 0, stdDev: 0 },
+      residualValue: { distribution: 'normal', mean, stdDev: 0 }
+    }).run()).npv.p50;
+
+    const npvs = [];
+    for (const mean of [-10, 0, 0.1, 50, 100]) {
+      npvs.push(await npvAtResidual(mean));
+    }
+
+    npvs.slice(1).forEach((npv, i) => expect(npv).toBeGreaterThanOrEqual(npvs[i]));
+    expect(npvs[2]).toBeGreaterThan(npvs[1]);
+  });
+
+  test('should use the minDscr covenant as the breach threshold', async () => {
+    const simulation = await new MonteCarloSimulation({ ...validParameters, minDscr: 1.5 }, { seed: 9, iterations: 100 }).run();
+    const looser = await new MonteCarloSimulation(validParameters, { seed: 9, iterations: 100 }).run();
+
+    expect(simulation.dscrThreshold).toBe(1.5);
+    expect(simulation.probabilityDscrBreach).toBeGreaterThanOrEqual(looser.probabilityDscrBreach);
+  });
+
+  test('should yield to the event loop between chunks of paths', async () => {
+    let resolved = false;
+    const pending = new MonteCarloSimulation(validParameters, { seed: 4, iterations: 120 }).run()
+      .then(simulation => {
+        resolved = true;
+        return simulation;
+      });
+    const resolvedAtFirstYield = await new Promise(resolve => setImmediate(() => resolve(resolved)));
+
+    expect(resolvedAtFirstYield).toBe(false);
+    expect((await pending).iterations).toBe(120);
+  });
+
+  test('should sample uniform and triangular distributions within their bounds', () => {
+    const simulation = new MonteCarloSimulation(validParameters, { seed: 11 });
+    const random = Math.random;
+
+    for (let i = 0; i < 200; i++) {
+      const uniform = simulation.sample({ distribution: 'uniform', min: 80, max: 90 }, random);
+      const triangular = simulation.sample({ distribution: 'triangular', min: 70, mode: 85, max: 95 }, random);
+      expect(uniform).toBeGreaterThanOrEqual(80);
+      expect(uniform).toBeLessThanOrEqual(90);
+      expect(triangular).toBeGreaterThanOrEqual(70);
+      expect(triangular).toBeLessThanOrEqual(95);
+    }
+  });
+
+  test('should reject invalid configuration', () => {
+    expect(() => new MonteCarloSimulation(validParameters, { iterations: 100000 }))
+      .toThrow('Iterations must be between 1 and 2000');
+    expect(() => new MonteCarloSimulation(validParameters, { utilization: { distribution: 'beta' } }))
+      .toThrow('Distribution for utilization must be one of: normal, uniform, triangular');
+    expect(() => new MonteCarloSimulation(validParameters, { residualValue: { distribution: 'uniform', min: 120, max: 80 } }))
+      .toThrow('Distribution for residualValue needs min <= max');
+    expect(() => new MonteCarloSimulation(validParameters, { charter: { reversionSpeed: 2 } }))
+      .toThrow('Charter reversionSpeed must be between 0 and 1');
+  });
+});
@@ -0,0 +1,72 @@
+const ScenarioSet = require('../models/ScenarioSet');
+const VesselFinancialModel = require('../models/VesselFinancialModel');
+const { validParameters } = require('./fixtures/validParameters');
+
+describe('ScenarioSet', () => {
+  const scenarios = [
+    { name: 'Upside', type: 'upside', overrides: { dailyCharterRate: 21000 } },
+    { name: 'Downside', type: 'downside', overrides: { dailyCharterRate: 14500, utilizationPercent: 80 } },
+    { name: 'Refinance', overrides: { interestRatePercent: 5.25 } }
+  ];
+
+  test('should calculate the base case first, then each scenario', () => {
+    const results = new ScenarioSet(validParameters, scenarios).run();
+
+    expect(results.map(scenario => scenario.name)).toEqual(['Base', 'Upside', 'Downside', 'Refinance']);
+    expect(results.map(scenario => scenario.type)).toEqual(['base', 'upside', 'downside', 'custom']);
+    expect(results[0].overrides).toEqual({});
+  });
+
+  test('should apply overrides over the base parameters', () => {
+    const results = new ScenarioSet(validParameters, scenarios).run();
+    const downside = new VesselFinancialModel({ ...validParameters, dailyCharterRate: 14500, utilizationPercent: 80 })
+      .calculateFinancialMetrics();
+
+    expect(results[2].results.npv).toBeCloseTo(downside.npv, 6);
+    expect(results[2].results.irr).toBeCloseTo(downside.irr, 10);
+    expect(results[1].results.npv).toBeGreaterThan(results[0].results.npv);
+    expect(results[2].results.npv).toBeLessThan(results[0].results.npv);
+  });
+
+  test('should reuse base results when given', () => {
+    const base = new VesselFinancialModel(validParameters).calculateFinancialMetrics();
+    const results = new ScenarioSet(validParameters, scenarios).run(base);
+
+    expect(results[0].results.npv).toBe(base.npv);
+  });
+
+  test('should keep a compact summary per scenario', () => {
+    const [base] = new ScenarioSet(validParameters, scenarios).run();
+
+    expect(base.results).toEqual(expect.objectContaining({
+      npv: expect.any(Number),
+      irr: expect.any(Number),
+      equityMultiple: expect.any(Number),
+      minimumDscr: expect.any(Number),
+      covenantBreachYears: []
+    }));
+    expect(base.results.cashFlows[0]).toEqual({
+      year: 0,
+      netCashFlow: expect.any(Number),
+      cumulativeCashFlow: expect.any(Number)
+    });
+    expect(base.results.paymentSchedule).toBeUndefined();
+  });
+
+  test('should reject duplicate, unnamed and mistyped scenarios', () => {
+    expect(() => new ScenarioSet(validParameters, [{ name: 'Base' }]))
+      .toThrow('Scenario name "Base" is already used');
+    expect(() => new ScenarioSet(validParameters, [{ name: 'A' }, { name: 'a' }]))
+      .toThrow('Scenario name "a" is already used');
+    expect(() => new ScenarioSet(validParameters, [{ overrides: {} }]))
+      .toThrow('Scenario 1 needs a name');
+    expect(() => new ScenarioSet(validParameters, [{ name: 'Stress', type: 'worst' }]))
+      .toThrow('Scenario "Stress": type must be one of: upside, downside, custom');
+  });
+
+  test('should name the scenario when the model rejects its inputs', () => {
+    const set = new ScenarioSet(validParameters, [{ name: 'Broken', overrides: { interestRatePercent: null } }]);
+
+    expect(() => set.run()).toThrow('Scenario "Broken": Missing required parameter: interestRatePercent');
+  });
+});
@@ -0,0 +1,122 @@
+const SensitivityAnalysis = require('../models/SensitivityAnalysis');
+const VesselFinancialModel = require('../models/VesselFinancialModel');
+const { validParameters } = require('./fixtures/validParameters');
+
+describe('SensitivityAnalysis', () => {
+  test('should flex every driver by the default steps', () => {
+    const sensitivity = new SensitivityAnalysis(validParameters).run();
+    const base = new VesselFinancialModel(validParameters).calculateFinancialMetrics();
+
+    expect(sensitivity.steps).toEqual([10, 20]);
+    expect(sensitivity.base.npv).toBeCloseTo(base.npv, 6);
+    expect(sensitivity.drivers.map(driver => driver.driver).sort())
+      .toEqual(['charterRate', 'interestRate', 'opex', 'price', 'scrapValue', 'utilization']);
+    sensitivity.drivers.forEach(driver => {
+      expect(driver.cases.map(c => c.step)).toEqual([-20, -10, 10, 20]);
+    });
+  });
+
+  test('should return deltas from the model for each case', () => {
+    const sensitivity = new SensitivityAnalysis(validParameters).run({ steps: [10], drivers: ['opex'] });
+    const [opex] = sensitivity.drivers;
+    const flexed = new VesselFinancialModel({ ...validParameters, opexPerDay: 4400 }).calculateFinancialMetrics();
+
+    expect(opex.high.value).toBeCloseTo(4400, 6);
+    expect(opex.high.npv).toBeCloseTo(flexed.npv, 6);
+    expect(opex.high.npvDelta).toBeCloseTo(flexed.npv - sensitivity.base.npv, 6);
+    expect(opex.high.irrDelta).toBeCloseTo(flexed.irr - sensitivity.base.irr, 10);
+    expect(opex.high.npvDelta).toBeLessThan(0);
+    expect(opex.low.npvDelta).toBeGreaterThan(0);
+  });
+
+  test('should rank drivers by NPV swing', () => {
+    const { drivers } = new SensitivityAnalysis(validParameters).run();
+
+    for (let i = 1; i < drivers.length; i++) {
+      expect(drivers[i - 1].npvSwing).toBeGreaterThanOrEqual(drivers[i].npvSwing);
+    }
+    expect(drivers[0].driver).toBe('charterRate');
+  });
+
+  test('should cap utilization at 100%', () => {
+    const { drivers } = new SensitivityAnalysis(validParameters).run({ steps: [20], drivers: ['utilization'] });
+
+    expect(drivers[0].high.value).toBe(100);
+    expect(drivers[0].low.value).toBeCloseTo(68, 6);
+  });
+
+  test('should flex the whole charter profile', () => {
+    const params = { ...validParameters, fixedCharterYears: 3, fixedCharterRate: 21000, spotCharterRate: 16000 };
+    const { drivers } = new SensitivityAnalysis(params).run({ steps: [10], drivers: ['charterRate'] });
+    const flexed = new VesselFinancialModel({
+      ...params,
+      dailyCharterRate: 19800,
+      fixedCharterRate: 23100,
+      spotCharterRate: 17600
+    }).calculateFinancialMetrics();
+
+    expect(drivers[0].high.npv).toBeCloseTo(flexed.npv, 4);
+  });
+
+  test('should flex series entered as comma-separated strings', () => {
+    const params = {
+      ...validParameters,
+      charterRateSchedule: '20000, 19000,18000',
+      referenceRatePercent: 4,
+      marginPercent: 2,
+      referenceRateCurve: '4,3.5, 3'
+    };
+    const { drivers } = new SensitivityAnalysis(params)
+      .run({ steps: [10], drivers: ['charterRate', 'interestRate'] });
+    const flexedCharter = new VesselFinancialModel({
+      ...params,
+      dailyCharterRate: 19800,
+      charterRateSchedule: [22000, 20900, 19800]
+    }).calculateFinancialMetrics();
+    const flexedRates = new VesselFinancialModel({
+      ...params,
+      interestRatePercent: 7.15,
+      referenceRatePercent: 4.4,
+      marginPercent: 2.2,
+      referenceRateCurve: [4.4, 3.85, 3.3]
+    }).calculateFinancialMetrics();
+
+    expect(drivers[0].high.npv).toBeCloseTo(flexedCharter.npv, 4);
+    expect(drivers[1].high.npv).toBeCloseTo(flexedRates.npv, 4);
+  });
+
+  test('should pin a defaulted scrap value when flexing price', () => {
+    // Without LDT or DWT the default scrap value is a share of the price
+    const params = { ...validParameters };
+    delete params.scrapValue;
+    delete params.dwt;
+    const analysis = new SensitivityAnalysis(params);
+
+    expect(analysis.baseParameters.scrapValue).toBe(3750000);
+  });
+
+  test('should flex the freight rate on a voyage charter', () => {
+    const voyageParameters = {
+      ...validParameters,
+      charterMode: 'voyage',
+      cargoTonnes: 75000,
+      freightRatePerTonne: 22.5,
+      seaDays: 30,
+      portDays: 5
+    };
+    const sensitivity = new SensitivityAnalysis(voyageParameters).run({ steps: [10], drivers: ['charterRate'] });
+    const [driver] = sensitivity.drivers;
+
+    expect(driver.baseValue).toBe(22.5);
+    expect(driver.high.value).toBeCloseTo(24.75, 10);
+    expect(driver.high.npv).toBeGreaterThan(sensitivity.base.npv);
+  });
+
+  test('should reject invalid steps and unknown drivers', () => {
+    const analysis = new SensitivityAnalysis(validParameters);
+
+    expect(() => analysis.run({ steps: [] })).toThrow('Sensitivity steps must be a non-empty array of percentages');
+    expect(() => analysis.run({ steps: [150] })).toThrow('Sensitivity steps must be between 0 and 100 percent');
+    expect(() => analysis.run({ drivers: ['fuel'] })).toThrow('Unknown sensitivity drivers: fuel');
+  });
+});
@@ -1,21 +1,8 @@
 const VesselFinancialModel = require('../models/VesselFinancialModel');
+const { PARAMETER_RULES } = require('../utils/parameterRules');
+const { validParameters } = require('./fixtures/validParameters');
 
 describe('VesselFinancialModel', () => {
-  const validParameters = {
-    vesselType: 'Panamax Bulk Carrier',
-    age: 10,
-    price: 25000000,
-    dwt: 82000,
-    currency: 'USD',
-    downPaymentPercent: 30,
-    loanTermYears: 7,
-    interestRatePercent: 6.5,
-    dailyCharterRate: 18000,
-    opexPerDay: 4000,
-    utilizationPercent: 85,
-    scrapValue: 3750000
-  };
-
   describe('Parameter Validation', () => {
     test('should accept valid parameters', () => {
       expect(() => new VesselFinancialModel(validParameters)).not.toThrow();
@@ -36,13 +23,684 @@ describe('VesselFinancialModel', () => {
       expect(model.parameters.utilizationPercent).toBe(0.85);
     });
 
-    test('should set default scrap value if not provided', () => {
+    test('should estimate scrap value from DWT and vessel type if not provided', () => {
       const paramsWithoutScrap = { ...validParameters };
       delete paramsWithoutScrap.scrapValue;
       
       const model = new VesselFinancialModel(paramsWithoutScrap);
+      // 16% of 82,000 DWT for a bulk carrier at $450/LDT
+      expect(model.parameters.ldt).toBe(13120);
+      expect(model.parameters.scrapValue).toBe(13120 * 450);
+      expect(model.parameters.scrapValueBasis).toBe('estimatedLdt');
+    });
+
+    test('should derive scrap value from LDT and scrap price when given', () => {
+      const paramsWithLdt = { ...validParameters, ldt: 11800, scrapPricePerLdt: 520 };
+      delete paramsWithLdt.scrapValue;
+
+      const model = new VesselFinancialModel(paramsWithLdt);
+      expect(model.parameters.scrapValue).toBe(11800 * 520);
+      expect(model.generateSummary().terminalValue)
+        .toBe('$6,136,000 = 11,800 LDT × $520/LDT demolition price');
+    });
+
+    test('should keep an explicit scrap value over LDT inputs', () => {
+      const model = new VesselFinancialModel({ ...validParameters, ldt: 11800 });
+      expect(model.parameters.scrapValue).toBe(3750000);
+      expect(model.parameters.scrapValueBasis).toBe('input');
+    });
+
+    test('should keep an explicit zero scrap value', () => {
+      const model = new VesselFinancialModel({ ...validParameters, scrapValue: 0, ldt: 11800 });
+      const results = model.calculateFinancialMetrics();
+
+      expect(model.parameters.scrapValue).toBe(0);
+      expect(model.parameters.scrapValueBasis).toBe('input');
+      expect(results.cashFlows[results.cashFlows.length - 1].terminalValue).toBe(0);
+    });
+
+    test('should fall back to 15% of price without LDT or DWT', () => {
+      const paramsWithoutSize = { ...validParameters };
+      delete paramsWithoutSize.scrapValue;
+      delete paramsWithoutSize.dwt;
+
+      const model = new VesselFinancialModel(paramsWithoutSize);
       expect(model.parameters.scrapValue).toBe(validParameters.price * 0.15);
     });
+
+    test('should range-check inputs against the shared parameter rules', () => {
+      const fields = ['charterEscalationPercent', 'fixedCharterYears', 'fixedCharterRate',
+        'spotCharterRate', 'opexAgeThresholdYears'];
+
+      fields.forEach(field => {
+        const { min, max } = PARAMETER_RULES[field];
+        expect(() => new VesselFinancialModel({ ...validParameters, [field]: min })).not.toThrow();
+        expect(() => new VesselFinancialModel({ ...validParameters, [field]: max })).not.toThrow();
+        expect(() => new VesselFinancialModel({ ...validParameters, [field]: max + 1 }))
+          .toThrow(`Parameter ${field} must be between ${min} and ${max}`);
+      });
+    });
+
+    test('should parse and range-check the required inputs and vessel size', () => {
+      const model = new VesselFinancialModel({ ...validParameters, price: '25000000', age: '10', dwt: '82000' });
+      expect(model.parameters.price).toBe(25000000);
+      expect(model.parameters.dwt).toBe(82000);
+
+      expect(() => new VesselFinancialModel({ ...validParameters, price: 50 }))
+        .toThrow('Parameter price must be between 100000 and 1000000000');
+      expect(() => new VesselFinancialModel({ ...validParameters, utilizationPercent: 'high' }))
+        .toThrow('Parameter utilizationPercent must be between 1 and 100');
+      expect(() => new VesselFinancialModel({ ...validParameters, age: 80 }))
+        .toThrow('Parameter age must be between 0 and 50');
+      expect(() => new VesselFinancialModel({ ...validParameters, loanTermYears: '' }))
+        .toThrow('Missing required parameter: loanTermYears');
+    });
+  });
+
+  describe('Discount Rate', () => {
+    test('should default to 10% when no rate is given', () => {
+      const model = new VesselFinancialModel(validParameters);
+      expect(model.discountRate).toBe(0.10);
+      expect(model.getDiscountRateSource()).toBe('default');
+    });
+
+    test('should use explicit discount rate', () => {
+      const model = new VesselFinancialModel({ ...validParameters, discountRatePercent: 8 });
+      const results = model.calculateFinancialMetrics();
+
+      expect(model.discountRate).toBeCloseTo(0.08, 10);
+      expect(results.discountRate).toBeCloseTo(0.08, 10);
+      expect(results.discountRateSource).toBe('input');
+      expect(results.summary.discountRate).toBe('8.00%');
+    });
+
+    test('should build WACC from cost of equity and debt', () => {
+      const model = new VesselFinancialModel({
+        ...validParameters,
+        costOfEquityPercent: 15,
+        costOfDebtPercent: 7,
+        taxRatePercent: 10
+      });
+
+      // 30% equity at 15% + 70% debt at 7% after 10% tax
+      expect(model.discountRate).toBeCloseTo(0.3 * 0.15 + 0.7 * 0.07 * 0.9, 10);
+      expect(model.getDiscountRateSource()).toBe('wacc');
+    });
+
+    test('should discount equity cash flows at the cost of equity and project cash flows at the WACC', () => {
+      const model = new VesselFinancialModel({ ...validParameters, costOfEquityPercent: 15 });
+      const results = model.calculateFinancialMetrics();
+      const discount = (key, rate) => results.cashFlows.reduce((npv, cf) => npv + cf[key] / Math.pow(1 + rate, cf.year), 0);
+      const wacc = 0.3 * 0.15 + 0.7 * 0.065;
+
+      expect(results.equityDiscountRate).toBeCloseTo(0.15, 10);
+      expect(results.discountRate).toBeCloseTo(wacc, 10);
+      expect(results.npv).toBeCloseTo(discount('netCashFlow', 0.15), 4);
+      expect(results.projectNpv).toBeCloseTo(discount('projectCashFlow', wacc), 4);
+      expect(results.summary.discountRate).toBe(
+        `15.00% cost of equity on equity cash flows, ${(wacc * 100).toFixed(2)}% WACC on project cash flows`);
+    });
+
+    test('should fall back to loan interest rate as cost of debt', () => {
+      const model = new VesselFinancialModel({ ...validParameters, costOfEquityPercent: 15 });
+      expect(model.discountRate).toBeCloseTo(0.3 * 0.15 + 0.7 * 0.065, 10);
+    });
+
+    test('should prefer explicit rate over WACC inputs', () => {
+      const model = new VesselFinancialModel({
+        ...validParameters,
+        discountRatePercent: 12,
+        costOfEquityPercent: 15
+      });
+      expect(model.discountRate).toBeCloseTo(0.12, 10);
+      expect(model.equityDiscountRate).toBeCloseTo(0.12, 10);
+    });
+
+    test('should reject out-of-range discount rate', () => {
+      expect(() => new VesselFinancialModel({ ...validParameters, discountRatePercent: 80 }))
+        .toThrow('Parameter discountRatePercent must be between 0 and 50');
+    });
+
+    test('should lower NPV as discount rate rises', () => {
+      const low = new VesselFinancialModel({ ...validParameters, discountRatePercent: 6 }).calculateFinancialMetrics();
+      const high = new VesselFinancialModel({ ...validParameters, discountRatePercent: 14 }).calculateFinancialMetrics();
+      expect(low.npv).toBeGreaterThan(high.npv);
+    });
+  });
+
+  describe('Analysis Horizon', () => {
+    test('should default horizon to loan term', () => {
+      const model = new VesselFinancialModel(validParameters);
+      expect(model.analysisHorizon).toBe(validParameters.loanTermYears);
+    });
+
+    test('should run cash flows past loan maturity', () => {
+      const model = new VesselFinancialModel({ ...validParameters, analysisHorizonYears: 12 });
+      const results = model.calculateFinancialMetrics();
+
+      expect(results.cashFlows).toHaveLength(13);
+      expect(results.cashFlows[7].debtPayment).toBeGreaterThan(0);
+      expect(results.cashFlows[8].debtPayment).toBe(0);
+      expect(results.cashFlows[7].terminalValue).toBe(0);
+      expect(results.cashFlows[12].terminalValue).toBe(validParameters.scrapValue);
+      expect(results.analysisHorizon).toBe(12);
+    });
+
+    test('should derive horizon from scrap age', () => {
+      const model = new VesselFinancialModel({ ...validParameters, scrapAgeYears: 25 });
+      const results = model.calculateFinancialMetrics();
+
+      expect(model.analysisHorizon).toBe(15);
+      expect(results.cashFlows[15].vesselAge).toBe(25);
+      expect(results.summary.analysisHorizon).toContain('exit at age 25');
+    });
+
+    test('should prefer explicit horizon over scrap age', () => {
+      const model = new VesselFinancialModel({ ...validParameters, scrapAgeYears: 25, analysisHorizonYears: 9 });
+      expect(model.analysisHorizon).toBe(9);
+    });
+
+    test('should reject scrap age below current age', () => {
+      expect(() => new VesselFinancialModel({ ...validParameters, scrapAgeYears: 10 }))
+        .toThrow('no remaining life');
+    });
+
+    test('should repay outstanding loan when exiting before maturity', () => {
+      const model = new VesselFinancialModel({ ...validParameters, analysisHorizonYears: 5 });
+      const results = model.calculateFinancialMetrics();
+      const schedule = model.calculateAmortizationSchedule();
+      const exitYear = results.cashFlows[5];
+
+      expect(exitYear.loanPrepayment).toBeCloseTo(schedule[4].endingBalance, 2);
+      expect(exitYear.debtPayment).toBeCloseTo(results.cashFlows[4].debtPayment + schedule[4].endingBalance, 2);
+      expect(results.keyRatios.avgAnnualDebtService).toBeCloseTo(results.cashFlows[1].debtPayment, 2);
+    });
+
+    test('should improve NPV and IRR with longer trading life', () => {
+      const base = new VesselFinancialModel(validParameters).calculateFinancialMetrics();
+      const longer = new VesselFinancialModel({ ...validParameters, scrapAgeYears: 25 }).calculateFinancialMetrics();
+
+      expect(longer.npv).toBeGreaterThan(base.npv);
+      expect(longer.irr).toBeGreaterThan(base.irr);
+    });
+  });
+
+  describe('Resale Exit', () => {
+    test('should sell at the exit year at a value from the secondhand curve', () => {
+      const model = new VesselFinancialModel({ ...validParameters, exitYear: 6 });
+      const results = model.calculateFinancialMetrics();
+
+      // Bulk carrier curve: 48% of newbuild value at age 10, 29.6% at age 16
+      const expectedValue = validParameters.price * 0.296 / 0.48;
+      expect(model.parameters.exitMode).toBe('resale');
+      expect(model.analysisHorizon).toBe(6);
+      expect(results.cashFlows).toHaveLength(7);
+      expect(results.cashFlows[6].terminalValue).toBeCloseTo(expectedValue, 2);
+      expect(results.exitMode).toBe('resale');
+    });
+
+    test('should use a supplied exit value in place of the scrap value', () => {
+      const results = new VesselFinancialModel({ ...validParameters, exitYear: 5, exitValue: 16500000 })
+        .calculateFinancialMetrics();
+      const exit = results.cashFlows[5];
+
+      expect(exit.terminalValue).toBe(16500000);
+      expect(exit.projectCashFlow).toBeCloseTo(exit.ebitda - exit.capex + 16500000, 2);
+    });
+
+    test('should repay the outstanding loan and balloon from the sale proceeds', () => {
+      const params = { ...validParameters, repaymentType: 'balloon', repaymentProfileYears: 15, exitYear: 5, exitValue: 16500000 };
+      const model = new VesselFinancialModel(params);
+      const results = model.calculateFinancialMetrics();
+      const schedule = model.calculateAmortizationSchedule();
+      const exit = results.cashFlows[5];
+
+      // Seven-year balloon loan sold after five years: the balance still carries the balloon
+      expect(exit.loanPrepayment).toBeCloseTo(schedule[4].endingBalance, 2);
+      expect(exit.loanPrepayment).toBeGreaterThan(validParameters.price * 0.7 * (1 - 7 / 15));
+      expect(exit.netCashFlow).toBeCloseTo(exit.projectCashFlow - exit.debtPayment, 2);
+      expect(exit.loanBalance).toBe(0);
+    });
+
+    test('should keep the scrap exit by default and when chosen explicitly', () => {
+      expect(new VesselFinancialModel(validParameters).parameters.exitMode).toBe('scrap');
+
+      const model = new VesselFinancialModel({ ...validParameters, exitMode: 'scrap', exitYear: 4, analysisHorizonYears: 9 });
+      const results = model.calculateFinancialMetrics();
+      expect(model.analysisHorizon).toBe(9);
+      expect(results.cashFlows[9].terminalValue).toBe(validParameters.scrapValue);
+    });
+
+    test('should describe the resale in the summary', () => {
+      const summary = new VesselFinancialModel({ ...validParameters, exitYear: 6 }).generateSummary();
+
+      expect(summary.terminalValue).toContain('Resale at the end of year 6 (age 16) for $15,416,667');
+      expect(summary.terminalValue).toContain('bulk carrier secondhand curve (48% of newbuild value at age 10, 30% at age 16)');
+    });
+  });
+
+  describe('Charter Rate Profile', () => {
+    test('should keep a flat rate by default', () => {
+      const results = new VesselFinancialModel(validParameters).calculateFinancialMetrics();
+      results.cashFlows.slice(1).forEach(cf => {
+        expect(cf.charterRate).toBe(validParameters.dailyCharterRate);
+      });
+      expect(results.summary.operatingAssumptions.charterProfile).toBe('Flat $18,000/day');
+    });
+
+    test('should apply fixed period charter then spot rate', () => {
+      const model = new VesselFinancialModel({
+        ...validParameters,
+        fixedCharterYears: 3,
+        fixedCharterRate: 18000,
+        spotCharterRate: 14000
+      });
+      const results = model.calculateFinancialMetrics();
+      const rates = results.cashFlows.slice(1).map(cf => cf.charterRate);
+
+      expect(rates).toEqual([18000, 18000, 18000, 14000, 14000, 14000, 14000]);
+      expect(results.cashFlows[4].revenue).toBeCloseTo(14000 * 365 * 0.85, 2);
+      expect(results.summary.operatingAssumptions.charterProfile)
+        .toContain('3-year time charter at $18,000/day');
+    });
+
+    test('should escalate market rates after the fixed period', () => {
+      const model = new VesselFinancialModel({
+        ...validParameters,
+        fixedCharterYears: 2,
+        spotCharterRate: 10000,
+        charterEscalationPercent: 3
+      });
+
+      expect(model.getCharterRateForYear(2)).toBe(validParameters.dailyCharterRate);
+      expect(model.getCharterRateForYear(3)).toBeCloseTo(10000, 6);
+      expect(model.getCharterRateForYear(5)).toBeCloseTo(10000 * 1.03 * 1.03, 6);
+    });
+
+    test('should follow a per-year rate schedule and carry the last rate forward', () => {
+      const model = new VesselFinancialModel({
+        ...validParameters,
+        charterRateSchedule: '20000, 17000, 15000'
+      });
+
+      expect(model.parameters.charterRateSchedule).toEqual([20000, 17000, 15000]);
+      expect(model.getCharterRateForYear(1)).toBe(20000);
+      expect(model.getCharterRateForYear(3)).toBe(15000);
+      expect(model.getCharterRateForYear(7)).toBe(15000);
+    });
+
+    test('should reject invalid schedule entries', () => {
+      expect(() => new VesselFinancialModel({ ...validParameters, charterRateSchedule: [15000, 'abc'] }))
+        .toThrow('Parameter charterRateSchedule must contain numbers');
+    });
+  });
+
+  describe('Voyage Charter', () => {
+    const voyageParameters = {
+      ...validParameters,
+      charterMode: 'voyage',
+      dailyCharterRate: undefined,
+      cargoTonnes: 75000,
+      freightRatePerTonne: 22.5,
+      seaDays: 30,
+      portDays: 5,
+      seaConsumptionTonnesPerDay: 28,
+      portConsumptionTonnesPerDay: 4,
+      bunkerPricePerTonne: 620,
+      portCostsPerVoyage: 180000
+    };
+
+    test('should derive the TCE from freight less voyage costs per voyage day', () => {
+      const model = new VesselFinancialModel(voyageParameters);
+      const voyage = model.getVoyageSummary();
+
+      // Freight 1,687,500; bunkers 860 t x $620 = 533,200; port costs 180,000; 35 days
+      expect(voyage.freightRevenue).toBe(1687500);
+      expect(voyage.bunkerCost).toBeCloseTo(533200, 6);
+      expect(voyage.tce).toBeCloseTo(974300 / 35, 6);
+      expect(voyage.voyagesPerYear).toBeCloseTo(365 * 0.85 / 35, 10);
+      expect(model.parameters.dailyCharterRate).toBeCloseTo(voyage.tce, 6);
+    });
+
+    test('should earn the TCE over the trading days', () => {
+      const results = new VesselFinancialModel(voyageParameters).calculateFinancialMetrics();
+
+      expect(results.charterMode).toBe('voyage');
+      expect(results.cashFlows[1].revenue).toBeCloseTo(results.voyage.tce * 365 * 0.85, 4);
+    });
+
+    test('should price freight from a Worldscale rate', () => {
+      const model = new VesselFinancialModel({
+        ...voyageParameters,
+        freightRatePerTonne: undefined,
+        worldscaleRate: 65,
+        worldscaleFlatRate: 18.4
+      });
+
+      expect(model.parameters.voyage.freightRate).toBeCloseTo(11.96, 10);
+      expect(model.generateSummary().voyageEconomics).toContain('75,000 t at WS 65 of $18.40/t flat');
+    });
+
+    test('should require the voyage terms', () => {
+      expect(() => new VesselFinancialModel({ ...voyageParameters, cargoTonnes: undefined }))
+        .toThrow('Voyage charter needs cargoTonnes');
+      expect(() => new VesselFinancialModel({ ...voyageParameters, freightRatePerTonne: undefined }))
+        .toThrow('Voyage charter needs freightRatePerTonne, or worldscaleRate with worldscaleFlatRate');
+    });
+
+    test('should describe the voyage in the summary', () => {
+      const summary = new VesselFinancialModel(voyageParameters).generateSummary();
+
+      expect(summary.voyageEconomics).toBe(
+        '75,000 t at $22.50/t over 30 sea + 5 port days; bunkers $533,200, port costs $180,000, ' +
+        'canal dues $0; TCE $27,837/day, 8.9 voyages a year');
+      expect(new VesselFinancialModel(validParameters).generateSummary().voyageEconomics).toBeNull();
+    });
+  });
+
+  describe('Fuel, EU ETS and CII', () => {
+    const emissionsParameters = {
+      ...validParameters,
+      startYear: 2024,
+      fuelType: 'VLSFO',
+      fuelConsumptionTonnesPerDay: 30,
+      portFuelConsumptionTonnesPerDay: 4,
+      seaDaysPercent: 60,
+      fuelPricePerTonne: 600,
+      carbonPricePerTonne: 70,
+      serviceSpeedKnots: 13
+    };
+    // 310.25 trading days: 186.15 at sea burning 30 t, 124.1 in port burning 4 t
+    const fuelTonnes = 186.15 * 30 + 124.1 * 4;
+    const co2Tonnes = fuelTonnes * 3.151;
+
+    test('should leave fuel and carbon out without fuel consumption', () => {
+      const results = new VesselFinancialModel(validParameters).calculateFinancialMetrics();
+
+      expect(results.emissions).toBeNull();
+      expect(results.cashFlows[1].fuelCost).toBe(0);
+      expect(results.cashFlows[1].carbonCost).toBe(0);
+      expect(results.cashFlows[1].ciiRating).toBeNull();
+    });
+
+    test('should charge owner-paid fuel as a separate cost line', () => {
+      const results = new VesselFinancialModel(emissionsParameters).calculateFinancialMetrics();
+      const year1 = results.cashFlows[1];
+
+      expect(results.emissions.byYear[0].fuelTonnes).toBeCloseTo(fuelTonnes, 6);
+      expect(year1.co2Tonnes).toBeCloseTo(co2Tonnes, 6);
+      expect(year1.fuelCost).toBeCloseTo(fuelTonnes * 600, 4);
+      expect(year1.ebitda).toBeCloseTo(year1.revenue - year1.opex - year1.fuelCost - year1.carbonCost, 4);
+      expect(results.keyRatios.totalFuelCost).toBeCloseTo(fuelTonnes * 600 * results.analysisHorizon, 2);
+    });
+
+    test('should phase in EU ETS allowances on the exposed share of CO2', () => {
+      const cashFlows = new VesselFinancialModel(emissionsParameters).calculateCashFlows();
+
+      // 50% of CO2 in scope by default; 40% surrendered for 2024, 70% for 2025, 100% from 2026
+      expect(cashFlows[1].carbonCost).toBeCloseTo(co2Tonnes * 0.5 * 0.4 * 70, 4);
+      expect(cashFlows[2].carbonCost).toBeCloseTo(co2Tonnes * 0.5 * 0.7 * 70, 4);
+      expect(cashFlows[3].carbonCost).toBeCloseTo(co2Tonnes * 0.5 * 70, 4);
+
+      const intraEu = new VesselFinancialModel({ ...emissionsParameters, euEtsExposurePercent: 100 }).calculateCashFlows();
+      expect(intraEu[3].carbonCost).toBeCloseTo(co2Tonnes * 70, 4);
+    });
+
+    test('should rate the CII trajectory and flag D and E years', () => {
+      const { emissions } = new VesselFinancialModel(emissionsParameters).calculateFinancialMetrics();
+      const attainedCii = co2Tonnes * 1e6 / (82000 * 186.15 * 24 * 13);
+      const referenceCii = 4745 * Math.pow(82000, -0.622);
+
+      expect(emissions.byYear[0].attainedCii).toBeCloseTo(attainedCii, 8);
+      expect(emissions.byYear[0].requiredCii).toBeCloseTo(referenceCii * 0.93, 8);
+      expect(emissions.byYear.map(year => year.ciiRating)).toEqual(['C', 'D', 'D', 'D', 'D', 'E', 'E']);
+      expect(emissions.ciiAlertYears).toEqual([2, 3, 4, 5, 6, 7]);
+    });
+
+    test('should keep voyage bunkers in the TCE and add only the carbon cost', () => {
+      const results = new VesselFinancialModel({
+        ...emissionsParameters,
+        charterMode: 'voyage',
+        dailyCharterRate: undefined,
+        fuelPricePerTonne: undefined,
+        seaDaysPercent: undefined,
+        cargoTonnes: 75000,
+        freightRatePerTonne: 22.5,
+        seaDays: 30,
+        portDays: 10
+      }).calculateFinancialMetrics();
+
+      expect(results.cashFlows[1].fuelCost).toBe(0);
+      expect(results.cashFlows[1].carbonCost).toBeGreaterThan(0);
+      expect(results.summary.emissions).toContain('75% of trading days at sea');
+      expect(results.summary.emissions).toContain('fuel paid within the voyage TCE');
+    });
+
+    test('should require a fuel price on a time charter', () => {
+      expect(() => new VesselFinancialModel({ ...emissionsParameters, fuelPricePerTonne: undefined }))
+        .toThrow('Fuel consumption needs fuelPricePerTonne');
+      expect(() => new VesselFinancialModel({ ...emissionsParameters, fuelType: 'coal' }))
+        .toThrow('fuelType must be one of');
+    });
+
+    test('should not rate the CII without a service speed or a DWT-based reference line', () => {
+      const withoutSpeed = new VesselFinancialModel({ ...emissionsParameters, serviceSpeedKnots: undefined });
+      const carCarrier = new VesselFinancialModel({ ...emissionsParameters, vesselType: 'PCTC' });
+
+      expect(withoutSpeed.calculateFinancialMetrics().emissions.ciiAlertYears).toEqual([]);
+      expect(withoutSpeed.generateSummary().emissions).toContain('CII not rated without a service speed');
+      expect(carCarrier.calculateCashFlows()[1].ciiRating).toBeNull();
+      expect(carCarrier.generateSummary().emissions).toContain('CII not rated for a car carrier / ro-ro');
+    });
+  });
+
+  describe('Retrofits', () => {
+    const scrubber = {
+      name: 'Scrubber',
+      type: 'scrubber',
+      installationYear: 2,
+      capex: 3200000,
+      offHireDays: 20,
+      annualFuelSaving: 950000
+    };
+    const retrofitParameters = { ...validParameters, retrofits: [scrubber] };
+
+    test('should pay for the retrofit and take the vessel off hire in the installation year', () => {
+      const withRetrofit = new VesselFinancialModel(retrofitParameters).calculateCashFlows();
+      const without = new VesselFinancialModel(validParameters).calculateCashFlows();
+
+      expect(withRetrofit[1].retrofitCapex).toBe(0);
+      expect(withRetrofit[1].retrofitSavings).toBe(0);
+      expect(withRetrofit[2].retrofitCapex).toBe(3200000);
+      expect(withRetrofit[2].offHireDays).toBe(20);
+      expect(withRetrofit[2].revenue).toBeCloseTo(18000 * 345 * 0.85, 4);
+      expect(withRetrofit[3].retrofitSavings).toBe(950000);
+      expect(withRetrofit[3].ebitda - without[3].ebitda).toBeCloseTo(950000, 4);
+    });
+
+    test('should appraise the retrofit on its incremental cash flows', () => {
+      const results = new VesselFinancialModel(retrofitParameters).calculateFinancialMetrics();
+      const appraisal = results.retrofitAppraisal;
+      const baseline = new VesselFinancialModel(validParameters).calculateFinancialMetrics();
+
+      // Year 2: capex and 20 days' lost charter hire, less the first year of savings
+      const installationYearFlow = -3200000 - 18000 * 20 * 0.85 + 950000;
+      expect(appraisal.combined.cashFlows[2].incrementalCashFlow).toBeCloseTo(installationYearFlow, 4);
+      expect(appraisal.combined.cashFlows[3].incrementalCashFlow).toBeCloseTo(950000, 4);
+      expect(appraisal.combined.npv).toBeCloseTo(results.npv - baseline.npv, 4);
+      expect(appraisal.withoutRetrofits.npv).toBeCloseTo(baseline.npv, 4);
+      expect(appraisal.combined.irrStatus).toBe('converged');
+
+      // Payback counts from the start of the installation year
+      const recovered = -installationYearFlow / 950000;
+      expect(appraisal.combined.paybackPeriod).toBeCloseTo(1 + recovered, 6);
+      expect(appraisal.items[0]).toEqual(expect.objectContaining({
+        name: 'Scrubber', installationYear: 2, npv: appraisal.combined.npv
+      }));
+    });
+
+    test('should appraise each retrofit on its own', () => {
+      const bwts = { name: 'BWTS', type: 'ballastWaterTreatment', installationYear: 1, capex: 900000, offHireDays: 5 };
+      const { retrofitAppraisal } = new VesselFinancialModel({
+        ...validParameters,
+        retrofits: [scrubber, bwts]
+      }).calculateFinancialMetrics();
+
+      expect(retrofitAppraisal.items.map(item => item.name)).toEqual(['Scrubber', 'BWTS']);
+      expect(retrofitAppraisal.items[1].npv).toBeLessThan(0);
+      expect(retrofitAppraisal.items[1].irr).toBeNull();
+      expect(retrofitAppraisal.items[1].paybackPeriod).toBeNull();
+      expect(retrofitAppraisal.combined.npv)
+        .toBeCloseTo(retrofitAppraisal.items[0].npv + retrofitAppraisal.items[1].npv, 4);
+    });
+
+    test('should cut the fuel burn for fuel-saving retrofits', () => {
+      const fuelParameters = {
+        ...validParameters,
+        fuelConsumptionTonnesPerDay: 30,
+        fuelPricePerTonne: 600,
+        retrofits: [{ name: 'Propeller retrofit', type: 'energySaving', installationYear: 3, capex: 400000, fuelSavingPercent: 4 }]
+      };
+      const cashFlows = new VesselFinancialModel(fuelParameters).calculateCashFlows();
+
+      expect(cashFlows[3].fuelCost).toBeCloseTo(cashFlows[2].fuelCost * 0.96, 4);
+      expect(() => new VesselFinancialModel({ ...validParameters, retrofits: fuelParameters.retrofits }))
+        .toThrow('Retrofit "Propeller retrofit": fuelSavingPercent needs the vessel fuel consumption');
+    });
+
+    test('should validate retrofit items', () => {
+      expect(() => new VesselFinancialModel({ ...validParameters, retrofits: [{ name: 'ESD', capex: 100000 }] }))
+        .toThrow('Retrofit "ESD": installationYear is required');
+      expect(() => new VesselFinancialModel({ ...validParameters, retrofits: [{ ...scrubber, installationYear: 12 }] }))
+        .toThrow('Retrofit "Scrubber" is installed after the exit in year');
+      expect(new VesselFinancialModel(validParameters).calculateFinancialMetrics().retrofitAppraisal).toBeNull();
+    });
+
+    test('should describe the retrofits in the summary', () => {
+      const summary = new VesselFinancialModel(retrofitParameters).generateSummary();
+
+      expect(summary.retrofits).toBe('Scrubber in year 2 for $3,200,000 and 20 off-hire days, saves $950,000 of fuel a year');
+    });
+  });
+
+  describe('OPEX Escalation', () => {
+    test('should keep OPEX flat by default', () => {
+      const results = new VesselFinancialModel(validParameters).calculateFinancialMetrics();
+      results.cashFlows.slice(1).forEach(cf => {
+        expect(cf.opex).toBe(validParameters.opexPerDay * 365);
+      });
+    });
+
+    test('should inflate OPEX annually', () => {
+      const model = new VesselFinancialModel({ ...validParameters, opexEscalationPercent: 3 });
+      const results = model.calculateFinancialMetrics();
+
+      expect(results.cashFlows[1].opexRate).toBeCloseTo(4000, 6);
+      expect(results.cashFlows[3].opexRate).toBeCloseTo(4000 * 1.03 * 1.03, 6);
+      expect(results.cashFlows[3].opex).toBeCloseTo(4000 * 1.03 * 1.03 * 365, 4);
+    });
+
+    test('should step up OPEX once vessel reaches age threshold', () => {
+      const model = new VesselFinancialModel({
+        ...validParameters,
+        opexAgeThresholdYears: 15,
+        opexAgeStepUpPercent: 10
+      });
+
+      // Vessel is 10 at purchase, so year 6 starts at age 15
+      expect(model.getOpexPerDayForYear(5)).toBeCloseTo(4000, 6);
+      expect(model.getOpexPerDayForYear(6)).toBeCloseTo(4400, 6);
+      expect(model.generateSummary().operatingAssumptions.opexProfile).toContain('+10.0% from age 15');
+    });
+
+    test('should read a string age as a number for the step-up', () => {
+      const model = new VesselFinancialModel({
+        ...validParameters,
+        age: '10',
+        opexAgeThresholdYears: 15,
+        opexAgeStepUpPercent: 10
+      });
+
+      expect(model.parameters.age).toBe(10);
+      expect(model.getOpexPerDayForYear(1)).toBeCloseTo(4000, 6);
+      expect(model.getOpexPerDayForYear(6)).toBeCloseTo(4400, 6);
+    });
+
+    test('should reduce operating margin as costs rise', () => {
+      const flat = new VesselFinancialModel(validParameters).calculateFinancialMetrics();
+      const rising = new VesselFinancialModel({
+        ...validParameters,
+        opexEscalationPercent: 5,
+        opexAgeThresholdYears: 15,
+        opexAgeStepUpPercent: 10
+      }).calculateFinancialMetrics();
+
+      expect(rising.keyRatios.operatingMargin).toBeLessThan(flat.keyRatios.operatingMargin);
+      expect(rising.keyRatios.finalYearOperatingMargin).toBeLessThan(rising.keyRatios.firstYearOperatingMargin);
+      expect(flat.keyRatios.finalYearOperatingMargin).toBeCloseTo(flat.keyRatios.firstYearOperatingMargin, 10);
+    });
+  });
+
+  describe('Drydock Schedule', () => {
+    const drydockParameters = {
+      ...validParameters,
+      drydockIntervalYears: 5,
+      drydockCost: 1500000,
+      drydockOffHireDays: 20
+    };
+
+    test('should have no capex without a schedule', () => {
+      const results = new VesselFinancialModel(validParameters).calculateFinancialMetrics();
+      results.cashFlows.forEach(cf => expect(cf.capex).toBe(0));
+      expect(results.keyRatios.totalCapex).toBe(0);
+    });
+
+    test('should schedule drydocks by vessel age', () => {
+      const model = new VesselFinancialModel(drydockParameters);
+      const results = model.calculateFinancialMetrics();
+
+      // Vessel is 10 at purchase, so the only survey in 7 years falls at age 15 (year 5)
+      const eventYears = results.cashFlows.filter(cf => cf.drydockEvents > 0).map(cf => cf.year);
+      expect(eventYears).toEqual([5]);
+      expect(results.cashFlows[5].capex).toBe(1500000);
+      expect(results.cashFlows[5].offHireDays).toBe(20);
+      expect(results.keyRatios.totalCapex).toBe(1500000);
+    });
+
+    test('should schedule drydocks from a string age', () => {
+      const results = new VesselFinancialModel({ ...drydockParameters, age: '10' }).calculateFinancialMetrics();
+      const eventYears = results.cashFlows.filter(cf => cf.drydockEvents > 0).map(cf => cf.year);
+
+      expect(eventYears).toEqual([5]);
+      expect(results.keyRatios.totalCapex).toBe(1500000);
+      expect(results.cashFlows[5].offHireDays).toBe(20);
+    });
+
+    test('should handle fractional intervals', () => {
+      const model = new VesselFinancialModel({ ...drydockParameters, drydockIntervalYears: 2.5, analysisHorizonYears: 10 });
+      const eventYears = [];
+      for (let year = 1; year <= 10; year++) {
+        if (model.getDrydockEventsForYear(year) > 0) eventYears.push(year);
+      }
+
+      // Ages 12.5, 15, 17.5 and 20
+      expect(eventYears).toEqual([3, 5, 8, 10]);
+    });
+
+    test('should deduct cost and lost revenue in drydock years', () => {
+      const results = new VesselFinancialModel(drydockParameters).calculateFinancialMetrics();
+      const normalYear = results.cashFlows[4];
+      const drydockYear = results.cashFlows[5];
+      const lostRevenue = validParameters.dailyCharterRate * 20 * 0.85;
+
+      expect(normalYear.revenue - drydockYear.revenue).toBeCloseTo(lostRevenue, 2);
+      expect(normalYear.netCashFlow - drydockYear.netCashFlow).toBeCloseTo(lostRevenue + 1500000, 2);
+    });
+
+    test('should describe the drydock schedule in the summary', () => {
+      const results = new VesselFinancialModel(drydockParameters).calculateFinancialMetrics();
+      expect(results.summary.operatingAssumptions.drydockSchedule).toContain('Every 5 years');
+    });
   });
 
   describe('Financial Calculations', () => {
@@ -115,6 +773,193 @@ describe('VesselFinancialModel', () => {
       const results = model.calculateFinancialMetrics();
       expect(typeof results.paybackPeriod === 'number' || results.paybackPeriod === null).toBe(true);
     });
+
+    test('should build unlevered project cash flows from the full price', () => {
+      const results = model.calculateFinancialMetrics();
+      const [year0, year1] = results.cashFlows;
+      const finalYear = results.cashFlows[results.cashFlows.length - 1];
+
+      expect(year0.projectCashFlow).toBe(-validParameters.price);
+      expect(year1.projectCashFlow).toBeCloseTo(year1.ebitda - year1.capex, 2);
+      expect(year1.netCashFlow).toBeCloseTo(year1.projectCashFlow - year1.debtPayment, 2);
+      expect(finalYear.projectCashFlow).toBeCloseTo(finalYear.ebitda - finalYear.capex + validParameters.scrapValue, 2);
+    });
+
+    test('should report project and equity returns separately', () => {
+      const results = model.calculateFinancialMetrics();
+
+      expect(results.equityNpv).toBe(results.npv);
+      expect(results.equityIrr).toBe(results.irr);
+      expect(results.projectNpv).toBeCloseTo(model.calculateNPV(results.cashFlows, 'projectCashFlow'), 2);
+      // Leverage at 6.5% below the unlevered return lifts the equity IRR
+      expect(results.projectIrr).toBeGreaterThan(0.065);
+      expect(results.equityIrr).toBeGreaterThan(results.projectIrr);
+    });
+  });
+
+  describe('IRR Solver', () => {
+    const model = new VesselFinancialModel(validParameters);
+    const flows = (values) => values.map(netCashFlow => ({ netCashFlow }));
+
+    test('should converge on conventional cash flows', () => {
+      const result = model.solveIRR(flows([-100, 60, 60]));
+      expect(result.status).toBe('converged');
+      expect(result.irr).toBeCloseTo(0.1307, 4);
+    });
+
+    test('should find high returns that a 10% starting guess overshoots', () => {
+      const result = model.solveIRR(flows([-100, 0, 0, 0, 1000]));
+      expect(result.status).toBe('converged');
+      expect(result.irr).toBeCloseTo(Math.pow(10, 0.25) - 1, 4);
+    });
+
+    test('should report no IRR when cash flows never change sign', () => {
+      expect(model.solveIRR(flows([-100, -10, -5]))).toEqual({ irr: null, status: 'no_irr' });
+      expect(model.solveIRR(flows([100, 10]))).toEqual({ irr: null, status: 'no_irr' });
+    });
+
+    test('should report no IRR when NPV never crosses zero', () => {
+      expect(model.solveIRR(flows([-100, 250, -170]))).toEqual({ irr: null, status: 'no_irr' });
+    });
+
+    test('should detect multiple IRRs', () => {
+      // NPV is zero at both 10% and 20%
+      expect(model.solveIRR(flows([-100, 230, -132]))).toEqual({ irr: null, status: 'multiple_irrs' });
+    });
+
+    test('should return the IRR status with the results', () => {
+      const results = new VesselFinancialModel(validParameters).calculateFinancialMetrics();
+      expect(results.irrStatus).toBe('converged');
+      expect(results.projectIrrStatus).toBe('converged');
+
+      // Selling after two years of a seven-year loan leaves a large negative exit year
+      const earlyExit = new VesselFinancialModel({ ...validParameters, analysisHorizonYears: 2 }).calculateFinancialMetrics();
+      expect(earlyExit.irr).toBeNull();
+      expect(earlyExit.irrStatus).toBe('no_irr');
+    });
+  });
+
+  describe('Extended Return Metrics', () => {
+    const equity = 7500000;
+
+    test('should compute MIRR from the discount rate by default', () => {
+      const model = new VesselFinancialModel(validParameters);
+      const results = model.calculateFinancialMetrics();
+      const years = results.cashFlows.length - 1;
+      const inflows = results.cashFlows.reduce((sum, cf, index) =>
+        cf.netCashFlow > 0 ? sum + cf.netCashFlow * Math.pow(1.1, years - index) : sum, 0);
+
+      expect(results.financeRate).toBe(0.10);
+      expect(results.reinvestmentRate).toBe(0.10);
+      expect(results.mirr).toBeCloseTo(Math.pow(inflows / equity, 1 / years) - 1, 6);
+      // Reinvesting at 10% rather than the 7-8% IRR lifts the modified return
+      expect(results.mirr).toBeGreaterThan(results.irr);
+    });
+
+    test('should apply separate finance and reinvestment rates', () => {
+      const base = new VesselFinancialModel(validParameters).calculateFinancialMetrics();
+      const results = new VesselFinancialModel({
+        ...validParameters,
+        financeRatePercent: 7,
+        reinvestmentRatePercent: 4
+      }).calculateFinancialMetrics();
+
+      expect(results.financeRate).toBeCloseTo(0.07, 6);
+      expect(results.reinvestmentRate).toBeCloseTo(0.04, 6);
+      expect(results.mirr).toBeLessThan(base.mirr);
+    });
+
+    test('should compute equity multiple and profitability index', () => {
+      const results = new VesselFinancialModel(validParameters).calculateFinancialMetrics();
+      const returned = results.cashFlows.slice(1).reduce((sum, cf) => sum + Math.max(cf.netCashFlow, 0), 0);
+
+      expect(results.equityMultiple).toBeCloseTo(returned / equity, 6);
+      expect(results.profitabilityIndex).toBeCloseTo(1 + results.npv / equity, 6);
+    });
+
+    test('should take longer to pay back on a discounted basis', () => {
+      const results = new VesselFinancialModel({ ...validParameters, discountRatePercent: 5 }).calculateFinancialMetrics();
+
+      expect(results.discountedPaybackPeriod).toBeGreaterThan(results.paybackPeriod);
+      expect(new VesselFinancialModel(validParameters).calculateFinancialMetrics().discountedPaybackPeriod).toBeNull();
+    });
+
+    test('should report cash-on-cash yield by year excluding exit proceeds', () => {
+      const results = new VesselFinancialModel(validParameters).calculateFinancialMetrics();
+      const [, year1] = results.cashFlows;
+      const finalYear = results.cashFlows[results.cashFlows.length - 1];
+
+      expect(year1.cashOnCash).toBeCloseTo(year1.netCashFlow / equity, 6);
+      expect(finalYear.cashOnCash).toBeCloseTo((finalYear.netCashFlow - finalYear.terminalValue) / equity, 6);
+      expect(results.keyRatios.avgCashOnCash).toBeGreaterThan(0);
+    });
+
+    test('should exclude the balloon from cash-on-cash in the maturity year', () => {
+      const params = {
+        ...validParameters,
+        repaymentType: 'balloon',
+        repaymentProfileYears: 12,
+        balloonPercent: 40,
+        loanTermYears: 5,
+        analysisHorizonYears: 7
+      };
+      const results = new VesselFinancialModel(params).calculateFinancialMetrics();
+      const maturityYear = results.cashFlows[5];
+
+      expect(maturityYear.balloonPayment).toBeGreaterThan(0);
+      expect(maturityYear.cashOnCash).toBeCloseTo((maturityYear.netCashFlow + maturityYear.balloonPayment) / equity, 6);
+      expect(maturityYear.cashOnCash).toBeGreaterThan(0);
+      expect(results.keyRatios.avgCashOnCash).toBeGreaterThan(0);
+    });
+  });
+
+  describe('Breakeven Rates', () => {
+    const earningDays = 365 * 0.85;
+
+    test('should cover OPEX only at the OPEX breakeven', () => {
+      const { breakevenRates } = new VesselFinancialModel(validParameters).calculateFinancialMetrics();
+
+      expect(breakevenRates.byYear).toHaveLength(7);
+      expect(breakevenRates.byYear[0].opexBreakeven).toBeCloseTo(4000 * 365 / earningDays, 2);
+      expect(breakevenRates.average.opexBreakeven).toBeCloseTo(4000 * 365 / earningDays, 2);
+      expect(breakevenRates.headroom.opexBreakeven).toBeCloseTo(1 - breakevenRates.average.opexBreakeven / 18000, 6);
+    });
+
+    test('should leave no operating cash after debt service at the cash breakeven', () => {
+      const base = new VesselFinancialModel(validParameters).calculateFinancialMetrics();
+      const rates = base.breakevenRates.byYear.map(row => row.cashBreakeven);
+      const results = new VesselFinancialModel({ ...validParameters, charterRateSchedule: rates }).calculateFinancialMetrics();
+
+      expect(rates[0]).toBeCloseTo((base.cashFlows[1].opex + base.cashFlows[1].scheduledDebtService) / earningDays, 2);
+      expect(results.cashFlows[1].netCashFlow).toBeCloseTo(0, 2);
+    });
+
+    test('should earn exactly the target equity return at the target return breakeven', () => {
+      const base = new VesselFinancialModel({ ...validParameters, targetEquityReturnPercent: 12 }).calculateFinancialMetrics();
+      const rates = base.breakevenRates.byYear.map(row => row.targetReturnBreakeven);
+      const results = new VesselFinancialModel({
+        ...validParameters,
+        charterRateSchedule: rates,
+        discountRatePercent: 12
+      }).calculateFinancialMetrics();
+
+      expect(base.breakevenRates.targetEquityReturn).toBeCloseTo(0.12, 6);
+      expect(results.npv).toBeCloseTo(0, 0);
+      expect(results.irr).toBeCloseTo(0.12, 4);
+    });
+
+    test('should include drydock costs and off-hire in later-year breakevens', () => {
+      const { breakevenRates } = new VesselFinancialModel({
+        ...validParameters,
+        drydockIntervalYears: 5,
+        drydockCost: 1500000,
+        drydockOffHireDays: 20
+      }).calculateFinancialMetrics();
+      const [year4, year5] = breakevenRates.byYear.slice(3, 5);
+
+      expect(year5.opexBreakeven).toBeCloseTo(4000 * 365 / (345 * 0.85), 2);
+      expect(year5.cashBreakeven).toBeGreaterThan(year4.cashBreakeven + 1500000 / earningDays);
+    });
   });
 
   describe('Amortization Schedule', () => {
@@ -145,6 +990,386 @@ describe('VesselFinancialModel', () => {
     });
   });
 
+  describe('Repayment Structures', () => {
+    const loanAmount = validParameters.price * 0.7;
+
+    test('should default to annuity repayment', () => {
+      const model = new VesselFinancialModel(validParameters);
+      const schedule = model.calculateAmortizationSchedule();
+      const annualPayment = model.calculateAnnualLoanPayment(loanAmount, validParameters.loanTermYears);
+
+      expect(model.parameters.repaymentType).toBe('annuity');
+      schedule.forEach(row => {
+        expect(row.payment).toBeCloseTo(annualPayment, 2);
+        expect(row.balloon).toBe(0);
+      });
+    });
+
+    test('should repay equal principal with straight-line instalments', () => {
+      const model = new VesselFinancialModel({ ...validParameters, repaymentType: 'straightLine' });
+      const schedule = model.calculateAmortizationSchedule();
+
+      schedule.forEach(row => {
+        expect(row.principal).toBeCloseTo(loanAmount / 7, 2);
+      });
+      expect(schedule[0].interest).toBeGreaterThan(schedule[6].interest);
+      expect(Math.abs(schedule[6].endingBalance)).toBeLessThan(1);
+    });
+
+    test('should leave a balloon from a longer repayment profile', () => {
+      const model = new VesselFinancialModel({
+        ...validParameters,
+        repaymentType: 'balloon',
+        repaymentProfileYears: 15
+      });
+      const schedule = model.calculateAmortizationSchedule();
+      const expectedBalloon = loanAmount * (1 - 7 / 15);
+
+      expect(schedule[0].principal).toBeCloseTo(loanAmount / 15, 2);
+      expect(schedule[6].balloon).toBeCloseTo(expectedBalloon, 2);
+      expect(Math.abs(schedule[6].endingBalance)).toBeLessThan(1);
+    });
+
+    test('should accept an explicit balloon percentage', () => {
+      const model = new VesselFinancialModel({
+        ...validParameters,
+        repaymentType: 'balloon',
+        balloonPercent: 40
+      });
+      const schedule = model.calculateAmortizationSchedule();
+
+      expect(schedule[6].balloon).toBeCloseTo(loanAmount * 0.4, 2);
+      expect(schedule[0].principal).toBeCloseTo(loanAmount * 0.6 / 7, 2);
+    });
+
+    test('should show the balloon as a distinct debt service item', () => {
+      const results = new VesselFinancialModel({
+        ...validParameters,
+        repaymentType: 'balloon',
+        repaymentProfileYears: 15
+      }).calculateFinancialMetrics();
+      const maturityYear = results.cashFlows[7];
+
+      expect(maturityYear.balloonPayment).toBeGreaterThan(0);
+      expect(maturityYear.debtPayment).toBeCloseTo(maturityYear.scheduledDebtService + maturityYear.balloonPayment, 2);
+      expect(results.cashFlows[6].balloonPayment).toBe(0);
+      expect(results.summary.financingTerms).toContain('15-year profile');
+    });
+
+    test('should exclude the balloon from DSCR', () => {
+      const annuity = new VesselFinancialModel(validParameters).calculateFinancialMetrics();
+      const balloon = new VesselFinancialModel({
+        ...validParameters,
+        repaymentType: 'balloon',
+        repaymentProfileYears: 15
+      }).calculateFinancialMetrics();
+
+      expect(balloon.keyRatios.debtServiceCoverageRatio).toBeGreaterThan(annuity.keyRatios.debtServiceCoverageRatio);
+    });
+
+    test('should require a profile or balloon size for balloon loans', () => {
+      expect(() => new VesselFinancialModel({ ...validParameters, repaymentType: 'balloon' }).calculateFinancialMetrics())
+        .toThrow('Balloon repayment requires repaymentProfileYears or balloonPercent');
+    });
+
+    test('should reject unknown repayment types', () => {
+      expect(() => new VesselFinancialModel({ ...validParameters, repaymentType: 'bullet' }))
+        .toThrow('Parameter repaymentType must be one of');
+    });
+  });
+
+  describe('Grace Periods and Payment Frequency', () => {
+    const loanAmount = validParameters.price * 0.7;
+
+    test('should default to monthly instalments', () => {
+      const results = new VesselFinancialModel(validParameters).calculateFinancialMetrics();
+      expect(results.paymentSchedule).toHaveLength(7 * 12);
+    });
+
+    test('should collect quarterly instalments', () => {
+      const model = new VesselFinancialModel({ ...validParameters, paymentFrequency: 'quarterly' });
+      const periods = model.calculateLoanPeriods();
+      const periodRate = 0.065 / 4;
+
+      expect(periods).toHaveLength(28);
+      expect(periods[0].interest).toBeCloseTo(loanAmount * periodRate, 2);
+      expect(periods[0].payment).toBeCloseTo(model.calculatePeriodicPayment(loanAmount, periodRate, 28), 2);
+      expect(periods.filter(p => p.year === 1)).toHaveLength(4);
+    });
+
+    test('should collect semi-annual instalments', () => {
+      const model = new VesselFinancialModel({ ...validParameters, paymentFrequency: 'semiAnnual' });
+      const periods = model.calculateLoanPeriods();
+
+      expect(periods).toHaveLength(14);
+      expect(Math.abs(periods[13].closingBalance)).toBeLessThan(1);
+    });
+
+    test('should pay interest only during the grace period', () => {
+      const model = new VesselFinancialModel({
+        ...validParameters,
+        paymentFrequency: 'quarterly',
+        gracePeriodMonths: 12,
+        repaymentType: 'straightLine'
+      });
+      const periods = model.calculateLoanPeriods();
+
+      periods.slice(0, 4).forEach(period => {
+        expect(period.interestOnly).toBe(true);
+        expect(period.principal).toBe(0);
+        expect(period.closingBalance).toBe(loanAmount);
+      });
+      expect(periods[4].principal).toBeCloseTo(loanAmount / 24, 2);
+      expect(Math.abs(periods[27].closingBalance)).toBeLessThan(1);
+    });
+
+    test('should keep annual cash flows consistent with the schedule', () => {
+      const results = new VesselFinancialModel({
+        ...validParameters,
+        paymentFrequency: 'quarterly',
+        gracePeriodMonths: 18
+      }).calculateFinancialMetrics();
+
+      results.amortizationSchedule.forEach(row => {
+        const periodsInYear = results.paymentSchedule.filter(p => p.year === row.year);
+        const interest = periodsInYear.reduce((sum, p) => sum + p.interest, 0);
+        const principal = periodsInYear.reduce((sum, p) => sum + p.principal, 0);
+
+        expect(row.interest).toBeCloseTo(interest, 2);
+        expect(row.principal).toBeCloseTo(principal, 2);
+        expect(results.cashFlows[row.year].scheduledDebtService).toBeCloseTo(interest + principal, 2);
+      });
+      expect(results.amortizationSchedule[0].principal).toBe(0);
+      expect(results.summary.financingTerms).toContain('18-month interest-only grace');
+    });
+
+    test('should size the balloon from the amortizing period after grace', () => {
+      const model = new VesselFinancialModel({
+        ...validParameters,
+        repaymentType: 'balloon',
+        repaymentProfileYears: 15,
+        gracePeriodMonths: 12
+      });
+
+      expect(model.calculateBalloonAmount(loanAmount)).toBeCloseTo(loanAmount * (1 - 6 / 15), 2);
+    });
+
+    test('should reject a grace period covering the whole loan', () => {
+      expect(() => new VesselFinancialModel({ ...validParameters, gracePeriodMonths: 84 }).calculateLoanPeriods())
+        .toThrow('gracePeriodMonths must be shorter than the loan term');
+    });
+  });
+
+  describe('Floating-Rate Debt', () => {
+    const loanAmount = validParameters.price * 0.7;
+
+    test('should keep the fixed rate when no floating terms are given', () => {
+      const model = new VesselFinancialModel(validParameters);
+      expect(model.isFloatingRate()).toBe(false);
+      expect(model.getInterestRateForYear(3)).toBeCloseTo(0.065, 6);
+    });
+
+    test('should price a flat reference rate plus margin', () => {
+      const model = new VesselFinancialModel({ ...validParameters, referenceRatePercent: 4.3, marginPercent: 2.2 });
+      const periods = model.calculateLoanPeriods();
+
+      expect(model.getInterestRateForYear(1)).toBeCloseTo(0.065, 6);
+      expect(periods[0].interest).toBeCloseTo(loanAmount * 0.065 / 12, 2);
+      expect(model.generateSummary().financingTerms).toContain('reference rate 4.30% + 2.20% margin');
+    });
+
+    test('should reset interest from the reference curve each year', () => {
+      const model = new VesselFinancialModel({
+        ...validParameters,
+        referenceRateCurve: [4, 3.5, 3],
+        marginPercent: 2
+      });
+      const results = model.calculateFinancialMetrics();
+
+      expect(results.amortizationSchedule.map(row => row.interestRate).slice(0, 4))
+        .toEqual([0.06, 0.055, 0.05, 0.05].map(rate => expect.closeTo(rate, 6)));
+      const year2 = results.paymentSchedule.find(p => p.year === 2);
+      expect(year2.interest).toBeCloseTo(year2.openingBalance * 0.055 / 12, 2);
+      expect(Math.abs(results.paymentSchedule[results.paymentSchedule.length - 1].closingBalance)).toBeLessThan(1);
+    });
+
+    test('should blend swapped and floating shares of the loan', () => {
+      const model = new VesselFinancialModel({
+        ...validParameters,
+        referenceRateCurve: '5, 3',
+        marginPercent: 2,
+        swapCoveragePercent: 60,
+        swapRatePercent: 4
+      });
+
+      expect(model.getInterestRateForYear(1)).toBeCloseTo(0.6 * 0.04 + 0.4 * 0.05 + 0.02, 6);
+      expect(model.getInterestRateForYear(2)).toBeCloseTo(0.6 * 0.04 + 0.4 * 0.03 + 0.02, 6);
+      expect(model.describeInterestRate()).toContain('60% swapped at 4.00%');
+    });
+
+    test('should require a reference rate and a swap rate', () => {
+      expect(() => new VesselFinancialModel({ ...validParameters, marginPercent: 2 }).calculateLoanPeriods())
+        .toThrow('Floating-rate debt requires referenceRatePercent or referenceRateCurve');
+      expect(() => new VesselFinancialModel({
+        ...validParameters, referenceRatePercent: 4, marginPercent: 2, swapCoveragePercent: 50
+      }).calculateLoanPeriods()).toThrow('swapCoveragePercent requires swapRatePercent');
+    });
+  });
+
+  describe('Debt Tranches', () => {
+    const tranches = [
+      { name: 'Bank Loan', ranking: 'senior', sharePercent: 55, termYears: 7, interestRatePercent: 6 },
+      { name: 'Mezzanine', ranking: 'junior', amount: 2500000, termYears: 5, interestRatePercent: 11, repaymentType: 'straightLine' },
+      { name: 'Seller Credit', ranking: 'sellerCredit', amount: 1250000, termYears: 3, interestRatePercent: 4,
+        repaymentType: 'balloon', balloonPercent: 100 }
+    ];
+
+    test('should treat the single loan as one senior tranche', () => {
+      const results = new VesselFinancialModel(validParameters).calculateFinancialMetrics();
+
+      expect(results.debtTranches).toHaveLength(1);
+      expect(results.debtTranches[0]).toMatchObject({ name: 'Senior Loan', ranking: 'senior', amount: 17500000 });
+      expect(results.keyRatios.seniorDebtServiceCoverageRatio).toBeCloseTo(results.keyRatios.debtServiceCoverageRatio, 6);
+    });
+
+    test('should size equity as the price less total tranche debt', () => {
+      const model = new VesselFinancialModel({ ...validParameters, debtTranches: tranches });
+      const cashFlows = model.calculateCashFlows();
+
+      expect(model.getLoanAmount()).toBe(25000000 * 0.55 + 2500000 + 1250000);
+      expect(cashFlows[0].netCashFlow).toBeCloseTo(-(25000000 - model.getLoanAmount()), 2);
+    });
+
+    test('should schedule each tranche on its own terms', () => {
+      const results = new VesselFinancialModel({ ...validParameters, debtTranches: tranches }).calculateFinancialMetrics();
+      const [bank, mezzanine, seller] = results.debtTranches;
+
+      expect(bank.amortizationSchedule).toHaveLength(7);
+      expect(mezzanine.amortizationSchedule).toHaveLength(5);
+      expect(mezzanine.amortizationSchedule[0].principal).toBeCloseTo(500000, 2);
+      expect(seller.amortizationSchedule[2].balloon).toBeCloseTo(1250000, 2);
+      expect(results.paymentSchedule.filter(p => p.tranche === 'Mezzanine')).toHaveLength(60);
+
+      results.amortizationSchedule.forEach((row, index) => {
+        const interest = results.debtTranches
+          .map(debt => debt.amortizationSchedule[index])
+          .filter(Boolean)
+          .reduce((sum, tranche) => sum + tranche.interest, 0);
+        expect(row.interest).toBeCloseTo(interest, 2);
+      });
+      expect(results.cashFlows[3].balloonPayment).toBeCloseTo(1250000, 2);
+    });
+
+    test('should report senior and total debt service coverage', () => {
+      const results = new VesselFinancialModel({ ...validParameters, debtTranches: tranches }).calculateFinancialMetrics();
+      const year1 = results.cashFlows[1];
+
+      expect(year1.seniorDebtService).toBeCloseTo(results.debtTranches[0].amortizationSchedule[0].payment, 2);
+      expect(year1.seniorDebtService).toBeLessThan(year1.scheduledDebtService);
+      expect(results.keyRatios.seniorDebtServiceCoverageRatio)
+        .toBeGreaterThan(results.keyRatios.debtServiceCoverageRatio);
+      expect(results.summary.financingTerms).toContain("Seller Credit (seller's credit)");
+    });
+
+    test('should price floating tranches over the deal reference curve', () => {
+      const model = new VesselFinancialModel({
+        ...validParameters,
+        referenceRateCurve: [4, 3],
+        debtTranches: [{ name: 'Bank Loan', amount: 15000000, termYears: 7, marginPercent: 2.5 }]
+      });
+
+      expect(model.getInterestRateForYear(2)).toBeCloseTo(0.055, 6);
+    });
+
+    test('should reject incomplete or oversized tranches', () => {
+      expect(() => new VesselFinancialModel({ ...validParameters, debtTranches: [{ name: 'Junior', amount: 1000000 }] }))
+        .toThrow('Debt tranche "Junior": termYears is required');
+      expect(() => new VesselFinancialModel({
+        ...validParameters,
+        debtTranches: [{ sharePercent: 80, termYears: 7, interestRatePercent: 6 }, { sharePercent: 30, termYears: 5, interestRatePercent: 9 }]
+      })).toThrow('Debt tranches exceed the purchase price');
+      expect(() => new VesselFinancialModel({
+        ...validParameters,
+        debtTranches: [{ amount: 1000000, termYears: 5, interestRatePercent: 9, ranking: 'mezz' }]
+      })).toThrow('Parameter ranking must be one of');
+    });
+  });
+
+  describe('Covenant Testing', () => {
+    test('should value the vessel along its secondhand curve by default', () => {
+      const model = new VesselFinancialModel(validParameters);
+
+      // Bulk carrier curve: 48% of newbuild value at age 10, 38.4% at age 13, 10% from age 30
+      expect(model.getVesselValueForYear(0)).toBe(25000000);
+      expect(model.getVesselValueForYear(3)).toBeCloseTo(25000000 * 0.384 / 0.48, 2);
+      expect(model.getVesselValueForYear(20)).toBeCloseTo(25000000 * 0.1 / 0.48, 2);
+
+      const highScrap = new VesselFinancialModel({ ...validParameters, scrapValue: 6000000 });
+      expect(highScrap.getVesselValueForYear(20)).toBe(6000000);
+    });
+
+    test('should value the LTV test and the resale price from the same path', () => {
+      const curve = new VesselFinancialModel({ ...validParameters, exitYear: 6, maxLtvPercent: 80 })
+        .calculateFinancialMetrics();
+      const exit = curve.cashFlows[6];
+      expect(exit.terminalValue).toBeCloseTo(exit.vesselValue, 2);
+      expect(curve.keyRatios.covenantTests[4].vesselValue).toBeCloseTo(curve.cashFlows[5].vesselValue, 2);
+
+      const scheduled = new VesselFinancialModel({ ...validParameters, exitYear: 3, vesselValueSchedule: [23000000, 21000000, 19500000] });
+      expect(scheduled.calculateFinancialMetrics().cashFlows[3].terminalValue).toBe(19500000);
+      expect(scheduled.generateSummary().terminalValue).toContain('from the vessel value schedule');
+    });
+
+    test('should use a declining-balance curve or supplied values', () => {
+      const declining = new VesselFinancialModel({ ...validParameters, valueDepreciationPercent: 10 });
+      expect(declining.getVesselValueForYear(2)).toBeCloseTo(25000000 * 0.81, 2);
+
+      const supplied = new VesselFinancialModel({ ...validParameters, vesselValueSchedule: '22000000, 20000000' });
+      expect(supplied.getVesselValueForYear(1)).toBe(22000000);
+      expect(supplied.getVesselValueForYear(5)).toBe(20000000);
+    });
+
+    test('should not flag breaches without covenant thresholds', () => {
+      const results = new VesselFinancialModel(validParameters).calculateFinancialMetrics();
+
+      expect(results.keyRatios.covenantTests).toHaveLength(7);
+      expect(results.keyRatios.covenantBreachYears).toEqual([]);
+      expect(results.summary.covenants).toBeNull();
+    });
+
+    test('should flag LTV breaches with the prepayment needed to cure them', () => {
+      const results = new VesselFinancialModel({
+        ...validParameters,
+        vesselValueSchedule: [24000000, 15000000],
+        maxLtvPercent: 75
+      }).calculateFinancialMetrics();
+      const [year1, year2] = results.keyRatios.covenantTests;
+
+      expect(year1.ltv).toBeCloseTo(results.amortizationSchedule[0].endingBalance / 24000000, 6);
+      expect(year1.ltvBreach).toBe(false);
+      expect(year2.ltvBreach).toBe(true);
+      expect(year2.ltvCurePayment).toBeCloseTo(results.amortizationSchedule[1].endingBalance - 0.75 * 15000000, 2);
+      expect(results.keyRatios.covenantBreachYears).toContain(2);
+    });
+
+    test('should flag DSCR and minimum liquidity breaches', () => {
+      const results = new VesselFinancialModel({
+        ...validParameters,
+        minDscr: 1.5,
+        minLiquidity: 2000000,
+        openingCashBalance: 500000
+      }).calculateFinancialMetrics();
+      const year1 = results.keyRatios.covenantTests[0];
+      const cashFlow1 = results.cashFlows[1];
+
+      expect(cashFlow1.cashBalance).toBeCloseTo(500000 + cashFlow1.netCashFlow, 2);
+      expect(year1.dscr).toBeCloseTo(cashFlow1.ebitda / cashFlow1.scheduledDebtService, 6);
+      expect(year1.dscrBreach).toBe(true);
+      expect(year1.liquidityBreach).toBe(true);
+      expect(results.summary.covenants).toBe('min DSCR 1.50x, min liquidity $2,000,000');
+    });
+  });
+
   describe('Key Ratios', () => {
     test('should calculate debt service coverage ratio', () => {
       const model = new VesselFinancialModel(validParameters);
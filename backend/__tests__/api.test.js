@@ -139,6 +139,26 @@ describe('API Endpoints', () => {
       expect(response.body.aiResponse).toBe(mockResult.confirmation);
     });
 
+    test('POST /api/chatbot reports a dropped goal seek request', async () => {
+      const mockGemini = new GeminiAIService();
+      mockGemini.extractParameters.mockResolvedValue({
+        parameters: { vesselType: 'Bulk Carrier', price: 25000000 },
+        goalSeek: null,
+        goalSeekWarning: 'Goal seek target value must be a valid number',
+        confirmation: 'Parameters extracted successfully'
+      });
+
+      const response = await request(app)
+        .post('/api/chatbot')
+        .set(authHeaders)
+        .send({ message: 'What price gives a high IRR?' })
+        .expect(200);
+
+      expect(response.body.goalSeek).toBeNull();
+      expect(response.body.aiResponse).toBe('Parameters extracted successfully\n\n' +
+        "I couldn't set up that goal seek: Goal seek target value must be a valid number");
+    });
+
     test('POST /api/chatbot without message', async () => {
       const response = await request(app)
         .post('/api/chatbot')
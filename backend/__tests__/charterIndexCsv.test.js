@@ -0,0 +1,28 @@
+const { parseCharterIndexCsv } = require('../utils/charterIndexCsv');
+
+describe('parseCharterIndexCsv', () => {
+  test('should average observations into one rate per year and skip the header', () => {
+    const series = parseCharterIndexCsv('Date,Rate\n2019-01,12000\n2019-07,13000\n2020-01,"10,500"\n');
+
+    expect(series).toEqual([
+      { year: 2019, rate: 12500, observations: 2 },
+      { year: 2020, rate: 10500, observations: 1 }
+    ]);
+  });
+
+  test('should accept year-only and day-first dates', () => {
+    const series = parseCharterIndexCsv('2018,9000\n31/12/2019,11000');
+
+    expect(series.map(point => point.year)).toEqual([2018, 2019]);
+  });
+
+  test('should report the line of a malformed row', () => {
+    expect(() => parseCharterIndexCsv('2018,9000\n2019,n/a\n2020,11000'))
+      .toThrow('Line 2 must be a date and a rate');
+  });
+
+  test('should reject series with missing years or fewer than 2 years', () => {
+    expect(() => parseCharterIndexCsv('2018,9000\n2020,11000')).toThrow('no observations for 2019');
+    expect(() => parseCharterIndexCsv('2018-01,9000\n2018-02,9500')).toThrow('at least 2 years');
+  });
+});
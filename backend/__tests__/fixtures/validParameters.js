@@ -0,0 +1,20 @@
+/**
+ * Baseline vessel inputs shared by the model test suites: a 10-year-old Panamax bulk
+ * carrier on a seven-year loan. Suites spread it and override the fields under test.
+ */
+const validParameters = {
+  vesselType: 'Panamax Bulk Carrier',
+  age: 10,
+  price: 25000000,
+  dwt: 82000,
+  currency: 'USD',
+  downPaymentPercent: 30,
+  loanTermYears: 7,
+  interestRatePercent: 6.5,
+  dailyCharterRate: 18000,
+  opexPerDay: 4000,
+  utilizationPercent: 85,
+  scrapValue: 3750000
+};
+
+module.exports = { validParameters };
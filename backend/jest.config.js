@@ -11,6 +11,7 @@ module.exports = {
     '**/__tests__/**/*.js',
     '**/?(*.)+(spec|test).js'
   ],
+  testPathIgnorePatterns: ['/node_modules/', '/__tests__/fixtures/'],
   coverageDirectory: 'coverage',
   coverageReporters: [
     'text',
@@ -0,0 +1,140 @@
+/**
+ * Backtest
+ * Replays the deal against a historical charter index from every possible start year
+ */
+
+const VesselFinancialModel = require('./VesselFinancialModel');
+const { RESULT_METRICS } = require('./resultMetrics');
+const { percentile } = require('./statistics');
+
+const DEFAULT_LOOKBACK_YEARS = 20;
+const DEFAULT_MIN_HISTORY_YEARS = 5;
+
+class Backtest {
+  constructor(baseParameters, series) {
+    if (!baseParameters) {
+      throw new Error('Base parameters are required');
+    }
+    if (!Array.isArray(series) || series.length < 2) {
+      throw new Error('A charter index series with at least 2 years is required');
+    }
+    this.baseModel = new VesselFinancialModel(baseParameters);
+    this.baseParameters = baseParameters;
+    this.series = [...series].sort((a, b) => a.year - b.year);
+  }
+
+  /**
+   * Start years are the index years inside the lookback window that leave at least
+   * minHistoryYears of observed rates (capped at the analysis horizon).
+   */
+  resolveStartYears({ lookbackYears = DEFAULT_LOOKBACK_YEARS, minHistoryYears = DEFAULT_MIN_HISTORY_YEARS } = {}) {
+    const lookback = parseInt(lookbackYears);
+    const minHistory = parseInt(minHistoryYears);
+    if (isNaN(lookback) || lookback < 1 || lookback > 100) {
+      throw new Error('Lookback must be between 1 and 100 years');
+    }
+    if (isNaN(minHistory) || minHistory < 1) {
+      throw new Error('Minimum history must be at least 1 year');
+    }
+
+    const lastYear = this.series[this.series.length - 1].year;
+    const requiredYears = Math.min(minHistory, this.baseModel.analysisHorizon);
+    const startYears = this.series
+      .map(point => point.year)
+      .filter(year => year > lastYear - lookback && lastYear - year + 1 >= requiredYears);
+
+    if (startYears.length === 0) {
+      throw new Error(`The index needs at least ${requiredYears} years of rates inside the lookback window`);
+    }
+
+    return startYears;
+  }
+
+  /**
+   * Operating year 1 earns the index rate of the start year, year 2 the next year's rate
+   * and so on; the model carries the last observed rate forward once the index runs out.
+   * Any fixed-period or spot charter on the deal is dropped so every year earns the index,
+   * and the start year sets the calendar years for the EU ETS phase-in and CII factors.
+   * With scaleToCurrentRate the index is rescaled so its latest value equals the deal's
+   * daily charter rate, for vessels that trade at a premium or discount to the index.
+   */
+  runVintage(startYear, scale) {
+    const rates = this.series
+      .filter(point => point.year >= startYear)
+      .slice(0, this.baseModel.analysisHorizon)
+      .map(point => Math.round(point.rate * scale));
+
+    const results = new VesselFinancialModel({
+      ...this.baseParameters,
+      startYear,
+      charterRateSchedule: rates,
+      charterEscalationPercent: 0,
+      fixedCharterYears: null,
+      fixedCharterRate: null,
+      spotCharterRate: null
+    }).calculateFinancialMetrics();
+
+    return {
+      startYear,
+      historicalYears: rates.length,
+      averageRate: Math.round(rates.reduce((sum, rate) => sum + rate, 0) / rates.length),
+      npv: results.npv,
+      irr: results.irr,
+      paybackPeriod: results.paybackPeriod,
+      minimumDscr: RESULT_METRICS.minimumDscr.read(results)
+    };
+  }
+
+  summarize(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+      min: sorted.length > 0 ? sorted[0] : null,
+      p10: percentile(sorted, 0.1),
+      p50: percentile(sorted, 0.5),
+      p90: percentile(sorted, 0.9),
+      max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+      mean: sorted.length > 0 ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : null
+    };
+  }
+
+  /**
+   * The worst vintage is the one with the lowest equity IRR; vintages without a
+   * meaningful IRR rank below every other, and ties fall back to equity NPV.
+   */
+  run(options = {}) {
+    const startYears = this.resolveStartYears(options);
+    const latestRate = this.series[this.series.length - 1].rate;
+    const scale = options.scaleToCurrentRate && latestRate > 0
+      ? this.baseModel.parameters.dailyCharterRate / latestRate
+      : 1;
+
+    const vintages = startYears.map(startYear => {
+      try {
+        return this.runVintage(startYear, scale);
+      } catch (error) {
+        throw new Error(`Vintage ${startYear}: ${error.message}`);
+      }
+    });
+
+    const irrs = vintages.filter(vintage => vintage.irr !== null).map(vintage => vintage.irr);
+    const rank = (vintage) => [vintage.irr === null ? -Infinity : vintage.irr, vintage.npv];
+    const byOutcome = [...vintages].sort((a, b) => {
+      const [irrA, npvA] = rank(a);
+      const [irrB, npvB] = rank(b);
+      return irrA - irrB || npvA - npvB;
+    });
+
+    return {
+      indexYears: { from: this.series[0].year, to: this.series[this.series.length - 1].year },
+      scale,
+      vintages,
+      irr: { ...this.summarize(irrs), notMeaningfulCount: vintages.length - irrs.length },
+      npv: this.summarize(vintages.map(vintage => vintage.npv)),
+      probabilityNegativeNpv: vintages.filter(vintage => vintage.npv < 0).length / vintages.length,
+      worstVintage: byOutcome[0],
+      bestVintage: byOutcome[byOutcome.length - 1]
+    };
+  }
+}
+
+module.exports = Backtest;
@@ -0,0 +1,159 @@
+/**
+ * Data Table
+ * Two-way grid of one metric across two inputs, as in a spreadsheet data table
+ */
+
+const VesselFinancialModel = require('./VesselFinancialModel');
+const { PARAMETER_RULES } = require('../utils/parameterRules');
+const { RESULT_METRICS } = require('./resultMetrics');
+const { MODEL_RUNS_PER_CHUNK, yieldToEventLoop } = require('./eventLoop');
+
+const MAX_AXIS_POINTS = 25;
+
+// Model errors meaning a cell's combination of inputs is infeasible, e.g. a grace period
+// as long as the loan; any other error is a genuine failure and is rethrown
+const INFEASIBLE_INPUT_ERRORS = [
+  /Parameter \w+ must be/,
+  /leaves no remaining life before scrap age/,
+  /Debt tranches exceed the purchase price/,
+  /repaymentProfileYears must cover the amortizing period/,
+  /gracePeriodMonths must be shorter than the loan term/,
+  /is installed after the exit/
+];
+
+class DataTable {
+  constructor(baseParameters) {
+    if (!baseParameters) {
+      throw new Error('Base parameters are required');
+    }
+    this.baseParameters = baseParameters;
+  }
+
+  /**
+   * Axis values are either listed explicitly or spread evenly from min to max over
+   * `points` values. Values must sit inside the same bounds as the parameter rules.
+   */
+  buildAxis(axis, name) {
+    if (!axis || !axis.variable) {
+      throw new Error(`The ${name} axis needs a variable`);
+    }
+    const rules = PARAMETER_RULES[axis.variable];
+    if (!rules || rules.type !== 'number') {
+      throw new Error(`Parameter ${axis.variable} cannot be used as a data table axis`);
+    }
+
+    let values;
+    if (Array.isArray(axis.values)) {
+      values = axis.values.map(value => parseFloat(value));
+    } else {
+      const min = parseFloat(axis.min);
+      const max = parseFloat(axis.max);
+      const points = parseInt(axis.points);
+      if (isNaN(min) || isNaN(max) || min >= max || isNaN(points) || points < 2) {
+        throw new Error(`The ${name} axis needs values, or min < max and at least 2 points`);
+      }
+      values = Array.from({ length: points }, (_, i) => min + (max - min) * i / (points - 1));
+    }
+
+    if (rules.integer) {
+      values = [...new Set(values.map(value => Math.round(value)))];
+    }
+    if (values.length === 0 || values.length > MAX_AXIS_POINTS) {
+      throw new Error(`The ${name} axis must have between 1 and ${MAX_AXIS_POINTS} values`);
+    }
+    if (values.some(value => isNaN(value) || value < rules.min || value > rules.max)) {
+      throw new Error(`Parameter ${axis.variable} must be between ${rules.min} and ${rules.max}`);
+    }
+
+    return { variable: axis.variable, values };
+  }
+
+  // One cell; infeasible inputs and metrics without a value (e.g. no IRR) give null
+  evaluate(parameters, metric) {
+    let value;
+    try {
+      value = metric.read(new VesselFinancialModel(parameters).calculateFinancialMetrics());
+    } catch (error) {
+      if (INFEASIBLE_INPUT_ERRORS.some(pattern => pattern.test(error.message))) {
+        return null;
+      }
+      throw error;
+    }
+
+    if (!Number.isFinite(value)) {
+      return null;
+    }
+    return metric.percent ? value * 100 : value;
+  }
+
+  /**
+   * Runs the model for every row/column pair. The metric and hurdle are in the same
+   * units as goal seek targets (percent for rates); every metric here is higher-is-better,
+   * so a cell meets the hurdle when it is at or above it. Cells run in chunks with a
+   * yield to the event loop between them.
+   */
+  async build({ metric: metricKey, rowAxis, columnAxis, hurdle }) {
+    const metric = RESULT_METRICS[metricKey];
+    if (!metric) {
+      throw new Error(`Metric must be one of: ${Object.keys(RESULT_METRICS).join(', ')}`);
+    }
+    const rows = this.buildAxis(rowAxis, 'row');
+    const columns = this.buildAxis(columnAxis, 'column');
+    if (rows.variable === columns.variable) {
+      throw new Error('Row and column axes must use different variables');
+    }
+
+    const hurdleValue = hurdle === undefined || hurdle === null || hurdle === '' ? null : parseFloat(hurdle);
+    if (Number.isNaN(hurdleValue)) {
+      throw new Error('Hurdle must be a valid number');
+    }
+
+    const cells = [];
+    let runs = 0;
+    for (const rowValue of rows.values) {
+      const row = [];
+      for (const columnValue of columns.values) {
+        if (runs > 0 && runs % MODEL_RUNS_PER_CHUNK === 0) {
+          await yieldToEventLoop();
+        }
+        runs++;
+
+        const value = this.evaluate({
+          ...this.baseParameters,
+          [rows.variable]: rowValue,
+          [columns.variable]: columnValue
+        }, metric);
+        row.push({
+          value,
+          meetsHurdle: hurdleValue === null || value === null ? null : value >= hurdleValue
+        });
+      }
+      cells.push(row);
+    }
+
+    return {
+      metric: metricKey,
+      metricLabel: metric.label,
+      percent: metric.percent,
+      hurdle: hurdleValue,
+      rowAxis: rows,
+      columnAxis: columns,
+      cells
+    };
+  }
+
+  // CSV with the column axis across the top and the row axis down the side
+  toCSV(table) {
+    const header = [`${table.rowAxis.variable} \\ ${table.columnAxis.variable}`, ...table.columnAxis.values];
+    const lines = table.rowAxis.values.map((rowValue, i) =>
+      [rowValue, ...table.cells[i].map(cell => (cell.value === null ? '' : cell.value))]);
+
+    return [
+      `# ${table.metricLabel}${table.percent ? ' (%)' : ''}${table.hurdle !== null ? `, hurdle ${table.hurdle}` : ''}`,
+      header.join(','),
+      ...lines.map(line => line.join(','))
+    ].join('\n');
+  }
+}
+
+module.exports = DataTable;
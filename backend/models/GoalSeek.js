@@ -0,0 +1,174 @@
+/**
+ * Goal Seek
+ * Solves for the value of one input that makes a financial metric hit a target
+ */
+
+const VesselFinancialModel = require('./VesselFinancialModel');
+const { PARAMETER_RULES } = require('../utils/parameterRules');
+const { RESULT_METRICS } = require('./resultMetrics');
+
+const SCAN_POINTS = 40;
+const MAX_ITERATIONS = 100;
+
+class GoalSeek {
+  constructor(baseParameters) {
+    if (!baseParameters) {
+      throw new Error('Base parameters are required');
+    }
+    this.baseParameters = baseParameters;
+  }
+
+  getSearchBounds(variable, bounds = {}) {
+    const rules = PARAMETER_RULES[variable];
+    if (!rules || rules.type !== 'number') {
+      throw new Error(`Parameter ${variable} cannot be solved for`);
+    }
+
+    const min = bounds.min !== undefined && bounds.min !== null ? parseFloat(bounds.min) : rules.min;
+    const max = bounds.max !== undefined && bounds.max !== null ? parseFloat(bounds.max) : rules.max;
+    if (isNaN(min) || isNaN(max) || min < rules.min || max > rules.max || min >= max) {
+      throw new Error(`Bounds for ${variable} must be between ${rules.min} and ${rules.max}`);
+    }
+
+    return { min, max };
+  }
+
+  // Metric for one trial value, or null when the inputs are invalid or the metric is undefined
+  evaluate(variable, value, metric) {
+    try {
+      const model = new VesselFinancialModel({ ...this.baseParameters, [variable]: value });
+      const results = model.calculateFinancialMetrics();
+      const achieved = metric.read(results);
+      return Number.isFinite(achieved) ? { achieved, results } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Trial values fanning out from the current input, densest near it
+  buildScanGrid(variable, min, max) {
+    if (PARAMETER_RULES[variable].integer) {
+      const first = Math.ceil(min);
+      return Array.from({ length: Math.floor(max) - first + 1 }, (_, i) => first + i);
+    }
+
+    const current = parseFloat(this.baseParameters[variable]);
+    const origin = current >= min && current <= max ? current : (min + max) / 2;
+    const steps = Array.from({ length: SCAN_POINTS / 2 }, (_, i) => Math.pow((i + 1) / (SCAN_POINTS / 2), 3));
+    return [
+      ...steps.map(step => origin - (origin - min) * step).reverse(),
+      origin,
+      ...steps.map(step => origin + (max - origin) * step)
+    ].filter((value, i, grid) => i === 0 || value > grid[i - 1]);
+  }
+
+  /**
+   * Scans the bounds for the interval closest to the current input where the metric
+   * crosses the target, then bisects it. Trial values where the model rejects the inputs
+   * or the metric is not meaningful (e.g. no IRR) are skipped rather than treated as
+   * crossings. Whole-year inputs return the year in the crossing that lands nearer the target.
+   */
+  solve({ targetMetric, targetValue, variable, bounds }) {
+    const metric = RESULT_METRICS[targetMetric];
+    if (!metric) {
+      throw new Error(`Target metric must be one of: ${Object.keys(RESULT_METRICS).join(', ')}`);
+    }
+    const requestedTarget = parseFloat(targetValue);
+    if (isNaN(requestedTarget)) {
+      throw new Error('Target value must be a valid number');
+    }
+
+    const target = metric.percent ? requestedTarget / 100 : requestedTarget;
+    const { min, max } = this.getSearchBounds(variable, bounds);
+    const gap = (value) => {
+      const trial = this.evaluate(variable, value, metric);
+      return trial ? { ...trial, value, gap: trial.achieved - target } : null;
+    };
+    const solution = (point, iterations) =>
+      this.formatSolution(variable, targetMetric, requestedTarget, metric, point, iterations);
+
+    const grid = this.buildScanGrid(variable, min, max);
+    const points = grid.map(gap);
+    let iterations = points.length;
+
+    const exact = points.find(point => point && point.gap === 0);
+    if (exact) {
+      return solution(exact, iterations);
+    }
+
+    const current = parseFloat(this.baseParameters[variable]);
+    const anchor = Number.isFinite(current) ? current : (min + max) / 2;
+    const crossings = points.slice(1)
+      .map((point, i) => [points[i], point])
+      .filter(([a, b]) => a && b && Math.sign(a.gap) !== Math.sign(b.gap))
+      .sort(([a], [b]) => Math.abs(a.value - anchor) - Math.abs(b.value - anchor));
+
+    if (crossings.length === 0) {
+      throw new Error(`${metric.label} of ${requestedTarget}${metric.percent ? '%' : ''} cannot be reached by varying ${variable} between ${min} and ${max}`);
+    }
+
+    let [lower, upper] = crossings[0];
+    let best = Math.abs(lower.gap) < Math.abs(upper.gap) ? lower : upper;
+    if (PARAMETER_RULES[variable].integer) {
+      return solution(best, iterations);
+    }
+
+    const tolerance = (max - min) * 1e-10;
+    for (let i = 0; i < MAX_ITERATIONS && upper.value - lower.value > tolerance; i++) {
+      const point = gap((lower.value + upper.value) / 2);
+      iterations++;
+      if (!point) {
+        break;
+      }
+      if (Math.abs(point.gap) < Math.abs(best.gap)) {
+        best = point;
+      }
+      if (point.gap === 0) {
+        break;
+      }
+      if (Math.sign(point.gap) === Math.sign(lower.gap)) {
+        lower = point;
+      } else {
+        upper = point;
+      }
+    }
+
+    return solution(best, iterations);
+  }
+
+  describeSolution(solution) {
+    const metric = RESULT_METRICS[solution.targetMetric];
+    const formatInput = (value) => {
+      if (solution.variable.endsWith('Percent')) {
+        return `${value.toFixed(2)}%`;
+      }
+      return Math.abs(value) >= 1000 ? Math.round(value).toLocaleString() : String(Math.round(value * 100) / 100);
+    };
+    const formatMetric = (value) => {
+      if (metric.percent) {
+        return `${value.toFixed(2)}%`;
+      }
+      // Round first so a solved NPV of -0.004 does not print as -$0
+      return metric.currency ? `$${(Math.round(value) || 0).toLocaleString()}` : value.toFixed(2);
+    };
+
+    return `Setting ${solution.variable} to ${formatInput(solution.solvedValue)} gives ` +
+      `${metric.label} of ${formatMetric(solution.achievedValue)} ` +
+      `(target ${formatMetric(solution.targetValue)}).`;
+  }
+
+  formatSolution(variable, targetMetric, targetValue, metric, point, iterations) {
+    return {
+      variable,
+      solvedValue: point.value,
+      targetMetric,
+      targetValue,
+      achievedValue: metric.percent ? point.achieved * 100 : point.achieved,
+      iterations,
+      parameters: { ...this.baseParameters, [variable]: point.value },
+      results: point.results
+    };
+  }
+}
+
+module.exports = GoalSeek;
@@ -0,0 +1,239 @@
+/**
+ * Monte Carlo Simulation
+ * Runs the financial model over sampled charter, utilization, OPEX and residual value paths
+ */
+
+const VesselFinancialModel = require('./VesselFinancialModel');
+const { percentile } = require('./statistics');
+const { MODEL_RUNS_PER_CHUNK, yieldToEventLoop } = require('./eventLoop');
+
+const DEFAULT_ITERATIONS = 1000;
+const MAX_ITERATIONS = 2000;
+const HISTOGRAM_BINS = 20;
+const DISTRIBUTIONS = ['normal', 'uniform', 'triangular'];
+
+// Mulberry32: small, fast and deterministic for a given 32-bit seed
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Box-Muller; 1 - random() keeps the log argument away from zero
+const standardNormal = (random) =>
+  Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+class MonteCarloSimulation {
+  constructor(baseParameters, config = {}) {
+    this.baseModel = new VesselFinancialModel(baseParameters);
+    this.baseParameters = baseParameters;
+    this.config = this.resolveConfig(config);
+  }
+
+  /**
+   * Fills in defaults around the base case. Utilization and OPEX inflation are in percent,
+   * the residual value in percent of the base scrap value, and the charter process is a
+   * mean-reverting (Ornstein-Uhlenbeck) process on the log of the market rate.
+   */
+  resolveConfig(config) {
+    const { dailyCharterRate, spotCharterRate, utilizationPercent, opexEscalationPercent } = this.baseModel.parameters;
+    const iterations = config.iterations !== undefined ? parseInt(config.iterations) : DEFAULT_ITERATIONS;
+    if (isNaN(iterations) || iterations < 1 || iterations > MAX_ITERATIONS) {
+      throw new Error(`Iterations must be between 1 and ${MAX_ITERATIONS}`);
+    }
+
+    // A random seed is drawn when none is given and returned so the run can be repeated
+    const seed = config.seed !== undefined && config.seed !== null
+      ? parseInt(config.seed)
+      : Math.floor(Math.random() * 4294967296);
+    if (isNaN(seed)) {
+      throw new Error('Seed must be an integer');
+    }
+
+    const charter = config.charter || {};
+    const resolved = {
+      iterations,
+      seed,
+      charter: {
+        startRate: parseFloat(charter.startRate) || dailyCharterRate,
+        longRunRate: parseFloat(charter.longRunRate) || (spotCharterRate !== null ? spotCharterRate : dailyCharterRate),
+        reversionSpeed: charter.reversionSpeed !== undefined ? parseFloat(charter.reversionSpeed) : 0.5,
+        volatilityPercent: charter.volatilityPercent !== undefined ? parseFloat(charter.volatilityPercent) : 25
+      },
+      utilization: this.resolveDistribution(config.utilization, 'utilization',
+        { distribution: 'normal', mean: utilizationPercent * 100, stdDev: 3 }),
+      opexInflation: this.resolveDistribution(config.opexInflation, 'opexInflation',
+        { distribution: 'normal', mean: (opexEscalationPercent || 0) * 100, stdDev: 1 }),
+      residualValue: this.resolveDistribution(config.residualValue, 'residualValue',
+        { distribution: 'normal', mean: 100, stdDev: 20 })
+    };
+
+    const { reversionSpeed, volatilityPercent } = resolved.charter;
+    if (isNaN(reversionSpeed) || reversionSpeed < 0 || reversionSpeed > 1) {
+      throw new Error('Charter reversionSpeed must be between 0 and 1');
+    }
+    if (isNaN(volatilityPercent) || volatilityPercent < 0 || volatilityPercent > 200) {
+      throw new Error('Charter volatilityPercent must be between 0 and 200');
+    }
+
+    return resolved;
+  }
+
+  resolveDistribution(input, name, defaults) {
+    const spec = { ...defaults, ...(input || {}) };
+    if (!DISTRIBUTIONS.includes(spec.distribution)) {
+      throw new Error(`Distribution for ${name} must be one of: ${DISTRIBUTIONS.join(', ')}`);
+    }
+
+    const fields = { normal: ['mean', 'stdDev'], uniform: ['min', 'max'], triangular: ['min', 'mode', 'max'] }[spec.distribution];
+    const resolved = { distribution: spec.distribution };
+    for (const field of fields) {
+      resolved[field] = parseFloat(spec[field]);
+      if (isNaN(resolved[field])) {
+        throw new Error(`Distribution for ${name} needs a numeric ${field}`);
+      }
+    }
+    if (spec.distribution === 'normal' && resolved.stdDev < 0) {
+      throw new Error(`Distribution for ${name} needs a non-negative stdDev`);
+    }
+    if (spec.distribution !== 'normal' && (resolved.min > resolved.max ||
+        (spec.distribution === 'triangular' && (resolved.mode < resolved.min || resolved.mode > resolved.max)))) {
+      throw new Error(`Distribution for ${name} needs min <= ${spec.distribution === 'triangular' ? 'mode <= ' : ''}max`);
+    }
+
+    return resolved;
+  }
+
+  sample(spec, random) {
+    if (spec.distribution === 'uniform') {
+      return spec.min + (spec.max - spec.min) * random();
+    }
+    if (spec.distribution === 'triangular') {
+      const u = random();
+      const { min, mode, max } = spec;
+      const split = max > min ? (mode - min) / (max - min) : 0;
+      return u < split
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+    return spec.mean + spec.stdDev * standardNormal(random);
+  }
+
+  /**
+   * Yearly market charter rates: the log rate reverts towards the long-run rate by
+   * reversionSpeed of the gap each year, plus a normal shock with the given volatility.
+   */
+  sampleCharterPath(random, years) {
+    const { startRate, longRunRate, reversionSpeed, volatilityPercent } = this.config.charter;
+    const longRunLog = Math.log(longRunRate);
+    const path = [];
+    let logRate = Math.log(startRate);
+
+    for (let year = 1; year <= years; year++) {
+      logRate += reversionSpeed * (longRunLog - logRate) + (volatilityPercent / 100) * standardNormal(random);
+      path.push(clamp(Math.exp(logRate), 0, 1000000));
+    }
+
+    return path;
+  }
+
+  // One path's inputs; sampled values are clamped to the ranges the model accepts, and on a
+  // resale exit the residual value draw scales the sale price as well as the scrap value
+  sampleParameters(random) {
+    const { scrapValue, exitMode } = this.baseModel.parameters;
+    const parameters = {
+      ...this.baseParameters,
+      charterRateSchedule: this.sampleCharterPath(random, this.baseModel.analysisHorizon),
+      charterEscalationPercent: 0,
+      utilizationPercent: clamp(this.sample(this.config.utilization, random), 1, 100),
+      opexEscalationPercent: clamp(this.sample(this.config.opexInflation, random), -20, 50)
+    };
+    const residualShare = Math.max(0, this.sample(this.config.residualValue, random) / 100);
+
+    parameters.scrapValue = scrapValue * residualShare;
+    if (exitMode === 'resale') {
+      parameters.exitValue = this.baseModel.getExitValue() * residualShare;
+    }
+
+    return parameters;
+  }
+
+  buildHistogram(values, bins = HISTOGRAM_BINS) {
+    if (values.length === 0) {
+      return [];
+    }
+    const min = values[0];
+    const max = values[values.length - 1];
+    const width = (max - min) / bins || 1;
+    const histogram = Array.from({ length: bins }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+
+    for (const value of values) {
+      histogram[Math.min(bins - 1, Math.floor((value - min) / width))].count++;
+    }
+
+    return histogram;
+  }
+
+  summarize(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+      p10: percentile(sorted, 0.1),
+      p50: percentile(sorted, 0.5),
+      p90: percentile(sorted, 0.9),
+      mean: sorted.length > 0 ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : null,
+      histogram: this.buildHistogram(sorted)
+    };
+  }
+
+  /**
+   * A path breaches DSCR when any debt service year falls below the minDscr covenant,
+   * or below 1.00x (EBITDA not covering debt service) when no covenant is set.
+   * Paths run in chunks with a yield to the event loop between them.
+   */
+  async run() {
+    const random = createRandom(this.config.seed);
+    const { minDscr } = this.baseModel.parameters;
+    const dscrThreshold = minDscr !== null ? minDscr : 1;
+    const npvs = [];
+    const irrs = [];
+    let negativeNpvCount = 0;
+    let dscrBreachCount = 0;
+
+    for (let i = 0; i < this.config.iterations; i++) {
+      if (i > 0 && i % MODEL_RUNS_PER_CHUNK === 0) {
+        await yieldToEventLoop();
+      }
+
+      const results = new VesselFinancialModel(this.sampleParameters(random)).calculateFinancialMetrics();
+      npvs.push(results.npv);
+      if (results.irr !== null) {
+        irrs.push(results.irr);
+      }
+      if (results.npv < 0) {
+        negativeNpvCount++;
+      }
+      if (results.keyRatios.covenantTests.some(test => test.dscr < dscrThreshold)) {
+        dscrBreachCount++;
+      }
+    }
+
+    return {
+      config: this.config,
+      iterations: this.config.iterations,
+      npv: this.summarize(npvs),
+      irr: { ...this.summarize(irrs), notMeaningfulCount: this.config.iterations - irrs.length },
+      probabilityNegativeNpv: negativeNpvCount / this.config.iterations,
+      probabilityDscrBreach: dscrBreachCount / this.config.iterations,
+      dscrThreshold
+    };
+  }
+}
+
+module.exports = MonteCarloSimulation;
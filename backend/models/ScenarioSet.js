@@ -0,0 +1,93 @@
+/**
+ * Scenario Set
+ * Named scenarios defined as overrides of the base parameters, calculated together
+ */
+
+const VesselFinancialModel = require('./VesselFinancialModel');
+const { RESULT_METRICS } = require('./resultMetrics');
+
+const SCENARIO_TYPES = ['upside', 'downside', 'custom'];
+const MAX_SCENARIOS = 10;
+
+class ScenarioSet {
+  constructor(baseParameters, scenarios = []) {
+    if (!baseParameters) {
+      throw new Error('Base parameters are required');
+    }
+    this.baseParameters = baseParameters;
+    this.scenarios = this.validateScenarios(scenarios);
+  }
+
+  validateScenarios(scenarios) {
+    if (!Array.isArray(scenarios)) {
+      throw new Error('Scenarios must be an array');
+    }
+    if (scenarios.length > MAX_SCENARIOS) {
+      throw new Error(`At most ${MAX_SCENARIOS} scenarios can be evaluated together`);
+    }
+
+    const names = new Set(['base']);
+    return scenarios.map((scenario, index) => {
+      const name = typeof scenario?.name === 'string' ? scenario.name.trim() : '';
+      if (!name) {
+        throw new Error(`Scenario ${index + 1} needs a name`);
+      }
+      if (names.has(name.toLowerCase())) {
+        throw new Error(`Scenario name "${name}" is already used`);
+      }
+      names.add(name.toLowerCase());
+
+      const type = scenario.type || 'custom';
+      if (!SCENARIO_TYPES.includes(type)) {
+        throw new Error(`Scenario "${name}": type must be one of: ${SCENARIO_TYPES.join(', ')}`);
+      }
+      const overrides = scenario.overrides || {};
+      if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error(`Scenario "${name}": overrides must be an object of parameter values`);
+      }
+
+      return { name, type, overrides };
+    });
+  }
+
+  // Headline figures kept per scenario; full schedules stay with the base results
+  summarizeResults(results) {
+    return {
+      npv: results.npv,
+      irr: results.irr,
+      irrStatus: results.irrStatus,
+      projectNpv: results.projectNpv,
+      projectIrr: results.projectIrr,
+      paybackPeriod: results.paybackPeriod,
+      equityMultiple: results.equityMultiple,
+      avgDscr: results.keyRatios.debtServiceCoverageRatio,
+      minimumDscr: RESULT_METRICS.minimumDscr.read(results),
+      covenantBreachYears: results.keyRatios.covenantBreachYears,
+      cashFlows: results.cashFlows.map(({ year, netCashFlow, cumulativeCashFlow }) =>
+        ({ year, netCashFlow, cumulativeCashFlow }))
+    };
+  }
+
+  /**
+   * Calculates the base case and every scenario. Overrides are merged over the base
+   * parameters, so a scenario only lists what it changes.
+   */
+  run(baseResults = null) {
+    const base = baseResults || new VesselFinancialModel(this.baseParameters).calculateFinancialMetrics();
+
+    return [
+      { name: 'Base', type: 'base', overrides: {}, results: this.summarizeResults(base) },
+      ...this.scenarios.map(scenario => {
+        try {
+          const results = new VesselFinancialModel({ ...this.baseParameters, ...scenario.overrides })
+            .calculateFinancialMetrics();
+          return { ...scenario, results: this.summarizeResults(results) };
+        } catch (error) {
+          throw new Error(`Scenario "${scenario.name}": ${error.message}`);
+        }
+      })
+    ];
+  }
+}
+
+module.exports = ScenarioSet;
@@ -0,0 +1,173 @@
+/**
+ * Sensitivity Analysis
+ * Flexes one driver at a time through the financial model for a tornado chart
+ */
+
+const VesselFinancialModel = require('./VesselFinancialModel');
+
+const DEFAULT_STEPS = [10, 20];
+
+const scale = (value, factor) => (value === null || value === undefined ? value : value * factor);
+// Series arrive as arrays or comma-separated strings (as the UI stores them), so they are
+// parsed the way the model parses them before scaling
+const scaleSeries = (params, field, factor) => {
+  const series = VesselFinancialModel.prototype.parseOptionalSeries(params, field);
+  return series === null ? params[field] : series.map(value => value * factor);
+};
+
+/**
+ * Each driver scales its inputs by (1 + step%). Drivers that are spread over several
+ * inputs move them together, e.g. the charter rate moves the period, spot and scheduled
+ * rates (the freight rate on a voyage charter), and the interest rate moves fixed rates,
+ * margins and reference rates but not swapped rates.
+ */
+const SENSITIVITY_DRIVERS = {
+  charterRate: {
+    label: 'Charter Rate',
+    baseValue: (params) => params.charterMode === 'voyage'
+      ? params.freightRatePerTonne ?? params.worldscaleRate
+      : params.dailyCharterRate,
+    apply: (params, factor) => ({
+      ...params,
+      dailyCharterRate: scale(params.dailyCharterRate, factor),
+      freightRatePerTonne: scale(params.freightRatePerTonne, factor),
+      worldscaleRate: scale(params.worldscaleRate, factor),
+      fixedCharterRate: scale(params.fixedCharterRate, factor),
+      spotCharterRate: scale(params.spotCharterRate, factor),
+      charterRateSchedule: scaleSeries(params, 'charterRateSchedule', factor)
+    })
+  },
+  utilization: {
+    label: 'Utilization',
+    baseValue: (params) => params.utilizationPercent,
+    apply: (params, factor) => ({ ...params, utilizationPercent: Math.min(100, params.utilizationPercent * factor) })
+  },
+  opex: {
+    label: 'OPEX',
+    baseValue: (params) => params.opexPerDay,
+    apply: (params, factor) => ({ ...params, opexPerDay: params.opexPerDay * factor })
+  },
+  price: {
+    label: 'Purchase Price',
+    baseValue: (params) => params.price,
+    apply: (params, factor) => ({ ...params, price: params.price * factor })
+  },
+  interestRate: {
+    label: 'Interest Rate',
+    baseValue: (params) => (params.marginPercent !== null && params.marginPercent !== undefined
+      ? params.marginPercent
+      : params.interestRatePercent),
+    apply: (params, factor) => ({
+      ...params,
+      interestRatePercent: params.interestRatePercent * factor,
+      marginPercent: scale(params.marginPercent, factor),
+      referenceRatePercent: scale(params.referenceRatePercent, factor),
+      referenceRateCurve: scaleSeries(params, 'referenceRateCurve', factor),
+      debtTranches: Array.isArray(params.debtTranches)
+        ? params.debtTranches.map(tranche => ({
+          ...tranche,
+          interestRatePercent: scale(tranche.interestRatePercent, factor),
+          marginPercent: scale(tranche.marginPercent, factor)
+        }))
+        : params.debtTranches
+    })
+  },
+  scrapValue: {
+    label: 'Scrap / Exit Value',
+    baseValue: (params) => params.exitValue ?? params.scrapValue,
+    apply: (params, factor) => ({
+      ...params,
+      scrapValue: params.scrapValue * factor,
+      exitValue: scale(params.exitValue, factor)
+    })
+  }
+};
+
+class SensitivityAnalysis {
+  constructor(baseParameters) {
+    const baseModel = new VesselFinancialModel(baseParameters);
+
+    // Pin the resolved scrap and exit values so flexing the price does not also move defaulted ones
+    this.baseParameters = { ...baseParameters, scrapValue: baseModel.parameters.scrapValue };
+    if (baseModel.parameters.exitMode === 'resale') {
+      this.baseParameters.exitValue = baseModel.getExitValue();
+    }
+    this.baseResults = baseModel.calculateFinancialMetrics();
+  }
+
+  parseSteps(steps = DEFAULT_STEPS) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new Error('Sensitivity steps must be a non-empty array of percentages');
+    }
+
+    const parsed = steps.map(step => Math.abs(parseFloat(step)));
+    if (parsed.some(step => isNaN(step) || step === 0 || step >= 100)) {
+      throw new Error('Sensitivity steps must be between 0 and 100 percent');
+    }
+
+    return [...new Set(parsed)].sort((a, b) => a - b);
+  }
+
+  runCase(driver, step) {
+    const parameters = driver.apply(this.baseParameters, 1 + step / 100);
+    let results;
+    try {
+      results = new VesselFinancialModel(parameters).calculateFinancialMetrics();
+    } catch (error) {
+      throw new Error(`${driver.label} ${step > 0 ? '+' : ''}${step}%: ${error.message}`);
+    }
+    const { npv: baseNpv, irr: baseIrr } = this.baseResults;
+
+    return {
+      step,
+      value: driver.baseValue(parameters),
+      npv: results.npv,
+      irr: results.irr,
+      npvDelta: results.npv - baseNpv,
+      // IRR deltas are only meaningful when both cases have an IRR
+      irrDelta: results.irr !== null && baseIrr !== null ? results.irr - baseIrr : null
+    };
+  }
+
+  /**
+   * Runs every driver at -step and +step for each step. Drivers are ranked by the NPV
+   * swing between their largest downside and upside cases, the bar length on a tornado.
+   */
+  run({ steps, drivers } = {}) {
+    const parsedSteps = this.parseSteps(steps);
+    const driverKeys = drivers || Object.keys(SENSITIVITY_DRIVERS);
+    const unknown = driverKeys.filter(key => !SENSITIVITY_DRIVERS[key]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown sensitivity drivers: ${unknown.join(', ')}. ` +
+        `Expected: ${Object.keys(SENSITIVITY_DRIVERS).join(', ')}`);
+    }
+
+    const flexes = [...parsedSteps.map(step => -step).reverse(), ...parsedSteps];
+    const maxStep = parsedSteps[parsedSteps.length - 1];
+
+    const results = driverKeys.map(key => {
+      const driver = SENSITIVITY_DRIVERS[key];
+      const cases = flexes.map(step => this.runCase(driver, step));
+      const low = cases.find(c => c.step === -maxStep);
+      const high = cases.find(c => c.step === maxStep);
+
+      return {
+        driver: key,
+        label: driver.label,
+        baseValue: driver.baseValue(this.baseParameters),
+        cases,
+        low,
+        high,
+        npvSwing: Math.abs(high.npv - low.npv)
+      };
+    });
+
+    return {
+      base: { npv: this.baseResults.npv, irr: this.baseResults.irr },
+      steps: parsedSteps,
+      drivers: results.sort((a, b) => b.npvSwing - a.npvSwing)
+    };
+  }
+}
+
+module.exports = SensitivityAnalysis;
@@ -3,51 +3,959 @@
  * Implements the financial calculations specified in the master plan
  */
 
+const { FUEL_TYPES, getEtsPhaseIn, rateCii } = require('./emissions');
+const { PARAMETER_RULES } = require('../utils/parameterRules');
+
+const REPAYMENT_TYPES = ['annuity', 'straightLine', 'balloon'];
+const PAYMENTS_PER_YEAR = { monthly: 12, quarterly: 4, semiAnnual: 2 };
+const TRANCHE_RANKINGS = ['senior', 'junior', 'sellerCredit'];
+const RETROFIT_TYPES = ['scrubber', 'ballastWaterTreatment', 'energySaving', 'other'];
+
+// Per vessel type: typical lightweight (LDT) to deadweight ratio, the CII reference line
+// (null where CII is not DWT-based), and the secondhand value as a share of the newbuild
+// price at ages 0, 5, 10, ... 30. Matched on the vessel type description; larger ships of
+// a type sit below the LDT ratio and smaller ones above it.
+const VESSEL_TYPE_PROFILES = [
+  { pattern: /car carrier|pctc|pcc|ro-?ro/i, label: 'car carrier / ro-ro', ldtRatio: 0.75, ciiType: null,
+    valueCurve: [1, 0.7, 0.5, 0.34, 0.2, 0.12, 0.1] },
+  { pattern: /lng/i, label: 'LNG carrier', ldtRatio: 0.4, ciiType: 'lngCarrier',
+    valueCurve: [1, 0.8, 0.64, 0.48, 0.32, 0.18, 0.12] },
+  { pattern: /container|feeder|teu/i, label: 'container ship', ldtRatio: 0.33, ciiType: 'containerShip',
+    valueCurve: [1, 0.62, 0.42, 0.26, 0.14, 0.08, 0.07] },
+  { pattern: /lpg|gas carrier/i, label: 'LPG carrier', ldtRatio: 0.32, ciiType: 'gasCarrier',
+    valueCurve: [1, 0.72, 0.52, 0.35, 0.22, 0.12, 0.1] },
+  { pattern: /general cargo|multi-?purpose|mpp/i, label: 'general cargo', ldtRatio: 0.3, ciiType: 'generalCargo',
+    valueCurve: [1, 0.65, 0.45, 0.3, 0.18, 0.1, 0.08] },
+  { pattern: /tanker|vlcc|suezmax|aframax|lr1|lr2|mr\b|product|chemical/i, label: 'tanker', ldtRatio: 0.17, ciiType: 'tanker',
+    valueCurve: [1, 0.7, 0.5, 0.32, 0.18, 0.1, 0.08] },
+  { pattern: /bulk|capesize|newcastlemax|kamsarmax|panamax|ultramax|supramax|handy/i, label: 'bulk carrier', ldtRatio: 0.16, ciiType: 'bulkCarrier',
+    valueCurve: [1, 0.68, 0.48, 0.32, 0.2, 0.12, 0.1] }
+];
+const DEFAULT_VESSEL_TYPE_PROFILE = {
+  label: 'unrecognised type', ldtRatio: 0.2, ciiType: null, valueCurve: [1, 0.68, 0.48, 0.32, 0.2, 0.12, 0.1]
+};
+const VALUE_CURVE_STEP_YEARS = 5;
+const EXIT_MODES = ['scrap', 'resale'];
+const CHARTER_MODES = ['timeCharter', 'voyage'];
+const DEFAULT_SCRAP_PRICE_PER_LDT = 450; // $/LDT, mid-cycle Indian subcontinent demolition price
+const DEFAULT_SEA_DAYS_PERCENT = 70;
+const DEFAULT_EU_ETS_EXPOSURE_PERCENT = 50; // voyages into or out of the EU
+
+// Rates scanned to bracket IRR roots: fine steps up to 100%, coarser up to 1,000%
+const IRR_SEARCH_GRID = [
+  -0.99, -0.97, -0.95,
+  ...Array.from({ length: 195 }, (_, i) => -0.94 + i * 0.01),
+  ...Array.from({ length: 90 }, (_, i) => 1.1 + i * 0.1)
+];
+
 class VesselFinancialModel {
   constructor(parameters) {
     this.parameters = this.validateParameters(parameters);
-    this.discountRate = 0.10; // 10% discount rate for NPV
-    this.analysisHorizon = this.parameters.loanTermYears || 10; // Default 10 years
+    this.debtTranches = this.buildDebtTranches();
+    this.discountRate = this.calculateDiscountRate();
+    this.equityDiscountRate = this.calculateEquityDiscountRate();
+    this.analysisHorizon = this.calculateAnalysisHorizon();
+
+    const lateRetrofit = (this.parameters.retrofits || []).find(item => item.installationYear > this.analysisHorizon);
+    if (lateRetrofit) {
+      throw new Error(`Retrofit "${lateRetrofit.name}" is installed after the exit in year ${this.analysisHorizon}`);
+    }
   }
 
   validateParameters(params) {
+    // Voyage charters derive the daily rate (TCE) from the voyage terms
+    const charterMode = this.parseOption(params, 'charterMode', CHARTER_MODES, 'timeCharter');
     const required = ['price', 'downPaymentPercent', 'loanTermYears', 'interestRatePercent', 
-                     'dailyCharterRate', 'opexPerDay', 'utilizationPercent'];
+                     'dailyCharterRate', 'opexPerDay', 'utilizationPercent']
+      .filter(field => !(charterMode === 'voyage' && field === 'dailyCharterRate'));
     
     for (const field of required) {
-      if (params[field] === undefined || params[field] === null) {
+      if (params[field] === undefined || params[field] === null || params[field] === '') {
         throw new Error(`Missing required parameter: ${field}`);
       }
     }
 
+    const voyage = charterMode === 'voyage' ? this.parseVoyage(params) : null;
+    const emissions = this.parseEmissions(params, voyage);
+
     return {
       vesselType: params.vesselType || 'Unknown',
-      age: params.age || 0,
-      price: parseFloat(params.price),
-      dwt: params.dwt || 0,
+      age: this.parseOptionalNumber(params, 'age') || 0,
+      price: this.parseOptionalNumber(params, 'price'),
+      dwt: this.parseOptionalNumber(params, 'dwt') || 0,
       currency: params.currency || 'USD',
-      downPaymentPercent: parseFloat(params.downPaymentPercent) / 100,
-      loanTermYears: parseInt(params.loanTermYears),
-      interestRatePercent: parseFloat(params.interestRatePercent) / 100,
-      dailyCharterRate: parseFloat(params.dailyCharterRate),
-      opexPerDay: parseFloat(params.opexPerDay),
-      utilizationPercent: parseFloat(params.utilizationPercent) / 100,
-      scrapValue: parseFloat(params.scrapValue) || (params.price * 0.15) // Default 15% of price
+      downPaymentPercent: this.parseOptionalPercent(params, 'downPaymentPercent'),
+      loanTermYears: Math.trunc(this.parseOptionalNumber(params, 'loanTermYears')),
+      interestRatePercent: this.parseOptionalPercent(params, 'interestRatePercent'),
+      dailyCharterRate: voyage ? voyage.tce : this.parseOptionalNumber(params, 'dailyCharterRate'),
+      charterMode,
+      voyage,
+      emissions,
+      retrofits: this.parseRetrofits(params.retrofits, emissions),
+      opexPerDay: this.parseOptionalNumber(params, 'opexPerDay'),
+      utilizationPercent: this.parseOptionalPercent(params, 'utilizationPercent'),
+      ...this.resolveScrapValue(params),
+      discountRatePercent: this.parseOptionalPercent(params, 'discountRatePercent'),
+      costOfEquityPercent: this.parseOptionalPercent(params, 'costOfEquityPercent'),
+      costOfDebtPercent: this.parseOptionalPercent(params, 'costOfDebtPercent'),
+      taxRatePercent: this.parseOptionalPercent(params, 'taxRatePercent'),
+      startYear: this.parseOptionalNumber(params, 'startYear') || new Date().getFullYear(),
+      analysisHorizonYears: this.parseOptionalNumber(params, 'analysisHorizonYears'),
+      scrapAgeYears: this.parseOptionalNumber(params, 'scrapAgeYears'),
+      exitMode: this.parseOption(params, 'exitMode', EXIT_MODES,
+        ['exitYear', 'exitValue'].some(field => params[field] !== undefined && params[field] !== null && params[field] !== '')
+          ? 'resale'
+          : 'scrap'),
+      exitYear: this.parseOptionalNumber(params, 'exitYear'),
+      exitValue: this.parseOptionalNumber(params, 'exitValue'),
+      fixedCharterYears: this.parseOptionalNumber(params, 'fixedCharterYears'),
+      fixedCharterRate: this.parseOptionalNumber(params, 'fixedCharterRate'),
+      spotCharterRate: this.parseOptionalNumber(params, 'spotCharterRate'),
+      charterEscalationPercent: this.parseOptionalPercent(params, 'charterEscalationPercent'),
+      charterRateSchedule: this.parseOptionalSeries(params, 'charterRateSchedule'),
+      opexEscalationPercent: this.parseOptionalPercent(params, 'opexEscalationPercent'),
+      opexAgeThresholdYears: this.parseOptionalNumber(params, 'opexAgeThresholdYears'),
+      opexAgeStepUpPercent: this.parseOptionalPercent(params, 'opexAgeStepUpPercent'),
+      drydockIntervalYears: this.parseOptionalNumber(params, 'drydockIntervalYears'),
+      drydockCost: this.parseOptionalNumber(params, 'drydockCost'),
+      drydockOffHireDays: this.parseOptionalNumber(params, 'drydockOffHireDays'),
+      repaymentType: this.parseOption(params, 'repaymentType', REPAYMENT_TYPES, 'annuity'),
+      repaymentProfileYears: this.parseOptionalNumber(params, 'repaymentProfileYears'),
+      balloonPercent: this.parseOptionalPercent(params, 'balloonPercent'),
+      gracePeriodMonths: this.parseOptionalNumber(params, 'gracePeriodMonths') || 0,
+      paymentFrequency: this.parseOption(params, 'paymentFrequency', Object.keys(PAYMENTS_PER_YEAR), 'monthly'),
+      marginPercent: this.parseOptionalPercent(params, 'marginPercent'),
+      referenceRatePercent: this.parseOptionalPercent(params, 'referenceRatePercent'),
+      referenceRateCurve: this.parseOptionalPercentSeries(params, 'referenceRateCurve'),
+      swapCoveragePercent: this.parseOptionalPercent(params, 'swapCoveragePercent'),
+      swapRatePercent: this.parseOptionalPercent(params, 'swapRatePercent'),
+      debtTranches: this.parseDebtTranches(params.debtTranches, parseFloat(params.price)),
+      vesselValueSchedule: this.parseOptionalSeries(params, 'vesselValueSchedule'),
+      valueDepreciationPercent: this.parseOptionalPercent(params, 'valueDepreciationPercent'),
+      maxLtvPercent: this.parseOptionalPercent(params, 'maxLtvPercent'),
+      minDscr: this.parseOptionalNumber(params, 'minDscr'),
+      minLiquidity: this.parseOptionalNumber(params, 'minLiquidity'),
+      openingCashBalance: this.parseOptionalNumber(params, 'openingCashBalance') || 0,
+      financeRatePercent: this.parseOptionalPercent(params, 'financeRatePercent'),
+      reinvestmentRatePercent: this.parseOptionalPercent(params, 'reinvestmentRatePercent'),
+      targetEquityReturnPercent: this.parseOptionalPercent(params, 'targetEquityReturnPercent')
+    };
+  }
+
+  /**
+   * Voyage charter economics from one representative voyage. Freight is cargoTonnes at
+   * freightRatePerTonne, or at worldscaleRate points of the WS100 worldscaleFlatRate ($/t).
+   * Bunkers burnt at sea and in port, port costs and canal dues are voyage costs, and the
+   * TCE (time-charter equivalent) is the net voyage result per voyage day, negative when
+   * the voyage costs more than it earns.
+   */
+  parseVoyage(params) {
+    const number = (field) => this.parseOptionalNumber(params, field);
+    const cargoTonnes = number('cargoTonnes');
+    const freightRatePerTonne = number('freightRatePerTonne');
+    const worldscaleRate = number('worldscaleRate');
+    const worldscaleFlatRate = number('worldscaleFlatRate');
+    const seaDays = number('seaDays');
+    const portDays = number('portDays') || 0;
+    const seaConsumptionTonnesPerDay = number('seaConsumptionTonnesPerDay') || 0;
+    const portConsumptionTonnesPerDay = number('portConsumptionTonnesPerDay') || 0;
+    const bunkerPricePerTonne = number('bunkerPricePerTonne') || 0;
+    const portCostsPerVoyage = number('portCostsPerVoyage') || 0;
+    const canalDuesPerVoyage = number('canalDuesPerVoyage') || 0;
+
+    if (cargoTonnes === null) {
+      throw new Error('Voyage charter needs cargoTonnes');
+    }
+    if (freightRatePerTonne === null && (worldscaleRate === null || worldscaleFlatRate === null)) {
+      throw new Error('Voyage charter needs freightRatePerTonne, or worldscaleRate with worldscaleFlatRate');
+    }
+    if (seaDays === null || seaDays + portDays <= 0) {
+      throw new Error('Voyage charter needs seaDays, with a voyage longer than zero days');
+    }
+
+    const freightRate = freightRatePerTonne !== null ? freightRatePerTonne : worldscaleFlatRate * worldscaleRate / 100;
+    const voyageDays = seaDays + portDays;
+    const freightRevenue = cargoTonnes * freightRate;
+    const bunkerTonnes = seaDays * seaConsumptionTonnesPerDay + portDays * portConsumptionTonnesPerDay;
+    const bunkerCost = bunkerTonnes * bunkerPricePerTonne;
+    const voyageCosts = bunkerCost + portCostsPerVoyage + canalDuesPerVoyage;
+
+    return {
+      cargoTonnes,
+      freightRate,
+      worldscaleRate: freightRatePerTonne !== null ? null : worldscaleRate,
+      worldscaleFlatRate: freightRatePerTonne !== null ? null : worldscaleFlatRate,
+      seaDays,
+      portDays,
+      voyageDays,
+      bunkerTonnes,
+      bunkerPricePerTonne,
+      bunkerCost,
+      portCosts: portCostsPerVoyage,
+      canalDues: canalDuesPerVoyage,
+      freightRevenue,
+      voyageCosts,
+      tce: (freightRevenue - voyageCosts) / voyageDays
+    };
+  }
+
+  // Voyage economics with the number of voyages the trading days allow each year
+  getVoyageSummary() {
+    const { voyage, utilizationPercent } = this.parameters;
+    return voyage ? { ...voyage, voyagesPerYear: 365 * utilizationPercent / voyage.voyageDays } : null;
+  }
+
+  describeVoyage() {
+    const voyage = this.getVoyageSummary();
+    if (!voyage) {
+      return null;
+    }
+
+    const dollars = (value) => `$${Math.round(value).toLocaleString()}`;
+    const freight = voyage.worldscaleRate !== null
+      ? `WS ${voyage.worldscaleRate} of $${voyage.worldscaleFlatRate.toFixed(2)}/t flat`
+      : `$${voyage.freightRate.toFixed(2)}/t`;
+    return `${voyage.cargoTonnes.toLocaleString()} t at ${freight} over ${voyage.seaDays} sea + ${voyage.portDays} port days; ` +
+      `bunkers ${dollars(voyage.bunkerCost)}, port costs ${dollars(voyage.portCosts)}, canal dues ${dollars(voyage.canalDues)}; ` +
+      `TCE ${dollars(voyage.tce)}/day, ${voyage.voyagesPerYear.toFixed(1)} voyages a year`;
+  }
+
+  /**
+   * Owner-paid fuel and carbon, enabled by fuelConsumptionTonnesPerDay (per sea day).
+   * Trading days split into sea and port days by seaDaysPercent; on a voyage charter the
+   * bunkers are already in the TCE, so only the carbon cost is added and the sea share
+   * defaults to the voyage's. EU ETS applies to euEtsExposurePercent of the CO2, and the
+   * CII is rated only when serviceSpeedKnots gives the distance sailed.
+   */
+  parseEmissions(params, voyage) {
+    const number = (field) => this.parseOptionalNumber(params, field);
+    const fuelConsumptionTonnesPerDay = number('fuelConsumptionTonnesPerDay');
+    if (fuelConsumptionTonnesPerDay === null) {
+      return null;
+    }
+
+    const fuelPricePerTonne = number('fuelPricePerTonne');
+    if (fuelPricePerTonne === null && !voyage) {
+      throw new Error('Fuel consumption needs fuelPricePerTonne');
+    }
+    const seaDaysPercent = number('seaDaysPercent');
+
+    return {
+      fuelType: this.parseOption(params, 'fuelType', Object.keys(FUEL_TYPES), 'VLSFO'),
+      fuelConsumptionTonnesPerDay,
+      portFuelConsumptionTonnesPerDay: number('portFuelConsumptionTonnesPerDay') || 0,
+      fuelPricePerTonne: voyage ? 0 : fuelPricePerTonne,
+      fuelPriceEscalation: (number('fuelPriceEscalationPercent') || 0) / 100,
+      ownerPaysFuel: !voyage,
+      seaDaysShare: seaDaysPercent !== null
+        ? seaDaysPercent / 100
+        : (voyage ? voyage.seaDays / voyage.voyageDays : DEFAULT_SEA_DAYS_PERCENT / 100),
+      serviceSpeedKnots: number('serviceSpeedKnots'),
+      carbonPricePerTonne: number('carbonPricePerTonne') || 0,
+      carbonPriceEscalation: (number('carbonPriceEscalationPercent') || 0) / 100,
+      euEtsExposure: (number('euEtsExposurePercent') ?? DEFAULT_EU_ETS_EXPOSURE_PERCENT) / 100
     };
   }
 
+  /**
+   * Demolition value is lightweight tonnes times the steel price per LDT. An explicit
+   * scrapValue wins, zero included; otherwise LDT comes from the input or is estimated
+   * from DWT and the vessel type. Only with neither LDT nor DWT does it fall back to 15%
+   * of the price.
+   */
+  resolveScrapValue(params) {
+    const ldtInput = this.parseOptionalNumber(params, 'ldt');
+    const scrapPricePerLdt = this.parseOptionalNumber(params, 'scrapPricePerLdt');
+    const scrapValue = this.parseOptionalNumber(params, 'scrapValue');
+    const dwt = this.parseOptionalNumber(params, 'dwt') || 0;
+
+    const estimate = ldtInput === null && dwt > 0 ? this.estimateLdt(params.vesselType, dwt) : null;
+    const ldt = ldtInput !== null ? ldtInput : (estimate ? estimate.ldt : null);
+    const pricePerLdt = scrapPricePerLdt !== null ? scrapPricePerLdt : DEFAULT_SCRAP_PRICE_PER_LDT;
+
+    let scrapValueBasis;
+    let value;
+    if (scrapValue !== null) {
+      scrapValueBasis = 'input';
+      value = scrapValue;
+    } else if (ldt !== null) {
+      scrapValueBasis = estimate ? 'estimatedLdt' : 'ldt';
+      value = ldt * pricePerLdt;
+    } else {
+      scrapValueBasis = 'priceShare';
+      value = parseFloat(params.price) * 0.15;
+    }
+
+    return {
+      scrapValue: value,
+      ldt,
+      scrapPricePerLdt: pricePerLdt,
+      scrapValueBasis,
+      ldtEstimate: estimate
+    };
+  }
+
+  getVesselTypeProfile(vesselType) {
+    return VESSEL_TYPE_PROFILES.find(profile => profile.pattern.test(vesselType || '')) || DEFAULT_VESSEL_TYPE_PROFILE;
+  }
+
+  estimateLdt(vesselType, dwt) {
+    const { ldtRatio, label } = this.getVesselTypeProfile(vesselType);
+    return { ldt: Math.round(dwt * ldtRatio), ratio: ldtRatio, typeLabel: label };
+  }
+
+  describeScrapValue() {
+    const { scrapValue, ldt, scrapPricePerLdt, scrapValueBasis, ldtEstimate, dwt } = this.parameters;
+    const value = `$${Math.round(scrapValue).toLocaleString()}`;
+
+    if (scrapValueBasis === 'input') {
+      return `${value} as given`;
+    }
+    if (scrapValueBasis === 'priceShare') {
+      return `${value}, 15% of the purchase price (no LDT or DWT given)`;
+    }
+
+    const ldtText = scrapValueBasis === 'estimatedLdt'
+      ? `${ldt.toLocaleString()} LDT (estimated at ${(ldtEstimate.ratio * 100).toFixed(0)}% of ${dwt.toLocaleString()} DWT for a ${ldtEstimate.typeLabel})`
+      : `${ldt.toLocaleString()} LDT`;
+    return `${value} = ${ldtText} × $${scrapPricePerLdt.toLocaleString()}/LDT demolition price`;
+  }
+
+  /**
+   * Optional multi-tranche debt. Each tranche carries its own size (amount, or sharePercent
+   * of the purchase price), tenor, pricing, repayment profile and ranking. Floating tranches
+   * price their marginPercent over the deal's referenceRatePercent / referenceRateCurve.
+   */
+  parseDebtTranches(raw, price) {
+    if (raw === undefined || raw === null || raw === '') {
+      return null;
+    }
+    if (!Array.isArray(raw)) {
+      throw new Error('Parameter debtTranches must be an array of tranches');
+    }
+    if (raw.length === 0) {
+      return null;
+    }
+
+    const tranches = raw.map((input, index) => {
+      const name = input.name || `Tranche ${index + 1}`;
+      try {
+        const sharePercent = this.parseOptionalPercent(input, 'sharePercent', 0, 100);
+        const amount = sharePercent !== null
+          ? price * sharePercent
+          : this.parseOptionalNumber(input, 'amount', 0, 1000000000);
+        const termYears = this.parseOptionalNumber(input, 'termYears', 1, 40);
+        const interestRatePercent = this.parseOptionalPercent(input, 'interestRatePercent', 0, 30);
+        const marginPercent = this.parseOptionalPercent(input, 'marginPercent', 0, 20);
+
+        if (amount === null) {
+          throw new Error('amount or sharePercent is required');
+        }
+        if (termYears === null) {
+          throw new Error('termYears is required');
+        }
+        if (interestRatePercent === null && marginPercent === null) {
+          throw new Error('interestRatePercent or marginPercent is required');
+        }
+
+        return {
+          name,
+          ranking: this.parseOption(input, 'ranking', TRANCHE_RANKINGS, 'senior'),
+          amount,
+          termYears: Math.round(termYears),
+          interestRatePercent,
+          marginPercent,
+          swapCoveragePercent: this.parseOptionalPercent(input, 'swapCoveragePercent', 0, 100),
+          swapRatePercent: this.parseOptionalPercent(input, 'swapRatePercent', -1, 30),
+          repaymentType: this.parseOption(input, 'repaymentType', REPAYMENT_TYPES, 'annuity'),
+          repaymentProfileYears: this.parseOptionalNumber(input, 'repaymentProfileYears', 1, 40),
+          balloonPercent: this.parseOptionalPercent(input, 'balloonPercent', 0, 100),
+          gracePeriodMonths: this.parseOptionalNumber(input, 'gracePeriodMonths', 0, 120) || 0,
+          paymentFrequency: this.parseOption(input, 'paymentFrequency', Object.keys(PAYMENTS_PER_YEAR), 'monthly')
+        };
+      } catch (error) {
+        throw new Error(`Debt tranche "${name}": ${error.message}`);
+      }
+    });
+
+    const totalDebt = tranches.reduce((sum, tranche) => sum + tranche.amount, 0);
+    if (totalDebt > price) {
+      throw new Error('Debt tranches exceed the purchase price');
+    }
+
+    return tranches;
+  }
+
+  /**
+   * Optional retrofit items (scrubbers, ballast water treatment, energy-saving devices).
+   * Each is paid for and taken off hire in its installationYear and earns its benefit from
+   * that year on: a flat annualFuelSaving and/or annualRevenuePremium in dollars, or a
+   * fuelSavingPercent cut in the fuel burnt, which needs the vessel's fuel consumption.
+   */
+  parseRetrofits(raw, emissions) {
+    if (raw === undefined || raw === null || raw === '') {
+      return null;
+    }
+    if (!Array.isArray(raw)) {
+      throw new Error('Parameter retrofits must be an array of retrofit items');
+    }
+    if (raw.length === 0) {
+      return null;
+    }
+
+    return raw.map((input, index) => {
+      const name = input.name || `Retrofit ${index + 1}`;
+      try {
+        const installationYear = this.parseOptionalNumber(input, 'installationYear', 1, 50);
+        const capex = this.parseOptionalNumber(input, 'capex', 0, 100000000);
+        const fuelSavingPercent = this.parseOptionalPercent(input, 'fuelSavingPercent', 0, 50) || 0;
+
+        if (installationYear === null) {
+          throw new Error('installationYear is required');
+        }
+        if (capex === null) {
+          throw new Error('capex is required');
+        }
+        if (fuelSavingPercent && !emissions) {
+          throw new Error('fuelSavingPercent needs the vessel fuel consumption (fuelConsumptionTonnesPerDay)');
+        }
+
+        return {
+          name,
+          type: this.parseOption(input, 'type', RETROFIT_TYPES, 'other'),
+          installationYear: Math.round(installationYear),
+          capex,
+          offHireDays: this.parseOptionalNumber(input, 'offHireDays', 0, 120) || 0,
+          annualFuelSaving: this.parseOptionalNumber(input, 'annualFuelSaving', 0, 50000000) || 0,
+          annualRevenuePremium: this.parseOptionalNumber(input, 'annualRevenuePremium', 0, 50000000) || 0,
+          fuelSavingPercent
+        };
+      } catch (error) {
+        throw new Error(`Retrofit "${name}": ${error.message}`);
+      }
+    });
+  }
+
+  // Enumerated inputs fall back to a default when not supplied
+  parseOption(params, field, allowed, defaultValue) {
+    const raw = params[field];
+    if (raw === undefined || raw === null || raw === '') {
+      return defaultValue;
+    }
+
+    if (!allowed.includes(raw)) {
+      throw new Error(`Parameter ${field} must be one of: ${allowed.join(', ')}`);
+    }
+
+    return raw;
+  }
+
+  // Per-year series arrive as arrays or comma-separated strings; null when not supplied.
+  // Bounds default to the field's PARAMETER_RULES entry.
+  parseOptionalSeries(params, field, min = PARAMETER_RULES[field].min, max = PARAMETER_RULES[field].max) {
+    const raw = params[field];
+    if (raw === undefined || raw === null || raw === '') {
+      return null;
+    }
+
+    const items = Array.isArray(raw) ? raw : String(raw).split(',');
+    const values = items
+      .filter(item => item !== null && String(item).trim() !== '')
+      .map(item => parseFloat(item));
+
+    if (values.some(value => isNaN(value) || value < min || value > max)) {
+      throw new Error(`Parameter ${field} must contain numbers between ${min} and ${max}`);
+    }
+
+    return values.length > 0 ? values : null;
+  }
+
+  parseOptionalPercentSeries(params, field, min = PARAMETER_RULES[field].min, max = PARAMETER_RULES[field].max) {
+    const values = this.parseOptionalSeries(params, field, min, max);
+    return values === null ? null : values.map(value => value / 100);
+  }
+
+  // Optional numeric inputs are range-checked, or null when not supplied. Top-level inputs
+  // take their bounds from PARAMETER_RULES; nested ones (tranches, retrofits) pass their own.
+  parseOptionalNumber(params, field, min = PARAMETER_RULES[field].min, max = PARAMETER_RULES[field].max) {
+    const raw = params[field];
+    if (raw === undefined || raw === null || raw === '') {
+      return null;
+    }
+
+    const value = parseFloat(raw);
+    if (isNaN(value) || value < min || value > max) {
+      throw new Error(`Parameter ${field} must be between ${min} and ${max}`);
+    }
+
+    return value;
+  }
+
+  // Optional percentage inputs are returned as fractions, or null when not supplied
+  parseOptionalPercent(params, field, min = PARAMETER_RULES[field].min, max = PARAMETER_RULES[field].max) {
+    const value = this.parseOptionalNumber(params, field, min, max);
+    return value === null ? null : value / 100;
+  }
+
+  /**
+   * Number of operating years to model.
+   * A resale exitYear wins, then an explicit analysisHorizonYears; otherwise the vessel
+   * trades until scrapAgeYears. Without any of them, the horizon matches the loan term.
+   */
+  calculateAnalysisHorizon() {
+    const { analysisHorizonYears, scrapAgeYears, age, loanTermYears, exitMode, exitYear } = this.parameters;
+
+    if (exitMode === 'resale' && exitYear !== null) {
+      return Math.round(exitYear);
+    }
+
+    if (analysisHorizonYears !== null) {
+      return Math.round(analysisHorizonYears);
+    }
+
+    if (scrapAgeYears !== null) {
+      const remainingLife = Math.round(scrapAgeYears - age);
+      if (remainingLife < 1) {
+        throw new Error(`Vessel age ${age} leaves no remaining life before scrap age ${scrapAgeYears}`);
+      }
+      return remainingLife;
+    }
+
+    return loanTermYears || 10; // Default 10 years
+  }
+
+  /**
+   * Discount rate for project (unlevered) cash flows.
+   * An explicit discountRatePercent wins; otherwise a WACC is built from cost of
+   * equity and cost of debt weighted by the loan-to-price leverage. Falls back to 10%.
+   */
+  calculateDiscountRate() {
+    const { discountRatePercent, costOfEquityPercent, costOfDebtPercent,
+            taxRatePercent, price } = this.parameters;
+
+    if (discountRatePercent !== null) {
+      return discountRatePercent;
+    }
+
+    if (costOfEquityPercent !== null) {
+      const equityWeight = this.getEquityInvestment() / price;
+      const costOfDebt = costOfDebtPercent !== null ? costOfDebtPercent : this.getBlendedInterestRate(1);
+      const taxRate = taxRatePercent || 0;
+      return equityWeight * costOfEquityPercent + (1 - equityWeight) * costOfDebt * (1 - taxRate);
+    }
+
+    return 0.10; // Default 10% discount rate
+  }
+
+  /**
+   * Discount rate for equity cash flows: an explicit discountRatePercent, else the cost of
+   * equity, else 10%. Project cash flows are discounted at the WACC instead.
+   */
+  calculateEquityDiscountRate() {
+    const { discountRatePercent, costOfEquityPercent } = this.parameters;
+    if (discountRatePercent !== null) return discountRatePercent;
+    if (costOfEquityPercent !== null) return costOfEquityPercent;
+    return 0.10;
+  }
+
+  describeDiscountRates() {
+    const percent = (rate) => `${(rate * 100).toFixed(2)}%`;
+    if (this.equityDiscountRate === this.discountRate) {
+      return percent(this.discountRate);
+    }
+    return `${percent(this.equityDiscountRate)} cost of equity on equity cash flows, ` +
+      `${percent(this.discountRate)} WACC on project cash flows`;
+  }
+
+  getDiscountRateSource() {
+    if (this.parameters.discountRatePercent !== null) return 'input';
+    if (this.parameters.costOfEquityPercent !== null) return 'wacc';
+    return 'default';
+  }
+
+  /**
+   * Daily charter rate earned in a given operating year.
+   * A fixed-period time charter applies first; afterwards the market rate comes from
+   * charterRateSchedule (last entry carried forward), else spotCharterRate, else
+   * dailyCharterRate. Market rates escalate annually from the end of the fixed period.
+   */
+  getCharterRateForYear(year) {
+    const { dailyCharterRate, fixedCharterYears, fixedCharterRate, spotCharterRate,
+            charterEscalationPercent, charterRateSchedule } = this.parameters;
+    const fixedYears = fixedCharterYears || 0;
+
+    if (year <= fixedYears) {
+      return fixedCharterRate !== null ? fixedCharterRate : dailyCharterRate;
+    }
+
+    let marketRate;
+    if (charterRateSchedule) {
+      marketRate = charterRateSchedule[Math.min(year, charterRateSchedule.length) - 1];
+    } else if (spotCharterRate !== null) {
+      marketRate = spotCharterRate;
+    } else {
+      marketRate = dailyCharterRate;
+    }
+
+    const escalation = Math.pow(1 + (charterEscalationPercent || 0), year - fixedYears - 1);
+    return marketRate * escalation;
+  }
+
+  hasCharterProfile() {
+    const { fixedCharterYears, spotCharterRate, charterEscalationPercent, charterRateSchedule } = this.parameters;
+    return Boolean(fixedCharterYears || spotCharterRate !== null || charterEscalationPercent || charterRateSchedule);
+  }
+
+  describeCharterProfile() {
+    const { dailyCharterRate, fixedCharterYears, fixedCharterRate, spotCharterRate,
+            charterEscalationPercent, charterRateSchedule } = this.parameters;
+
+    if (!this.hasCharterProfile()) {
+      return `Flat $${dailyCharterRate.toLocaleString()}/day`;
+    }
+
+    const parts = [];
+    if (fixedCharterYears) {
+      const rate = fixedCharterRate !== null ? fixedCharterRate : dailyCharterRate;
+      parts.push(`${fixedCharterYears}-year time charter at $${rate.toLocaleString()}/day`);
+    }
+    if (charterRateSchedule) {
+      parts.push(`market curve ${charterRateSchedule.map(rate => `$${rate.toLocaleString()}`).join(', ')}/day`);
+    } else {
+      const rate = spotCharterRate !== null ? spotCharterRate : dailyCharterRate;
+      parts.push(`${fixedCharterYears ? 'then ' : ''}$${rate.toLocaleString()}/day market`);
+    }
+    if (charterEscalationPercent) {
+      parts.push(`escalating ${(charterEscalationPercent * 100).toFixed(1)}% p.a.`);
+    }
+
+    return parts.join(', ');
+  }
+
+  /**
+   * Daily OPEX in a given operating year.
+   * Escalates annually from year 1 and steps up once the vessel's age at the start
+   * of the year reaches opexAgeThresholdYears.
+   */
+  getOpexPerDayForYear(year) {
+    const { opexPerDay, age, opexEscalationPercent, opexAgeThresholdYears, opexAgeStepUpPercent } = this.parameters;
+
+    const inflation = Math.pow(1 + (opexEscalationPercent || 0), year - 1);
+    const ageStepUp = opexAgeThresholdYears !== null && opexAgeStepUpPercent && (age + year - 1) >= opexAgeThresholdYears
+      ? 1 + opexAgeStepUpPercent
+      : 1;
+
+    return opexPerDay * inflation * ageStepUp;
+  }
+
+  describeOpexProfile() {
+    const { opexPerDay, opexEscalationPercent, opexAgeThresholdYears, opexAgeStepUpPercent } = this.parameters;
+    const parts = [`$${opexPerDay.toLocaleString()}/day`];
+
+    if (opexEscalationPercent) {
+      parts.push(`inflating ${(opexEscalationPercent * 100).toFixed(1)}% p.a.`);
+    }
+    if (opexAgeThresholdYears !== null && opexAgeStepUpPercent) {
+      parts.push(`+${(opexAgeStepUpPercent * 100).toFixed(1)}% from age ${opexAgeThresholdYears}`);
+    }
+
+    return parts.join(', ');
+  }
+
+  /**
+   * Number of drydock / special survey events falling in a given operating year.
+   * Surveys are due each time the vessel's age crosses a multiple of drydockIntervalYears.
+   */
+  getDrydockEventsForYear(year) {
+    const { age, drydockIntervalYears } = this.parameters;
+    if (!drydockIntervalYears) {
+      return 0;
+    }
+
+    const surveysDueBy = (vesselAge) => Math.floor(vesselAge / drydockIntervalYears + 1e-9);
+    return surveysDueBy(age + year) - surveysDueBy(age + year - 1);
+  }
+
+  describeDrydockSchedule() {
+    const { drydockIntervalYears, drydockCost, drydockOffHireDays } = this.parameters;
+    if (!drydockIntervalYears) {
+      return null;
+    }
+
+    return `Every ${drydockIntervalYears} years of age at $${(drydockCost || 0).toLocaleString()} ` +
+      `and ${drydockOffHireDays || 0} off-hire days per event`;
+  }
+
+  /**
+   * Fuel burnt, CO2, owner-paid fuel and EU ETS costs, and the approximate CII rating in an
+   * operating year, or null without fuel inputs. Only trading days burn fuel; allowances
+   * follow the ETS phase-in for the calendar year, and the CII tightens with the yearly
+   * reduction factor while the attained CII stays flat. Fuel-saving retrofits cut the burn
+   * from their installation year.
+   */
+  getEmissionsForYear(year, offHireDays, retrofits = this.parameters.retrofits) {
+    const { emissions, utilizationPercent, startYear, vesselType, dwt } = this.parameters;
+    if (!emissions) {
+      return null;
+    }
+
+    const calendarYear = startYear + year - 1;
+    const tradingDays = (365 - offHireDays) * utilizationPercent;
+    const seaDays = tradingDays * emissions.seaDaysShare;
+    const fuelTonnes = (seaDays * emissions.fuelConsumptionTonnesPerDay +
+      (tradingDays - seaDays) * emissions.portFuelConsumptionTonnesPerDay) *
+      this.getRetrofitEffectsForYear(year, retrofits).fuelFactor;
+    const co2Tonnes = fuelTonnes * FUEL_TYPES[emissions.fuelType].co2Factor;
+
+    const fuelPrice = emissions.fuelPricePerTonne * Math.pow(1 + emissions.fuelPriceEscalation, year - 1);
+    const carbonPrice = emissions.carbonPricePerTonne * Math.pow(1 + emissions.carbonPriceEscalation, year - 1);
+    const etsPhaseIn = getEtsPhaseIn(calendarYear);
+    const allowanceTonnes = co2Tonnes * emissions.euEtsExposure * etsPhaseIn;
+
+    const distanceNm = emissions.serviceSpeedKnots ? seaDays * 24 * emissions.serviceSpeedKnots : null;
+    const cii = distanceNm
+      ? rateCii(this.getVesselTypeProfile(vesselType).ciiType, dwt, co2Tonnes, distanceNm, calendarYear)
+      : null;
+
+    return {
+      calendarYear,
+      fuelTonnes,
+      co2Tonnes,
+      fuelCost: fuelTonnes * fuelPrice,
+      etsPhaseIn,
+      allowanceTonnes,
+      carbonCost: allowanceTonnes * carbonPrice,
+      cii
+    };
+  }
+
+  /**
+   * Year-by-year emissions trajectory. ciiAlertYears are the years rated D or E, which
+   * call for a corrective action plan after three consecutive D years or one E year.
+   */
+  summarizeEmissions(cashFlows) {
+    if (!this.parameters.emissions) {
+      return null;
+    }
+
+    const byYear = cashFlows.slice(1).map(cf => {
+      const { cii, ...year } = this.getEmissionsForYear(cf.year, cf.offHireDays);
+      return {
+        year: cf.year,
+        ...year,
+        attainedCii: cii ? cii.attainedCii : null,
+        requiredCii: cii ? cii.requiredCii : null,
+        ciiRating: cii ? cii.rating : null
+      };
+    });
+    const total = (field) => byYear.reduce((sum, year) => sum + year[field], 0);
+
+    return {
+      fuelType: this.parameters.emissions.fuelType,
+      byYear,
+      totalFuelTonnes: total('fuelTonnes'),
+      totalCo2Tonnes: total('co2Tonnes'),
+      totalFuelCost: total('fuelCost'),
+      totalCarbonCost: total('carbonCost'),
+      ciiAlertYears: byYear.filter(year => year.ciiRating === 'D' || year.ciiRating === 'E').map(year => year.year)
+    };
+  }
+
+  describeEmissions() {
+    const { emissions, vesselType } = this.parameters;
+    if (!emissions) {
+      return null;
+    }
+
+    const parts = [
+      `${FUEL_TYPES[emissions.fuelType].label} at ${emissions.fuelConsumptionTonnesPerDay} t/sea day` +
+        (emissions.portFuelConsumptionTonnesPerDay ? ` and ${emissions.portFuelConsumptionTonnesPerDay} t/port day` : '') +
+        ` (${(emissions.seaDaysShare * 100).toFixed(0)}% of trading days at sea)`,
+      emissions.ownerPaysFuel
+        ? `owner-paid fuel at $${emissions.fuelPricePerTonne.toLocaleString()}/t`
+        : 'fuel paid within the voyage TCE'
+    ];
+    if (emissions.carbonPricePerTonne) {
+      parts.push(`EU ETS on ${(emissions.euEtsExposure * 100).toFixed(0)}% of CO2 at ` +
+        `$${emissions.carbonPricePerTonne.toLocaleString()}/t, phased in from 40% in 2024 to 100% from 2026`);
+    }
+    if (!emissions.serviceSpeedKnots) {
+      parts.push('CII not rated without a service speed');
+    } else if (!this.getVesselTypeProfile(vesselType).ciiType) {
+      parts.push(`CII not rated for a ${this.getVesselTypeProfile(vesselType).label}`);
+    }
+
+    return parts.join('; ');
+  }
+
+  // Capex, off-hire and benefits of the retrofits installed in or before a given year
+  getRetrofitEffectsForYear(year, retrofits = this.parameters.retrofits) {
+    const effects = { capex: 0, offHireDays: 0, savings: 0, fuelFactor: 1 };
+
+    (retrofits || []).forEach(item => {
+      if (year === item.installationYear) {
+        effects.capex += item.capex;
+        effects.offHireDays += item.offHireDays;
+      }
+      if (year >= item.installationYear) {
+        effects.savings += item.annualFuelSaving + item.annualRevenuePremium;
+        effects.fuelFactor *= 1 - item.fuelSavingPercent;
+      }
+    });
+
+    return effects;
+  }
+
+  describeRetrofits() {
+    const { retrofits } = this.parameters;
+    if (!retrofits) {
+      return null;
+    }
+
+    return retrofits.map(item => {
+      const benefits = [
+        item.annualFuelSaving && `saves $${item.annualFuelSaving.toLocaleString()} of fuel a year`,
+        item.fuelSavingPercent && `cuts fuel burn by ${(item.fuelSavingPercent * 100).toFixed(1)}%`,
+        item.annualRevenuePremium && `earns a $${item.annualRevenuePremium.toLocaleString()} annual premium`
+      ].filter(Boolean);
+      return `${item.name} in year ${item.installationYear} for $${item.capex.toLocaleString()} ` +
+        `and ${item.offHireDays} off-hire days${benefits.length > 0 ? `, ${benefits.join(' and ')}` : ''}`;
+    }).join('; ');
+  }
+
+  /**
+   * Vessel market value at the end of a given year (year 0 is the purchase price), used for
+   * both the LTV covenant and the resale price. User-supplied vesselValueSchedule values win
+   * (last entry carried forward); otherwise the value declines by valueDepreciationPercent a
+   * year, or follows the vessel type's secondhand curve from the age at purchase. Modelled
+   * values never fall below the scrap value.
+   */
+  getVesselValueForYear(year) {
+    const { price, age, vesselType, scrapValue, vesselValueSchedule, valueDepreciationPercent } = this.parameters;
+
+    if (year === 0) {
+      return price;
+    }
+
+    if (vesselValueSchedule) {
+      return vesselValueSchedule[Math.min(year, vesselValueSchedule.length) - 1];
+    }
+
+    if (valueDepreciationPercent !== null) {
+      return Math.max(scrapValue, price * Math.pow(1 - valueDepreciationPercent, year));
+    }
+
+    const { valueCurve } = this.getVesselTypeProfile(vesselType);
+    const curveRatio = this.getValueCurveShare(valueCurve, age + year) / this.getValueCurveShare(valueCurve, age);
+    return Math.max(scrapValue, price * curveRatio);
+  }
+
+  // Sale price in a resale exit: the user's exitValue, else the modelled value in the exit year
+  getExitValue() {
+    const { exitValue } = this.parameters;
+    return exitValue !== null ? exitValue : this.getVesselValueForYear(this.analysisHorizon);
+  }
+
+  // Share of newbuild value at a given age, interpolated between the 5-yearly curve points
+  getValueCurveShare(valueCurve, age) {
+    const position = Math.min(Math.max(age, 0) / VALUE_CURVE_STEP_YEARS, valueCurve.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, valueCurve.length - 1);
+    return valueCurve[lower] + (valueCurve[upper] - valueCurve[lower]) * (position - lower);
+  }
+
+  // Proceeds in the exit year: the sale price on a resale, else the scrap value
+  getTerminalValue() {
+    return this.parameters.exitMode === 'resale' ? this.getExitValue() : this.parameters.scrapValue;
+  }
+
+  describeTerminalValue() {
+    const { exitMode, exitValue, age, vesselType, vesselValueSchedule, valueDepreciationPercent } = this.parameters;
+
+    if (exitMode !== 'resale') {
+      return this.describeScrapValue();
+    }
+
+    const exitAge = age + this.analysisHorizon;
+    const sale = `Resale at the end of year ${this.analysisHorizon} (age ${exitAge}) for $${Math.round(this.getExitValue()).toLocaleString()}`;
+    if (exitValue !== null) {
+      return `${sale} as given; outstanding debt is repaid from the proceeds`;
+    }
+    if (vesselValueSchedule) {
+      return `${sale}, from the vessel value schedule; outstanding debt is repaid from the proceeds`;
+    }
+    if (valueDepreciationPercent !== null) {
+      return `${sale}, after ${(valueDepreciationPercent * 100).toFixed(1)}% a year declining-balance depreciation; ` +
+        'outstanding debt is repaid from the proceeds';
+    }
+
+    const { label, valueCurve } = this.getVesselTypeProfile(vesselType);
+    const share = (curveAge) => `${(this.getValueCurveShare(valueCurve, curveAge) * 100).toFixed(0)}%`;
+    return `${sale}, from the ${label} secondhand curve (${share(age)} of newbuild value at age ${age}, ` +
+      `${share(exitAge)} at age ${exitAge}); outstanding debt is repaid from the proceeds`;
+  }
+
+  describeCovenants() {
+    const { maxLtvPercent, minDscr, minLiquidity } = this.parameters;
+    const parts = [];
+
+    if (maxLtvPercent !== null) {
+      parts.push(`max LTV ${(maxLtvPercent * 100).toFixed(0)}%`);
+    }
+    if (minDscr !== null) {
+      parts.push(`min DSCR ${minDscr.toFixed(2)}x`);
+    }
+    if (minLiquidity !== null) {
+      parts.push(`min liquidity $${minLiquidity.toLocaleString()}`);
+    }
+
+    return parts.length > 0 ? parts.join(', ') : null;
+  }
+
   calculateFinancialMetrics() {
     try {
       const cashFlows = this.calculateCashFlows();
-      const amortizationSchedule = this.calculateAmortizationSchedule();
+      const debtSchedules = this.calculateDebtSchedules();
+      const amortizationSchedule = this.combineDebtSchedules(debtSchedules);
+      const paymentSchedule = debtSchedules.flatMap(debt =>
+        debt.paymentSchedule.map(period => ({ tranche: debt.name, ...period })));
       
+      const equityNpv = this.calculateNPV(cashFlows);
+      const equityIrr = this.solveIRR(cashFlows);
+      const projectIrr = this.solveIRR(cashFlows, 'projectCashFlow');
+
       const results = {
-        npv: this.calculateNPV(cashFlows),
-        irr: this.calculateIRR(cashFlows),
+        npv: equityNpv,
+        irr: equityIrr.irr,
+        irrStatus: equityIrr.status,
+        equityNpv,
+        equityIrr: equityIrr.irr,
+        projectNpv: this.calculateNPV(cashFlows, 'projectCashFlow'),
+        projectIrr: projectIrr.irr,
+        projectIrrStatus: projectIrr.status,
         paybackPeriod: this.calculatePaybackPeriod(cashFlows),
+        discountedPaybackPeriod: this.calculateDiscountedPaybackPeriod(cashFlows),
+        mirr: this.calculateMIRR(cashFlows),
+        financeRate: this.getFinanceRate(),
+        reinvestmentRate: this.getReinvestmentRate(),
+        equityMultiple: this.calculateEquityMultiple(cashFlows),
+        profitabilityIndex: this.calculateProfitabilityIndex(cashFlows),
+        discountRate: this.discountRate,
+        equityDiscountRate: this.equityDiscountRate,
+        discountRateSource: this.getDiscountRateSource(),
+        analysisHorizon: this.analysisHorizon,
+        exitMode: this.parameters.exitMode,
+        charterMode: this.parameters.charterMode,
+        voyage: this.getVoyageSummary(),
+        emissions: this.summarizeEmissions(cashFlows),
+        retrofitAppraisal: this.appraiseRetrofits(cashFlows),
         cashFlows: cashFlows,
         amortizationSchedule: amortizationSchedule,
+        paymentSchedule: paymentSchedule,
+        debtTranches: debtSchedules.map(({ name, ranking, amount, amortizationSchedule }) =>
+          ({ name, ranking, amount, amortizationSchedule })),
         keyRatios: this.calculateKeyRatios(cashFlows),
+        breakevenRates: this.calculateBreakevenRates(cashFlows),
         summary: this.generateSummary()
       };
 
@@ -57,51 +965,130 @@ class VesselFinancialModel {
     }
   }
 
-  calculateCashFlows() {
+  // Retrofits default to the deal's own; the retrofit appraisal passes subsets of them
+  calculateCashFlows(retrofits = this.parameters.retrofits) {
     const cashFlows = [];
-    const { price, downPaymentPercent, loanTermYears, dailyCharterRate, 
-            opexPerDay, utilizationPercent, scrapValue } = this.parameters;
+    const { price, age, utilizationPercent, drydockCost, drydockOffHireDays } = this.parameters;
 
-    const initialInvestment = price * downPaymentPercent;
-    const loanAmount = price * (1 - downPaymentPercent);
-    const annualLoanPayment = this.calculateAnnualLoanPayment(loanAmount, loanTermYears);
+    const { openingCashBalance } = this.parameters;
+    const initialInvestment = this.getEquityInvestment();
+    const exitProceeds = this.getTerminalValue();
+    const debtSchedules = this.calculateDebtSchedules();
+    const amortizationSchedule = this.combineDebtSchedules(debtSchedules);
+    const seniorSchedule = this.combineDebtSchedules(debtSchedules.filter(debt => debt.ranking === 'senior'));
     
     // Year 0 - Initial Investment
     cashFlows.push({
       year: 0,
+      vesselAge: age,
+      charterRate: 0,
+      offHireDays: 0,
       revenue: 0,
+      opexRate: 0,
       opex: 0,
+      capex: 0,
+      retrofitCapex: 0,
+      retrofitSavings: 0,
+      fuelCost: 0,
+      carbonCost: 0,
+      scheduledDebtService: 0,
+      seniorDebtService: 0,
+      balloonPayment: 0,
       debtPayment: 0,
+      vesselValue: this.getVesselValueForYear(0),
+      loanBalance: this.getLoanAmount(),
+      cashBalance: openingCashBalance,
+      projectCashFlow: -price,
       netCashFlow: -initialInvestment,
       cumulativeCashFlow: -initialInvestment
     });
 
     let cumulativeCashFlow = -initialInvestment;
+    let cashBalance = openingCashBalance;
 
     // Operating years
     for (let year = 1; year <= this.analysisHorizon; year++) {
-      const annualRevenue = dailyCharterRate * 365 * utilizationPercent;
-      const annualOpex = opexPerDay * 365;
-      const ebitda = annualRevenue - annualOpex;
+      const charterRate = this.getCharterRateForYear(year);
+      
+      // Drydock events and retrofit installations cost capex and take the vessel off hire
+      const drydockEvents = this.getDrydockEventsForYear(year);
+      const retrofitEffects = this.getRetrofitEffectsForYear(year, retrofits);
+      const offHireDays = Math.min(drydockEvents * (drydockOffHireDays || 0) + retrofitEffects.offHireDays, 365);
+      const capex = drydockEvents * (drydockCost || 0);
+      const retrofitCapex = retrofitEffects.capex;
+      const retrofitSavings = retrofitEffects.savings;
       
-      // Debt payment only for loan term years
-      const debtPayment = year <= loanTermYears ? annualLoanPayment : 0;
+      const annualRevenue = charterRate * (365 - offHireDays) * utilizationPercent;
+      const opexRate = this.getOpexPerDayForYear(year);
+      const annualOpex = opexRate * 365;
+
+      // Owner-paid fuel and EU ETS allowances, when fuel consumption is given
+      const emissions = this.getEmissionsForYear(year, offHireDays, retrofits);
+      const fuelCost = emissions ? emissions.fuelCost : 0;
+      const carbonCost = emissions ? emissions.carbonCost : 0;
+      const ebitda = annualRevenue - annualOpex - fuelCost - carbonCost + retrofitSavings;
+      
+      const isExitYear = year === this.analysisHorizon;
+      
+      // Scheduled instalments and interest, plus any balloon at maturity
+      const loanYear = amortizationSchedule[year - 1];
+      const scheduledDebtService = loanYear ? loanYear.interest + loanYear.principal : 0;
+      const balloonPayment = loanYear ? loanYear.balloon : 0;
+      const seniorYear = seniorSchedule[year - 1];
+      const seniorDebtService = seniorYear ? seniorYear.interest + seniorYear.principal : 0;
+      
+      // Exiting before loan maturity repays the outstanding balance, balloon included
+      const loanPrepayment = isExitYear && loanYear ? loanYear.endingBalance : 0;
+      const debtPayment = scheduledDebtService + balloonPayment + loanPrepayment;
       
-      // Add scrap value in final year
-      const terminalValue = year === this.analysisHorizon ? scrapValue : 0;
+      // Sale or scrap proceeds in the exit year
+      const terminalValue = isExitYear ? exitProceeds : 0;
       
-      const netCashFlow = ebitda - debtPayment + terminalValue;
+      // Unlevered cash flow to the whole vessel, before any debt service
+      const projectCashFlow = ebitda - capex - retrofitCapex + terminalValue;
+      const netCashFlow = projectCashFlow - debtPayment;
       cumulativeCashFlow += netCashFlow;
 
+      // Cash retained in the vessel company, assuming no distributions to equity
+      cashBalance += netCashFlow;
+      const loanBalance = loanYear && !isExitYear ? loanYear.endingBalance : 0;
+
+      // Cash yield on equity from operations, excluding exit proceeds and the balloon or
+      // exit prepayment, which are capital repayments rather than operating outflows
+      const cashOnCash = initialInvestment > 0
+        ? (netCashFlow - terminalValue + balloonPayment + loanPrepayment) / initialInvestment
+        : null;
+
       cashFlows.push({
         year,
+        vesselAge: age + year,
+        charterRate,
+        drydockEvents,
+        offHireDays,
         revenue: annualRevenue,
+        opexRate,
         opex: annualOpex,
+        fuelCost,
+        carbonCost,
+        co2Tonnes: emissions ? emissions.co2Tonnes : 0,
+        ciiRating: emissions && emissions.cii ? emissions.cii.rating : null,
+        retrofitSavings,
         ebitda,
+        capex,
+        retrofitCapex,
+        scheduledDebtService,
+        seniorDebtService,
+        balloonPayment,
+        loanPrepayment,
         debtPayment,
         terminalValue,
+        projectCashFlow,
         netCashFlow,
-        cumulativeCashFlow
+        cumulativeCashFlow,
+        cashOnCash,
+        vesselValue: this.getVesselValueForYear(year),
+        loanBalance,
+        cashBalance
       });
     }
 
@@ -116,88 +1103,412 @@ class VesselFinancialModel {
       return loanAmount / termYears; // No interest case
     }
     
-    const monthlyPayment = loanAmount * (monthlyRate * Math.pow(1 + monthlyRate, numPayments)) / 
-                          (Math.pow(1 + monthlyRate, numPayments) - 1);
+    const monthlyPayment = this.calculatePeriodicPayment(loanAmount, monthlyRate, numPayments);
     
     return monthlyPayment * 12; // Annual payment
   }
 
-  calculateAmortizationSchedule() {
-    const { price, downPaymentPercent, loanTermYears, interestRatePercent } = this.parameters;
-    const loanAmount = price * (1 - downPaymentPercent);
-    const monthlyRate = interestRatePercent / 12;
-    const numPayments = loanTermYears * 12;
-    
-    if (loanAmount === 0) return [];
-    
-    const monthlyPayment = this.calculateAnnualLoanPayment(loanAmount, loanTermYears) / 12;
+  /**
+   * Debt tranches to model. Without explicit debtTranches the single loan described by
+   * the top-level financing inputs becomes one senior tranche.
+   */
+  buildDebtTranches() {
+    const { debtTranches, price, downPaymentPercent, loanTermYears, interestRatePercent,
+            marginPercent, referenceRatePercent, referenceRateCurve } = this.parameters;
+
+    if (debtTranches) {
+      return debtTranches;
+    }
+
+    const isFloating = marginPercent !== null || referenceRatePercent !== null || referenceRateCurve !== null;
+    return [{
+      name: 'Senior Loan',
+      ranking: 'senior',
+      amount: price * (1 - downPaymentPercent),
+      termYears: loanTermYears,
+      interestRatePercent,
+      marginPercent: isFloating ? (marginPercent || 0) : null,
+      swapCoveragePercent: this.parameters.swapCoveragePercent,
+      swapRatePercent: this.parameters.swapRatePercent,
+      repaymentType: this.parameters.repaymentType,
+      repaymentProfileYears: this.parameters.repaymentProfileYears,
+      balloonPercent: this.parameters.balloonPercent,
+      gracePeriodMonths: this.parameters.gracePeriodMonths,
+      paymentFrequency: this.parameters.paymentFrequency
+    }];
+  }
+
+  getLoanAmount() {
+    return this.debtTranches.reduce((sum, tranche) => sum + tranche.amount, 0);
+  }
+
+  getEquityInvestment() {
+    const { price, downPaymentPercent, debtTranches } = this.parameters;
+    return debtTranches ? price - this.getLoanAmount() : price * downPaymentPercent;
+  }
+
+  // Amount-weighted all-in rate across tranches outstanding in a given year
+  getBlendedInterestRate(year) {
+    const tranches = this.debtTranches.filter(tranche => tranche.amount > 0);
+    const totalDebt = tranches.reduce((sum, tranche) => sum + tranche.amount, 0);
+    if (totalDebt === 0) {
+      return this.parameters.interestRatePercent;
+    }
+
+    return tranches.reduce((sum, tranche) =>
+      sum + this.getInterestRateForYear(year, tranche) * tranche.amount, 0) / totalDebt;
+  }
+
+  isFloatingRate(tranche = this.debtTranches[0]) {
+    return tranche.marginPercent !== null;
+  }
+
+  /**
+   * All-in loan interest rate for a given loan year.
+   * Fixed-rate tranches use interestRatePercent throughout. Floating-rate tranches pay
+   * marginPercent over the reference rate for the year, taken from referenceRateCurve
+   * (last entry carried forward) or the flat referenceRatePercent. Any swapped share
+   * of the balance pays the swap rate instead of the reference rate.
+   */
+  getInterestRateForYear(year, tranche = this.debtTranches[0]) {
+    const { referenceRatePercent, referenceRateCurve } = this.parameters;
+    const { interestRatePercent, marginPercent, swapCoveragePercent, swapRatePercent } = tranche;
+
+    if (!this.isFloatingRate(tranche)) {
+      return interestRatePercent;
+    }
+
+    let referenceRate;
+    if (referenceRateCurve) {
+      referenceRate = referenceRateCurve[Math.min(year, referenceRateCurve.length) - 1];
+    } else if (referenceRatePercent !== null) {
+      referenceRate = referenceRatePercent;
+    } else {
+      throw new Error('Floating-rate debt requires referenceRatePercent or referenceRateCurve');
+    }
+
+    const hedgedShare = swapCoveragePercent || 0;
+    if (hedgedShare > 0 && swapRatePercent === null) {
+      throw new Error('swapCoveragePercent requires swapRatePercent');
+    }
+
+    const baseRate = hedgedShare > 0
+      ? hedgedShare * swapRatePercent + (1 - hedgedShare) * referenceRate
+      : referenceRate;
+
+    return baseRate + marginPercent;
+  }
+
+  describeInterestRate(tranche = this.debtTranches[0]) {
+    const { referenceRatePercent, referenceRateCurve } = this.parameters;
+    const { interestRatePercent, marginPercent, swapCoveragePercent, swapRatePercent } = tranche;
+    const formatRate = (rate) => `${(rate * 100).toFixed(2)}%`;
+
+    if (!this.isFloatingRate(tranche)) {
+      return formatRate(interestRatePercent);
+    }
+
+    const reference = referenceRateCurve
+      ? `reference curve ${referenceRateCurve.map(formatRate).join(', ')}`
+      : `reference rate ${formatRate(referenceRatePercent || 0)}`;
+    let description = `${reference} + ${formatRate(marginPercent)} margin`;
+    if (swapCoveragePercent) {
+      description += ` (${(swapCoveragePercent * 100).toFixed(0)}% swapped at ${formatRate(swapRatePercent || 0)})`;
+    }
+
+    return description;
+  }
+
+  /**
+   * Balloon due at maturity for profile-based loans.
+   * Either an explicit balloonPercent of the loan, or whatever a straight-line
+   * repayment over repaymentProfileYears leaves outstanding at maturity.
+   */
+  calculateBalloonAmount(loanAmount, tranche = this.debtTranches[0]) {
+    const { repaymentType, repaymentProfileYears, balloonPercent } = tranche;
+    if (repaymentType !== 'balloon') {
+      return 0;
+    }
+
+    if (balloonPercent !== null) {
+      return loanAmount * balloonPercent;
+    }
+
+    if (repaymentProfileYears === null) {
+      throw new Error('Balloon repayment requires repaymentProfileYears or balloonPercent');
+    }
+
+    const amortizingYears = this.getAmortizingPeriods(tranche) / this.getPaymentsPerYear(tranche);
+    if (repaymentProfileYears < amortizingYears) {
+      throw new Error('repaymentProfileYears must cover the amortizing period of the loan');
+    }
+
+    return loanAmount * (1 - amortizingYears / repaymentProfileYears);
+  }
+
+  getPaymentsPerYear(tranche = this.debtTranches[0]) {
+    return PAYMENTS_PER_YEAR[tranche.paymentFrequency];
+  }
+
+  // Interest-only instalments before principal repayment starts
+  getGracePeriods(tranche = this.debtTranches[0]) {
+    const { gracePeriodMonths, termYears } = tranche;
+    const gracePeriods = Math.round(gracePeriodMonths * this.getPaymentsPerYear(tranche) / 12);
+
+    if (gracePeriods >= termYears * this.getPaymentsPerYear(tranche)) {
+      throw new Error('gracePeriodMonths must be shorter than the loan term');
+    }
+
+    return gracePeriods;
+  }
+
+  getAmortizingPeriods(tranche = this.debtTranches[0]) {
+    return tranche.termYears * this.getPaymentsPerYear(tranche) - this.getGracePeriods(tranche);
+  }
+
+  /**
+   * Loan schedule by instalment for a tranche's repayment type and frequency.
+   * Grace periods pay interest only. Afterwards annuity loans pay a level instalment,
+   * re-sized over the remaining periods whenever the all-in rate resets; straight-line
+   * and balloon loans repay equal principal amounts with any balloon settled in the
+   * final period.
+   */
+  calculateLoanPeriods(tranche = this.debtTranches[0]) {
+    const { amount: loanAmount, termYears, repaymentType } = tranche;
+
+    if (loanAmount <= 0) return [];
+
+    const periodsPerYear = this.getPaymentsPerYear(tranche);
+    const totalPeriods = termYears * periodsPerYear;
+    const gracePeriods = this.getGracePeriods(tranche);
+    const amortizingPeriods = totalPeriods - gracePeriods;
+    const balloonAmount = this.calculateBalloonAmount(loanAmount, tranche);
+    const straightLinePrincipal = (loanAmount - balloonAmount) / amortizingPeriods;
+
+    const periods = [];
+    let balance = loanAmount;
+    let annuityPayment = null;
+    let annuityRate = null;
+
+    for (let period = 1; period <= totalPeriods; period++) {
+      const year = Math.ceil(period / periodsPerYear);
+      const interestRate = this.getInterestRateForYear(year, tranche);
+      const periodRate = interestRate / periodsPerYear;
+      const openingBalance = balance;
+      const interest = openingBalance * periodRate;
+      const isFinalPeriod = period === totalPeriods;
+      const isGracePeriod = period <= gracePeriods;
+
+      let principal = 0;
+      if (!isGracePeriod) {
+        if (repaymentType === 'annuity' && periodRate !== annuityRate) {
+          annuityPayment = this.calculatePeriodicPayment(openingBalance, periodRate, totalPeriods - period + 1);
+          annuityRate = periodRate;
+        }
+        principal = repaymentType === 'annuity'
+          ? annuityPayment - interest
+          : straightLinePrincipal;
+        principal = Math.min(principal, openingBalance);
+      }
+
+      let balloon = 0;
+      if (isFinalPeriod) {
+        if (repaymentType === 'balloon') {
+          balloon = openingBalance - principal;
+        } else {
+          principal = openingBalance; // Clear rounding residue
+        }
+      }
+
+      balance = openingBalance - principal - balloon;
+
+      periods.push({
+        period,
+        year,
+        interestRate,
+        interestOnly: isGracePeriod,
+        openingBalance,
+        interest,
+        principal,
+        balloon,
+        payment: interest + principal + balloon,
+        closingBalance: balance
+      });
+    }
+
+    return periods;
+  }
+
+  // Level instalment that repays loanAmount over numPeriods at periodRate
+  calculatePeriodicPayment(loanAmount, periodRate, numPeriods) {
+    if (periodRate === 0) {
+      return loanAmount / numPeriods;
+    }
+
+    return loanAmount * (periodRate * Math.pow(1 + periodRate, numPeriods)) /
+           (Math.pow(1 + periodRate, numPeriods) - 1);
+  }
+
+  calculateAmortizationSchedule(periods = this.calculateLoanPeriods()) {
     const schedule = [];
-    let remainingBalance = loanAmount;
-
-    for (let year = 1; year <= loanTermYears; year++) {
-      let annualInterest = 0;
-      let annualPrincipal = 0;
-      let yearStartBalance = remainingBalance;
-
-      // Calculate monthly payments for the year
-      for (let month = 1; month <= 12 && remainingBalance > 0; month++) {
-        const interestPayment = remainingBalance * monthlyRate;
-        const principalPayment = Math.min(monthlyPayment - interestPayment, remainingBalance);
-        
-        annualInterest += interestPayment;
-        annualPrincipal += principalPayment;
-        remainingBalance -= principalPayment;
+
+    periods.forEach(period => {
+      let yearRow = schedule[period.year - 1];
+      if (!yearRow) {
+        yearRow = {
+          year: period.year,
+          interestRate: period.interestRate,
+          startingBalance: period.openingBalance,
+          payment: 0,
+          principal: 0,
+          interest: 0,
+          balloon: 0,
+          endingBalance: period.openingBalance
+        };
+        schedule.push(yearRow);
       }
 
+      yearRow.interest += period.interest;
+      yearRow.principal += period.principal;
+      yearRow.balloon += period.balloon;
+      yearRow.payment = yearRow.interest + yearRow.principal + yearRow.balloon;
+      yearRow.endingBalance = period.closingBalance;
+    });
+
+    return schedule;
+  }
+
+  calculateDebtSchedules() {
+    return this.debtTranches
+      .filter(tranche => tranche.amount > 0)
+      .map(tranche => {
+        const paymentSchedule = this.calculateLoanPeriods(tranche);
+        return {
+          name: tranche.name,
+          ranking: tranche.ranking,
+          amount: tranche.amount,
+          paymentSchedule,
+          amortizationSchedule: this.calculateAmortizationSchedule(paymentSchedule)
+        };
+      });
+  }
+
+  /**
+   * Annual debt service summed across tranches. The all-in rate is the average of the
+   * tranche rates weighted by their balances at the start of the year.
+   */
+  combineDebtSchedules(debtSchedules) {
+    const years = Math.max(0, ...debtSchedules.map(debt => debt.amortizationSchedule.length));
+    const schedule = [];
+
+    for (let year = 1; year <= years; year++) {
+      const rows = debtSchedules.map(debt => debt.amortizationSchedule[year - 1]).filter(Boolean);
+      const sum = (field) => rows.reduce((total, row) => total + row[field], 0);
+      const startingBalance = sum('startingBalance');
+
       schedule.push({
         year,
-        startingBalance: yearStartBalance,
-        payment: annualInterest + annualPrincipal,
-        principal: annualPrincipal,
-        interest: annualInterest,
-        endingBalance: remainingBalance
+        interestRate: startingBalance > 0
+          ? rows.reduce((total, row) => total + row.interestRate * row.startingBalance, 0) / startingBalance
+          : rows[0].interestRate,
+        startingBalance,
+        payment: sum('payment'),
+        principal: sum('principal'),
+        interest: sum('interest'),
+        balloon: sum('balloon'),
+        endingBalance: sum('endingBalance')
       });
     }
 
     return schedule;
   }
 
-  calculateNPV(cashFlows) {
+  // NPV and IRR run on equity cash flows (netCashFlow) unless another series is named.
+  // Project cash flows are discounted at the WACC, every other series at the equity rate.
+  calculateNPV(cashFlows, valueKey = 'netCashFlow') {
+    const rate = valueKey === 'projectCashFlow' ? this.discountRate : this.equityDiscountRate;
     return cashFlows.reduce((npv, cf, index) => {
-      const discountFactor = Math.pow(1 + this.discountRate, index);
-      return npv + (cf.netCashFlow / discountFactor);
+      const discountFactor = Math.pow(1 + rate, index);
+      return npv + (cf[valueKey] / discountFactor);
     }, 0);
   }
 
-  calculateIRR(cashFlows) {
-    // Newton-Raphson method for IRR calculation
-    let irr = 0.1; // Initial guess
+  calculateIRR(cashFlows, valueKey = 'netCashFlow') {
+    return this.solveIRR(cashFlows, valueKey).irr;
+  }
+
+  /**
+   * IRR with an explicit status. NPV is scanned across a grid of rates to bracket every
+   * root: no sign change gives 'no_irr' and more than one root gives 'multiple_irrs',
+   * since neither has a meaningful IRR. A single root is refined with Newton-Raphson,
+   * falling back to bisection inside the bracket when Newton strays or stalls.
+   */
+  solveIRR(cashFlows, valueKey = 'netCashFlow') {
+    const values = cashFlows.map(cf => cf[valueKey]);
+    const npvAt = (rate) => values.reduce((npv, value, year) => npv + value / Math.pow(1 + rate, year), 0);
+
+    if (!values.some(value => value > 0) || !values.some(value => value < 0)) {
+      return { irr: null, status: 'no_irr' };
+    }
+
+    const brackets = [];
+    let previousRate = IRR_SEARCH_GRID[0];
+    let previousNpv = npvAt(previousRate);
+    for (const rate of IRR_SEARCH_GRID.slice(1)) {
+      const npv = npvAt(rate);
+      if (npv === 0 || Math.sign(npv) * Math.sign(previousNpv) < 0) {
+        brackets.push([previousRate, rate]);
+      }
+      previousRate = rate;
+      previousNpv = npv;
+    }
+
+    if (brackets.length === 0) {
+      return { irr: null, status: 'no_irr' };
+    }
+    if (brackets.length > 1) {
+      return { irr: null, status: 'multiple_irrs' };
+    }
+
+    const [low, high] = brackets[0];
     const tolerance = 0.0001;
-    const maxIterations = 100;
 
-    for (let i = 0; i < maxIterations; i++) {
+    // Newton-Raphson from the middle of the bracket
+    let irr = (low + high) / 2;
+    for (let i = 0; i < 50; i++) {
       let npv = 0;
       let dnpv = 0; // Derivative of NPV
-
-      cashFlows.forEach((cf, year) => {
-        const factor = Math.pow(1 + irr, year);
-        npv += cf.netCashFlow / factor;
-        dnpv -= (year * cf.netCashFlow) / Math.pow(1 + irr, year + 1);
+      values.forEach((value, year) => {
+        npv += value / Math.pow(1 + irr, year);
+        dnpv -= (year * value) / Math.pow(1 + irr, year + 1);
       });
 
       if (Math.abs(npv) < tolerance) {
-        return irr;
+        return { irr, status: 'converged' };
       }
-
       if (dnpv === 0) break; // Avoid division by zero
       irr = irr - npv / dnpv;
+      if (irr < low || irr > high) break; // Left the bracket
+    }
 
-      // Bounds checking
-      if (irr < -0.99) irr = -0.99;
-      if (irr > 10) irr = 10;
+    // Bisection always converges once the root is bracketed
+    let lowRate = low;
+    let highRate = high;
+    const lowSign = Math.sign(npvAt(lowRate));
+    for (let i = 0; i < 200; i++) {
+      const midRate = (lowRate + highRate) / 2;
+      const npv = npvAt(midRate);
+      if (Math.abs(npv) < tolerance || (highRate - lowRate) / 2 < 1e-10) {
+        return { irr: midRate, status: 'converged' };
+      }
+      if (Math.sign(npv) === lowSign) {
+        lowRate = midRate;
+      } else {
+        highRate = midRate;
+      }
     }
 
-    return irr;
+    return { irr: null, status: 'no_irr' };
   }
 
   calculatePaybackPeriod(cashFlows) {
@@ -217,39 +1528,325 @@ class VesselFinancialModel {
     return null; // Payback period not achieved within analysis horizon
   }
 
+  calculateDiscountedPaybackPeriod(cashFlows) {
+    const discounted = cashFlows.map((cf, index) => ({
+      netCashFlow: cf.netCashFlow / Math.pow(1 + this.equityDiscountRate, index)
+    }));
+    return this.calculatePaybackPeriod(discounted);
+  }
+
+  /**
+   * Retrofit appraisal: incremental equity cash flows of each retrofit on its own, and of
+   * all of them together, against the deal without retrofits. Retrofits are equity funded,
+   * so the debt schedule is unchanged. Payback counts from the start of the first year the
+   * retrofit changes cash flow; the deal metrics with retrofits are the headline results.
+   */
+  appraiseRetrofits(cashFlows) {
+    const { retrofits } = this.parameters;
+    if (!retrofits) {
+      return null;
+    }
+
+    const baseline = this.calculateCashFlows([]);
+    const appraise = (withRetrofits) => {
+      const incremental = withRetrofits.map((cf, index) => ({
+        year: cf.year,
+        incrementalCashFlow: cf.netCashFlow - baseline[index].netCashFlow
+      }));
+      const irr = this.solveIRR(incremental, 'incrementalCashFlow');
+      const firstYear = incremental.findIndex(cf => cf.incrementalCashFlow !== 0);
+
+      return {
+        npv: this.calculateNPV(incremental, 'incrementalCashFlow'),
+        irr: irr.irr,
+        irrStatus: irr.status,
+        paybackPeriod: firstYear === -1 ? null : this.calculatePaybackPeriod([
+          { netCashFlow: 0 },
+          ...incremental.slice(firstYear).map(cf => ({ netCashFlow: cf.incrementalCashFlow }))
+        ]),
+        cashFlows: incremental
+      };
+    };
+
+    return {
+      items: retrofits.map(item => {
+        const { cashFlows: itemCashFlows, ...metrics } = appraise(this.calculateCashFlows([item]));
+        return { name: item.name, type: item.type, installationYear: item.installationYear, capex: item.capex, ...metrics };
+      }),
+      combined: appraise(cashFlows),
+      withoutRetrofits: {
+        npv: this.calculateNPV(baseline),
+        irr: this.solveIRR(baseline).irr,
+        paybackPeriod: this.calculatePaybackPeriod(baseline)
+      }
+    };
+  }
+
+  // MIRR rates default to the equity discount rate when not supplied
+  getFinanceRate() {
+    const { financeRatePercent } = this.parameters;
+    return financeRatePercent !== null ? financeRatePercent : this.equityDiscountRate;
+  }
+
+  getReinvestmentRate() {
+    const { reinvestmentRatePercent } = this.parameters;
+    return reinvestmentRatePercent !== null ? reinvestmentRatePercent : this.equityDiscountRate;
+  }
+
+  /**
+   * Modified IRR on equity cash flows: outflows are discounted to year 0 at the finance
+   * rate and inflows compounded to the final year at the reinvestment rate.
+   */
+  calculateMIRR(cashFlows) {
+    const years = cashFlows.length - 1;
+    const financeRate = this.getFinanceRate();
+    const reinvestmentRate = this.getReinvestmentRate();
+
+    const presentOutflows = cashFlows.reduce((sum, cf, index) =>
+      cf.netCashFlow < 0 ? sum - cf.netCashFlow / Math.pow(1 + financeRate, index) : sum, 0);
+    const futureInflows = cashFlows.reduce((sum, cf, index) =>
+      cf.netCashFlow > 0 ? sum + cf.netCashFlow * Math.pow(1 + reinvestmentRate, years - index) : sum, 0);
+
+    if (years < 1 || presentOutflows === 0) {
+      return null;
+    }
+
+    return Math.pow(futureInflows / presentOutflows, 1 / years) - 1;
+  }
+
+  // Equity multiple (MOIC): total cash returned to equity over total equity invested
+  calculateEquityMultiple(cashFlows) {
+    const invested = cashFlows.reduce((sum, cf) => cf.netCashFlow < 0 ? sum - cf.netCashFlow : sum, 0);
+    const returned = cashFlows.reduce((sum, cf) => cf.netCashFlow > 0 ? sum + cf.netCashFlow : sum, 0);
+    return invested > 0 ? returned / invested : null;
+  }
+
+  // Present value of operating-year equity cash flows per dollar of initial equity
+  calculateProfitabilityIndex(cashFlows) {
+    const initialInvestment = -cashFlows[0].netCashFlow;
+    if (initialInvestment <= 0) {
+      return null;
+    }
+
+    return (this.calculateNPV(cashFlows) + initialInvestment) / initialInvestment;
+  }
+
   calculateKeyRatios(cashFlows) {
     const operatingCashFlows = cashFlows.slice(1); // Exclude year 0
     const totalRevenue = operatingCashFlows.reduce((sum, cf) => sum + cf.revenue, 0);
     const totalOpex = operatingCashFlows.reduce((sum, cf) => sum + cf.opex, 0);
-    const totalDebtPayments = operatingCashFlows.reduce((sum, cf) => sum + cf.debtPayment, 0);
-    const avgAnnualEbitda = (totalRevenue - totalOpex) / operatingCashFlows.length;
-    const avgAnnualDebtService = totalDebtPayments / this.parameters.loanTermYears;
+    const totalCapex = operatingCashFlows.reduce((sum, cf) => sum + (cf.capex || 0), 0);
+    const totalRetrofitCapex = operatingCashFlows.reduce((sum, cf) => sum + cf.retrofitCapex, 0);
+    const totalFuelCost = operatingCashFlows.reduce((sum, cf) => sum + cf.fuelCost, 0);
+    const totalCarbonCost = operatingCashFlows.reduce((sum, cf) => sum + cf.carbonCost, 0);
+    const totalEbitda = operatingCashFlows.reduce((sum, cf) => sum + cf.ebitda, 0);
+    const avgAnnualEbitda = totalEbitda / operatingCashFlows.length;
+
+    // Debt service ratios only cover scheduled payments, excluding balloons and early repayment
+    const debtServiceYears = operatingCashFlows.filter(cf => cf.scheduledDebtService > 0);
+    const totalDebtPayments = debtServiceYears.reduce((sum, cf) => sum + cf.scheduledDebtService, 0);
+    const debtServiceEbitda = debtServiceYears.reduce((sum, cf) => sum + cf.ebitda, 0);
+    const avgAnnualDebtService = debtServiceYears.length > 0 ? totalDebtPayments / debtServiceYears.length : 0;
 
     // Calculate average DSCR (Debt Service Coverage Ratio)
-    const avgDSCR = avgAnnualDebtService > 0 ? avgAnnualEbitda / avgAnnualDebtService : null;
+    const avgDSCR = avgAnnualDebtService > 0 ? (debtServiceEbitda / debtServiceYears.length) / avgAnnualDebtService : null;
+
+    const seniorYears = operatingCashFlows.filter(cf => cf.seniorDebtService > 0);
+    const seniorDebtService = seniorYears.reduce((sum, cf) => sum + cf.seniorDebtService, 0);
+    const seniorEbitda = seniorYears.reduce((sum, cf) => sum + cf.ebitda, 0);
+    const seniorDSCR = seniorDebtService > 0 ? seniorEbitda / seniorDebtService : null;
+
+    const covenantTests = this.calculateCovenantTests(cashFlows);
+    const cashYields = operatingCashFlows.filter(cf => cf.cashOnCash !== null && cf.cashOnCash !== undefined);
+
+    const marginForYear = (cf) => cf && cf.revenue > 0 ? cf.ebitda / cf.revenue : 0;
 
     return {
       totalRevenue,
       totalOpex,
+      totalCapex,
+      totalRetrofitCapex,
+      totalFuelCost,
+      totalCarbonCost,
       avgAnnualEbitda,
       avgAnnualDebtService,
       debtServiceCoverageRatio: avgDSCR,
-      operatingMargin: totalRevenue > 0 ? ((totalRevenue - totalOpex) / totalRevenue) : 0,
-      returnOnInvestment: (this.parameters.price * this.parameters.downPaymentPercent) > 0 ? 
-        (avgAnnualEbitda / (this.parameters.price * this.parameters.downPaymentPercent)) : 0
+      seniorDebtServiceCoverageRatio: seniorDSCR,
+      operatingMargin: totalRevenue > 0 ? (totalEbitda / totalRevenue) : 0,
+      firstYearOperatingMargin: marginForYear(operatingCashFlows[0]),
+      finalYearOperatingMargin: marginForYear(operatingCashFlows[operatingCashFlows.length - 1]),
+      returnOnInvestment: this.getEquityInvestment() > 0 ? 
+        (avgAnnualEbitda / this.getEquityInvestment()) : 0,
+      avgCashOnCash: cashYields.length > 0
+        ? cashYields.reduce((sum, cf) => sum + cf.cashOnCash, 0) / cashYields.length
+        : null,
+      covenantTests,
+      covenantBreachYears: covenantTests.filter(test => test.breached).map(test => test.year)
     };
   }
 
+  // Target equity return for breakeven rates: cost of equity when given, else the equity discount rate
+  getTargetEquityReturn() {
+    const { targetEquityReturnPercent, costOfEquityPercent } = this.parameters;
+    if (targetEquityReturnPercent !== null) return targetEquityReturnPercent;
+    if (costOfEquityPercent !== null) return costOfEquityPercent;
+    return this.equityDiscountRate;
+  }
+
+  /**
+   * Daily charter rates needed, per earning day, to cover OPEX only (opexBreakeven);
+   * OPEX, owner-paid fuel and carbon net of retrofit savings, drydock and retrofit capex
+   * and scheduled debt service (cashBreakeven); and those costs plus a level equity charge
+   * that earns the target equity return (targetReturnBreakeven). The equity charge
+   * recovers the equity invested and any balloon or exit prepayment not met by the
+   * terminal value. Averages weight each year by its earning days, and headroom is how far
+   * dailyCharterRate could fall before reaching each breakeven.
+   */
+  calculateBreakevenRates(cashFlows) {
+    const { utilizationPercent, dailyCharterRate } = this.parameters;
+    const operatingCashFlows = cashFlows.slice(1);
+    const targetReturn = this.getTargetEquityReturn();
+    const years = operatingCashFlows.length;
+
+    const discount = (value, year) => value / Math.pow(1 + targetReturn, year);
+    const capitalToRecover = this.getEquityInvestment() + operatingCashFlows.reduce((sum, cf) =>
+      sum + discount(cf.balloonPayment + cf.loanPrepayment - cf.terminalValue, cf.year), 0);
+    const annuityFactor = targetReturn === 0
+      ? years
+      : (1 - Math.pow(1 + targetReturn, -years)) / targetReturn;
+    const annualEquityCharge = capitalToRecover / annuityFactor;
+
+    const totals = { earningDays: 0, opex: 0, cash: 0, targetReturn: 0 };
+    const byYear = operatingCashFlows.map(cf => {
+      const earningDays = (365 - cf.offHireDays) * utilizationPercent;
+      const cashCosts = cf.opex + cf.fuelCost + cf.carbonCost - cf.retrofitSavings +
+        cf.capex + cf.retrofitCapex + cf.scheduledDebtService;
+
+      totals.earningDays += earningDays;
+      totals.opex += cf.opex;
+      totals.cash += cashCosts;
+      totals.targetReturn += cashCosts + annualEquityCharge;
+
+      const perDay = (amount) => earningDays > 0 ? amount / earningDays : null;
+      return {
+        year: cf.year,
+        opexBreakeven: perDay(cf.opex),
+        cashBreakeven: perDay(cashCosts),
+        targetReturnBreakeven: perDay(cashCosts + annualEquityCharge)
+      };
+    });
+
+    const average = (amount) => totals.earningDays > 0 ? amount / totals.earningDays : null;
+    const averages = {
+      opexBreakeven: average(totals.opex),
+      cashBreakeven: average(totals.cash),
+      targetReturnBreakeven: average(totals.targetReturn)
+    };
+    const headroom = (breakeven) => breakeven !== null && dailyCharterRate > 0
+      ? (dailyCharterRate - breakeven) / dailyCharterRate
+      : null;
+
+    return {
+      targetEquityReturn: targetReturn,
+      charterRate: dailyCharterRate,
+      byYear,
+      average: averages,
+      headroom: {
+        opexBreakeven: headroom(averages.opexBreakeven),
+        cashBreakeven: headroom(averages.cashBreakeven),
+        targetReturnBreakeven: headroom(averages.targetReturnBreakeven)
+      }
+    };
+  }
+
+  /**
+   * Annual covenant tests for each year with debt service: loan-to-value against the
+   * vessel value path, DSCR on scheduled debt service, and minimum cash. An LTV breach
+   * reports the prepayment needed to restore the maximum LTV.
+   */
+  calculateCovenantTests(cashFlows) {
+    const { maxLtvPercent, minDscr, minLiquidity } = this.parameters;
+
+    return cashFlows
+      .slice(1)
+      .filter(cf => cf.scheduledDebtService > 0)
+      .map(cf => {
+        const ltv = cf.vesselValue > 0 ? cf.loanBalance / cf.vesselValue : null;
+        const dscr = cf.ebitda / cf.scheduledDebtService;
+
+        const ltvBreach = maxLtvPercent !== null && ltv !== null && ltv > maxLtvPercent;
+        const dscrBreach = minDscr !== null && dscr < minDscr;
+        const liquidityBreach = minLiquidity !== null && cf.cashBalance < minLiquidity;
+
+        return {
+          year: cf.year,
+          vesselValue: cf.vesselValue,
+          loanBalance: cf.loanBalance,
+          ltv,
+          dscr,
+          cashBalance: cf.cashBalance,
+          ltvBreach,
+          dscrBreach,
+          liquidityBreach,
+          ltvCurePayment: ltvBreach ? cf.loanBalance - maxLtvPercent * cf.vesselValue : 0,
+          breached: ltvBreach || dscrBreach || liquidityBreach
+        };
+      });
+  }
+
+  describeRepayment(tranche = this.debtTranches[0]) {
+    const { repaymentType, amount, paymentFrequency, gracePeriodMonths, repaymentProfileYears } = tranche;
+    const parts = [];
+
+    if (paymentFrequency !== 'monthly') {
+      parts.push(`${paymentFrequency === 'semiAnnual' ? 'semi-annual' : paymentFrequency} instalments`);
+    }
+    if (gracePeriodMonths > 0) {
+      parts.push(`${gracePeriodMonths}-month interest-only grace`);
+    }
+    if (repaymentType === 'straightLine') {
+      parts.push('straight-line repayment');
+    }
+    if (repaymentType === 'balloon') {
+      const balloon = amount > 0 ? this.calculateBalloonAmount(amount, tranche) : 0;
+      const profile = repaymentProfileYears ? `${repaymentProfileYears}-year profile, ` : '';
+      parts.push(`${profile}$${Math.round(balloon).toLocaleString()} balloon at maturity`);
+    }
+
+    return parts.map(part => `, ${part}`).join('');
+  }
+
+  describeFinancing() {
+    if (!this.parameters.debtTranches) {
+      return `${this.parameters.loanTermYears} years at ${this.describeInterestRate()}${this.describeRepayment()}`;
+    }
+
+    const rankingLabels = { senior: 'senior', junior: 'junior', sellerCredit: "seller's credit" };
+    return this.debtTranches.map(tranche =>
+      `${tranche.name} (${rankingLabels[tranche.ranking]}): $${Math.round(tranche.amount).toLocaleString()} ` +
+      `over ${tranche.termYears} years at ${this.describeInterestRate(tranche)}${this.describeRepayment(tranche)}`
+    ).join('; ');
+  }
+
   generateSummary() {
-    const { vesselType, age, price, dwt, loanTermYears, interestRatePercent, 
-            dailyCharterRate, utilizationPercent } = this.parameters;
+    const { vesselType, age, price, dwt, dailyCharterRate, utilizationPercent } = this.parameters;
     
     return {
       vesselDescription: `${age}-year-old ${vesselType} (${dwt.toLocaleString()} DWT)`,
       purchasePrice: price,
-      financingTerms: `${loanTermYears} years at ${(interestRatePercent * 100).toFixed(2)}%`,
+      financingTerms: this.describeFinancing(),
+      discountRate: this.describeDiscountRates(),
+      analysisHorizon: `${this.analysisHorizon} years (exit at age ${age + this.analysisHorizon})`,
+      covenants: this.describeCovenants(),
+      terminalValue: this.describeTerminalValue(),
+      voyageEconomics: this.describeVoyage(),
+      emissions: this.describeEmissions(),
+      retrofits: this.describeRetrofits(),
       operatingAssumptions: {
         dailyRate: dailyCharterRate,
+        charterProfile: this.describeCharterProfile(),
+        opexProfile: this.describeOpexProfile(),
+        drydockSchedule: this.describeDrydockSchedule(),
         utilization: `${(utilizationPercent * 100).toFixed(1)}%`,
         annualOperatingDays: Math.round(365 * utilizationPercent)
       }
@@ -0,0 +1,93 @@
+/**
+ * Emissions
+ * Fuel CO2 factors, EU ETS phase-in and IMO CII rating rules used by the vessel model
+ */
+
+// Tonnes of CO2 per tonne of fuel burnt (IMO Cf factors)
+const FUEL_TYPES = {
+  HFO: { label: 'HFO', co2Factor: 3.114 },
+  VLSFO: { label: 'VLSFO', co2Factor: 3.151 },
+  MGO: { label: 'MGO / MDO', co2Factor: 3.206 },
+  LNG: { label: 'LNG', co2Factor: 2.75 },
+  methanol: { label: 'Methanol', co2Factor: 1.375 }
+};
+
+// Share of in-scope emissions for which allowances must be surrendered, by emission year
+const ETS_PHASE_IN = [
+  { fromYear: 2024, share: 0.4 },
+  { fromYear: 2025, share: 0.7 },
+  { fromYear: 2026, share: 1 }
+];
+
+// Required CII reduction below the 2019 reference line, by calendar year
+const CII_REDUCTION_FACTORS = {
+  2023: 0.05, 2024: 0.07, 2025: 0.09, 2026: 0.11,
+  2027: 0.13625, 2028: 0.1625, 2029: 0.18875, 2030: 0.215
+};
+
+const CII_RATINGS = ['A', 'B', 'C', 'D', 'E'];
+
+/**
+ * CII reference line (required CII = a × capacity^-c, g CO2 per dwt-nm) and rating boundary
+ * vectors d1..d4 by ship type, after MEPC.353(78) and MEPC.354(78). Capacity is DWT,
+ * capped or floored where the guidelines do so.
+ */
+const CII_REFERENCE_LINES = {
+  bulkCarrier: (dwt) => ({ a: 4745, c: 0.622, capacity: Math.min(dwt, 279000), boundaries: [0.86, 0.94, 1.06, 1.18] }),
+  tanker: () => ({ a: 5247, c: 0.61, boundaries: [0.82, 0.93, 1.08, 1.28] }),
+  containerShip: () => ({ a: 1984, c: 0.489, boundaries: [0.83, 0.94, 1.07, 1.19] }),
+  generalCargo: (dwt) => (dwt >= 20000
+    ? { a: 31948, c: 0.792, boundaries: [0.83, 0.94, 1.06, 1.19] }
+    : { a: 588, c: 0.3885, boundaries: [0.83, 0.94, 1.06, 1.19] }),
+  gasCarrier: (dwt) => (dwt >= 65000
+    ? { a: 14405e7, c: 2.071, boundaries: [0.81, 0.91, 1.12, 1.44] }
+    : { a: 8104, c: 0.639, boundaries: [0.85, 0.95, 1.06, 1.25] }),
+  lngCarrier: (dwt) => (dwt >= 100000
+    ? { a: 9.827, c: 0, boundaries: [0.89, 0.98, 1.06, 1.13] }
+    : { a: 14479e10, c: 2.673, capacity: Math.max(dwt, 65000), boundaries: [0.78, 0.92, 1.1, 1.37] })
+};
+
+const getEtsPhaseIn = (year) => {
+  const step = [...ETS_PHASE_IN].reverse().find(phase => year >= phase.fromYear);
+  return step ? step.share : 0;
+};
+
+// Factors beyond the last published year are held at that year's value
+const getCiiReductionFactor = (year) => {
+  const years = Object.keys(CII_REDUCTION_FACTORS).map(Number);
+  const clamped = Math.min(Math.max(year, Math.min(...years)), Math.max(...years));
+  return CII_REDUCTION_FACTORS[clamped];
+};
+
+/**
+ * Attained CII is the year's CO2 in grams per capacity-nautical mile sailed, rated against
+ * the required CII for the calendar year. Returns null for ship types without a DWT-based
+ * reference line.
+ */
+const rateCii = (ciiType, dwt, co2Tonnes, distanceNm, year) => {
+  const referenceLine = CII_REFERENCE_LINES[ciiType];
+  if (!referenceLine || !(dwt > 0) || !(distanceNm > 0)) {
+    return null;
+  }
+
+  const { a, c, capacity = dwt, boundaries } = referenceLine(dwt);
+  const attainedCii = co2Tonnes * 1e6 / (capacity * distanceNm);
+  const requiredCii = a * Math.pow(capacity, -c) * (1 - getCiiReductionFactor(year));
+  const ratio = attainedCii / requiredCii;
+  const band = boundaries.findIndex(boundary => ratio < boundary);
+
+  return {
+    attainedCii,
+    requiredCii,
+    ratio,
+    rating: CII_RATINGS[band === -1 ? CII_RATINGS.length - 1 : band]
+  };
+};
+
+module.exports = {
+  FUEL_TYPES,
+  CII_RATINGS,
+  getEtsPhaseIn,
+  getCiiReductionFactor,
+  rateCii
+};
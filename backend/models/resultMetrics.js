@@ -0,0 +1,28 @@
+/**
+ * Result Metrics
+ * Headline metrics that goal seek can target and data tables can tabulate
+ */
+
+// Rates are read as decimals and given in percent at the API, like the model inputs
+const RESULT_METRICS = {
+  equityIrr: { label: 'Equity IRR', percent: true, read: (results) => results.equityIrr },
+  projectIrr: { label: 'Project IRR', percent: true, read: (results) => results.projectIrr },
+  mirr: { label: 'MIRR', percent: true, read: (results) => results.mirr },
+  equityNpv: { label: 'Equity NPV', percent: false, currency: true, read: (results) => results.equityNpv },
+  projectNpv: { label: 'Project NPV', percent: false, currency: true, read: (results) => results.projectNpv },
+  equityMultiple: { label: 'Equity Multiple', percent: false, read: (results) => results.equityMultiple },
+  profitabilityIndex: { label: 'Profitability Index', percent: false, read: (results) => results.profitabilityIndex },
+  dscr: { label: 'Average DSCR', percent: false, read: (results) => results.keyRatios.debtServiceCoverageRatio },
+  minimumDscr: {
+    label: 'Minimum DSCR',
+    percent: false,
+    read: (results) => {
+      const ratios = results.keyRatios.covenantTests
+        .map(test => test.dscr)
+        .filter(dscr => dscr !== null && dscr !== undefined);
+      return ratios.length > 0 ? Math.min(...ratios) : null;
+    }
+  }
+};
+
+module.exports = { RESULT_METRICS };
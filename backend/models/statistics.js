@@ -0,0 +1,17 @@
+/**
+ * Statistics
+ * Small helpers shared by the simulation and backtest models
+ */
+
+// Linear interpolation between closest ranks of a sorted sample
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const rank = (sorted.length - 1) * p;
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+module.exports = { percentile };
@@ -33,8 +33,15 @@ if (!admin.apps.length) {
 
 // Import our services
 const VesselFinancialModel = require('./models/VesselFinancialModel');
+const GoalSeek = require('./models/GoalSeek');
+const SensitivityAnalysis = require('./models/SensitivityAnalysis');
+const DataTable = require('./models/DataTable');
+const MonteCarloSimulation = require('./models/MonteCarloSimulation');
+const ScenarioSet = require('./models/ScenarioSet');
+const Backtest = require('./models/Backtest');
 const GeminiAIService = require('./utils/GeminiAIService');
 const FirestoreService = require('./utils/FirestoreService');
+const { parseCharterIndexCsv } = require('./utils/charterIndexCsv');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
@@ -178,11 +185,27 @@ app.post('/api/chatbot', verifyFirebaseToken, async (req, res) => {
     }
 
     const result = await geminiService.extractParameters(message, conversationHistory, currentParameters);
+    let aiResponse = result.confirmation;
+    let goalSeek = null;
+
+    // Goal seek questions are solved on the extracted parameters; a failed solve is reported, not fatal
+    if (result.goalSeek) {
+      try {
+        const goalSeekModel = new GoalSeek(result.parameters);
+        goalSeek = goalSeekModel.solve(result.goalSeek);
+        aiResponse = goalSeekModel.describeSolution(goalSeek);
+      } catch (goalSeekError) {
+        aiResponse = `I couldn't solve that: ${goalSeekError.message}`;
+      }
+    } else if (result.goalSeekWarning) {
+      aiResponse = `${result.confirmation}\n\nI couldn't set up that goal seek: ${result.goalSeekWarning}`;
+    }
     
     res.json({
       success: true,
       parameters: result.parameters,
-      aiResponse: result.confirmation,
+      goalSeek,
+      aiResponse,
       extractedAt: new Date().toISOString()
     });
   } catch (error) {
@@ -197,7 +220,7 @@ app.post('/api/chatbot', verifyFirebaseToken, async (req, res) => {
 // Scenario modification endpoint
 app.post('/api/chatbot/modify', verifyFirebaseToken, async (req, res) => {
   try {
-    const { message, currentParameters, conversationHistory } = req.body;
+    const { message, currentParameters, conversationHistory, scenarioName, scenarioType } = req.body;
     
     if (!message || !currentParameters) {
       return res.status(400).json({ error: 'Message and current parameters are required' });
@@ -208,6 +231,24 @@ app.post('/api/chatbot/modify', verifyFirebaseToken, async (req, res) => {
     }
 
     const result = await geminiService.modifyScenario(message, currentParameters, conversationHistory);
+
+    // With a scenario name the changes become a named scenario and the base parameters are kept
+    if (scenarioName) {
+      const [scenario] = new ScenarioSet(currentParameters, [{
+        name: scenarioName,
+        type: scenarioType,
+        overrides: result.modifications
+      }]).scenarios;
+
+      return res.json({
+        success: true,
+        updatedParameters: currentParameters,
+        modifications: result.modifications,
+        scenario,
+        aiResponse: result.confirmation,
+        modifiedAt: new Date().toISOString()
+      });
+    }
     
     res.json({
       success: true,
@@ -228,7 +269,7 @@ app.post('/api/chatbot/modify', verifyFirebaseToken, async (req, res) => {
 // Financial calculation endpoint
 app.post('/api/calculate', verifyFirebaseToken, async (req, res) => {
   try {
-    const { parameters, analysisName } = req.body;
+    const { parameters, analysisName, scenarios } = req.body;
     
     if (!parameters) {
       return res.status(400).json({ error: 'Parameters are required' });
@@ -238,6 +279,11 @@ app.post('/api/calculate', verifyFirebaseToken, async (req, res) => {
     const financialModel = new VesselFinancialModel(parameters);
     const results = financialModel.calculateFinancialMetrics();
 
+    // Named scenarios are calculated alongside the base case
+    if (scenarios && scenarios.length > 0) {
+      results.scenarios = new ScenarioSet(parameters, scenarios).run(results);
+    }
+
     // Save analysis to database
     if (firestoreService) {
       try {
@@ -245,6 +291,7 @@ app.post('/api/calculate', verifyFirebaseToken, async (req, res) => {
           userId: req.user.uid,
           analysisName: analysisName || 'Vessel Analysis',
           parameters,
+          scenarios,
           results
         });
         results.analysisId = analysisId;
@@ -268,6 +315,145 @@ app.post('/api/calculate', verifyFirebaseToken, async (req, res) => {
   }
 });
 
+// Goal seek endpoint: solves one input for a target metric
+app.post('/api/goal-seek', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { parameters, targetMetric, targetValue, variable, bounds } = req.body;
+    
+    if (!parameters || !targetMetric || targetValue === undefined || targetValue === null || !variable) {
+      return res.status(400).json({ error: 'Parameters, target metric, target value and variable are required' });
+    }
+
+    const goalSeek = new GoalSeek(parameters);
+    const solution = goalSeek.solve({ targetMetric, targetValue, variable, bounds });
+
+    res.json({
+      success: true,
+      ...solution,
+      description: goalSeek.describeSolution(solution),
+      solvedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Goal seek error:', error);
+    res.status(500).json({ 
+      error: 'Goal seek failed', 
+      details: error.message 
+    });
+  }
+});
+
+// Sensitivity endpoint: NPV/IRR deltas for each driver flexed by +/- steps
+app.post('/api/sensitivity', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { parameters, steps, drivers } = req.body;
+    
+    if (!parameters) {
+      return res.status(400).json({ error: 'Parameters are required' });
+    }
+
+    const sensitivity = new SensitivityAnalysis(parameters).run({ steps, drivers });
+
+    res.json({
+      success: true,
+      sensitivity,
+      calculatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Sensitivity error:', error);
+    res.status(500).json({ 
+      error: 'Sensitivity analysis failed', 
+      details: error.message 
+    });
+  }
+});
+
+// Two-way data table endpoint: one metric over a grid of two inputs
+app.post('/api/data-table', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { parameters, metric, rowAxis, columnAxis, hurdle } = req.body;
+    
+    if (!parameters || !metric || !rowAxis || !columnAxis) {
+      return res.status(400).json({ error: 'Parameters, metric, row axis and column axis are required' });
+    }
+
+    const dataTable = new DataTable(parameters);
+    const table = await dataTable.build({ metric, rowAxis, columnAxis, hurdle });
+
+    res.json({
+      success: true,
+      dataTable: table,
+      csv: dataTable.toCSV(table),
+      calculatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Data table error:', error);
+    res.status(500).json({ 
+      error: 'Data table calculation failed', 
+      details: error.message 
+    });
+  }
+});
+
+// Monte Carlo endpoint: NPV/IRR distributions over sampled market paths
+app.post('/api/monte-carlo', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { parameters, config } = req.body;
+    
+    if (!parameters) {
+      return res.status(400).json({ error: 'Parameters are required' });
+    }
+
+    const simulation = await new MonteCarloSimulation(parameters, config).run();
+
+    res.json({
+      success: true,
+      simulation,
+      simulatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Monte Carlo error:', error);
+    res.status(500).json({ 
+      error: 'Monte Carlo simulation failed', 
+      details: error.message 
+    });
+  }
+});
+
+// Historical backtest endpoint
+app.post('/api/backtest', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { parameters, indexId, options } = req.body;
+    
+    if (!parameters || !indexId) {
+      return res.status(400).json({ error: 'Parameters and charter index ID are required' });
+    }
+
+    if (!firestoreService) {
+      return res.status(503).json({ error: 'Database service is not available' });
+    }
+
+    const index = await firestoreService.getCharterIndex(indexId, req.user.uid);
+
+    if (!index) {
+      return res.status(404).json({ error: 'Charter index not found' });
+    }
+
+    const backtest = new Backtest(parameters, index.series).run(options);
+
+    res.json({
+      success: true,
+      backtest: { indexName: index.name, ...backtest },
+      backtestedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Backtest error:', error);
+    res.status(500).json({ 
+      error: 'Backtest failed', 
+      details: error.message 
+    });
+  }
+});
+
 // Query results endpoint
 app.post('/api/query-results', verifyFirebaseToken, async (req, res) => {
   try {
@@ -402,6 +588,94 @@ app.delete('/api/analyses/:analysisId', verifyFirebaseToken, async (req, res) =>
   }
 });
 
+// Upload a historical charter index series (CSV of date,rate)
+app.post('/api/charter-indices', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { name, csv } = req.body;
+    
+    if (!name || !csv) {
+      return res.status(400).json({ error: 'Index name and CSV data are required' });
+    }
+
+    if (!firestoreService) {
+      return res.status(503).json({ error: 'Database service is not available' });
+    }
+
+    let series;
+    try {
+      series = parseCharterIndexCsv(csv);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid charter index CSV', details: error.message });
+    }
+
+    const indexId = await firestoreService.saveCharterIndex({ userId: req.user.uid, name, series });
+
+    res.json({
+      success: true,
+      index: { id: indexId, name, fromYear: series[0].year, toYear: series[series.length - 1].year, series },
+      uploadedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Charter index upload error:', error);
+    res.status(500).json({ 
+      error: 'Failed to upload charter index', 
+      details: error.message 
+    });
+  }
+});
+
+// List the user's charter indices
+app.get('/api/charter-indices', verifyFirebaseToken, async (req, res) => {
+  try {
+    if (!firestoreService) {
+      return res.status(503).json({ error: 'Database service is not available' });
+    }
+
+    const indices = await firestoreService.getUserCharterIndices(req.user.uid);
+    
+    res.json({
+      success: true,
+      indices,
+      fetchedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get charter indices error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch charter indices', 
+      details: error.message 
+    });
+  }
+});
+
+// Delete charter index
+app.delete('/api/charter-indices/:indexId', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { indexId } = req.params;
+    
+    if (!firestoreService) {
+      return res.status(503).json({ error: 'Database service is not available' });
+    }
+
+    const success = await firestoreService.deleteCharterIndex(indexId, req.user.uid);
+    
+    if (!success) {
+      return res.status(404).json({ error: 'Charter index not found' });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Charter index deleted successfully',
+      deletedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Delete charter index error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete charter index', 
+      details: error.message 
+    });
+  }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Unhandled error:', error);
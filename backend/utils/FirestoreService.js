@@ -2,7 +2,7 @@ const admin = require('firebase-admin');
 
 /**
  * Firestore Database Service
- * Handles users and analyses collections as specified in the plan
+ * Handles users, analyses and charterIndices collections as specified in the plan
  */
 class FirestoreService {
   constructor() {
@@ -98,7 +98,7 @@ class FirestoreService {
 
   async saveAnalysis(analysisData) {
     try {
-      const { userId, analysisName, parameters, results } = analysisData;
+      const { userId, analysisName, parameters, scenarios, results } = analysisData;
       
       // Validate required fields
       if (!userId || !parameters || !results) {
@@ -115,6 +115,11 @@ class FirestoreService {
         version: 1
       };
 
+      // Scenario definitions are stored next to the base parameters they override
+      if (scenarios && scenarios.length > 0) {
+        analysisDoc.scenarios = this.sanitizeData(scenarios);
+      }
+
       const docRef = await this.db.collection('analyses').add(analysisDoc);
       
       return docRef.id;
@@ -178,7 +183,10 @@ class FirestoreService {
             vesselType: data.parameters?.vesselType,
             price: data.parameters?.price,
             npv: data.results?.npv,
-            irr: data.results?.irr
+            irr: data.results?.irr,
+            projectIrr: data.results?.projectIrr,
+            discountRate: data.results?.discountRate,
+            scenarioCount: data.scenarios?.length
           }
         };
       });
@@ -245,6 +253,107 @@ class FirestoreService {
     }
   }
 
+  async saveCharterIndex(indexData) {
+    try {
+      const { userId, name, series } = indexData;
+
+      if (!userId || !name || !series) {
+        throw new Error('Missing required fields: userId, name, and series are required');
+      }
+
+      const docRef = await this.db.collection('charterIndices').add({
+        userId,
+        name,
+        series: this.sanitizeData(series),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return docRef.id;
+    } catch (error) {
+      console.error('Error saving charter index:', error);
+      throw new Error(`Save charter index failed: ${error.message}`);
+    }
+  }
+
+  async getCharterIndex(indexId, userId) {
+    try {
+      const indexDoc = await this.db.collection('charterIndices').doc(indexId).get();
+
+      if (!indexDoc.exists) {
+        return null;
+      }
+
+      const data = indexDoc.data();
+
+      // Verify ownership
+      if (data.userId !== userId) {
+        throw new Error('Access denied: Charter index belongs to different user');
+      }
+
+      return {
+        id: indexDoc.id,
+        ...data
+      };
+    } catch (error) {
+      console.error('Error getting charter index:', error);
+      throw new Error(`Get charter index failed: ${error.message}`);
+    }
+  }
+
+  async getUserCharterIndices(userId) {
+    try {
+      if (!this.db) {
+        console.log('⚠️ Firestore not available, returning empty charter indices');
+        return [];
+      }
+
+      const snapshot = await this.db.collection('charterIndices')
+        .where('userId', '==', userId)
+        .orderBy('createdAt', 'desc')
+        .get();
+
+      // Coverage only; the series itself is fetched when a backtest runs
+      return snapshot.docs.map(doc => {
+        const data = doc.data();
+        const series = data.series || [];
+        return {
+          id: doc.id,
+          name: data.name,
+          createdAt: data.createdAt,
+          fromYear: series[0]?.year,
+          toYear: series[series.length - 1]?.year
+        };
+      });
+    } catch (error) {
+      console.error('Error getting charter indices:', error);
+      throw new Error(`Get charter indices failed: ${error.message}`);
+    }
+  }
+
+  async deleteCharterIndex(indexId, userId) {
+    try {
+      const indexRef = this.db.collection('charterIndices').doc(indexId);
+      const indexDoc = await indexRef.get();
+
+      if (!indexDoc.exists) {
+        return false;
+      }
+
+      // Verify ownership
+      if (indexDoc.data().userId !== userId) {
+        throw new Error('Access denied: Charter index belongs to different user');
+      }
+
+      await indexRef.delete();
+
+      return true;
+    } catch (error) {
+      console.error('Error deleting charter index:', error);
+      throw new Error(`Delete charter index failed: ${error.message}`);
+    }
+  }
+
   async getUserAnalysesCount(userId) {
     try {
       const snapshot = await this.db.collection('analyses')
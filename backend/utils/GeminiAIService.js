@@ -1,4 +1,5 @@
 const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { PARAMETER_RULES } = require('./parameterRules');
 
 /**
  * Gemini AI Integration for Vessel Parameter Extraction
@@ -22,6 +23,113 @@ class GeminiAIService {
     downPaymentPercent, loanTermYears, interestRatePercent, dailyCharterRate, 
     opexPerDay, utilizationPercent, and scrapValue. 
     
+    Optional valuation parameters: discountRatePercent (the hurdle rate / cost of capital 
+    used for NPV), or the WACC components costOfEquityPercent, costOfDebtPercent and 
+    taxRatePercent. Only set discountRatePercent when the user states a single discount 
+    rate, hurdle rate or WACC.
+    
+    Optional scrap value parameters: ldt (lightweight tonnage in tonnes) and scrapPricePerLdt 
+    (demolition price in dollars per LDT, e.g. "$480/ldt" means 480). Leave scrapValue null 
+    unless the user gives the scrap or residual value in dollars; otherwise it is derived as 
+    LDT times the scrap price, with LDT estimated from vessel type and DWT when not given.
+    
+    Optional horizon parameters: analysisHorizonYears (how many years the vessel is held / 
+    traded, independent of the loan term) or scrapAgeYears (the vessel age at which it is 
+    scrapped, e.g. 25 for dry bulk).
+    
+    Optional exit parameters, for vessels sold secondhand rather than scrapped: exitMode, one of 
+    "scrap" (the default, trade to the end of the horizon) or "resale"; exitYear (the year of 
+    ownership the vessel is sold in, e.g. "sell after 6 years" means 6); and exitValue (the sale 
+    price in dollars, only when the user states one - otherwise it comes from an age-based 
+    secondhand value curve).
+    
+    Optional charter profile parameters: fixedCharterYears and fixedCharterRate for a period 
+    time charter (TC), spotCharterRate for the assumed market rate after the fixed period, 
+    charterEscalationPercent for annual escalation of market rates, and charterRateSchedule 
+    as an array of daily rates by year (year 1 first) when the user gives a year-by-year curve. 
+    For example "3-year TC at $18k then $14k spot" means fixedCharterYears 3, 
+    fixedCharterRate 18000 and spotCharterRate 14000.
+    
+    Optional voyage charter parameters, for vessels traded on voyage (spot) charters rather 
+    than time charters: set charterMode to "voyage" (the default is "timeCharter") and give a 
+    representative voyage as cargoTonnes, either freightRatePerTonne (dollars per tonne) or 
+    worldscaleRate (WS points) with worldscaleFlatRate (the WS100 flat rate in $/tonne), seaDays, 
+    portDays, seaConsumptionTonnesPerDay and portConsumptionTonnesPerDay (bunkers burnt), 
+    bunkerPricePerTonne, portCostsPerVoyage and canalDuesPerVoyage. For example "130k t 
+    TD3C at WS 55, flat $20.50, 40 days at sea" means cargoTonnes 130000, worldscaleRate 55, 
+    worldscaleFlatRate 20.5 and seaDays 40. The daily rate is then the derived TCE, so leave 
+    dailyCharterRate null unless the user also gives one.
+    
+    Optional fuel and emissions parameters, for owner-paid fuel and carbon costs: 
+    fuelConsumptionTonnesPerDay (tonnes per sea day) with portFuelConsumptionTonnesPerDay, 
+    fuelType, one of "HFO", "VLSFO" (the default), "MGO", "LNG" or "methanol", 
+    fuelPricePerTonne with fuelPriceEscalationPercent, seaDaysPercent (share of trading days 
+    at sea), serviceSpeedKnots (needed for the CII rating), carbonPricePerTonne (EU allowance 
+    price per tonne of CO2) with carbonPriceEscalationPercent, euEtsExposurePercent (share of 
+    emissions under the EU ETS: 100 for intra-EU trading, 50 for voyages into or out of the 
+    EU) and startYear (calendar year of the first operating year). For example "burns 28 t 
+    VLSFO at 12.5 knots, $600/t, EUAs at $80" means fuelConsumptionTonnesPerDay 28, 
+    serviceSpeedKnots 12.5, fuelPricePerTonne 600 and carbonPricePerTonne 80.
+    
+    Optional operating cost parameters: opexEscalationPercent for annual OPEX inflation, and 
+    opexAgeThresholdYears with opexAgeStepUpPercent for an OPEX step-up once the vessel 
+    reaches a given age (e.g. "+10% opex after 15 years" means 15 and 10).
+    
+    Optional drydock parameters: drydockIntervalYears (years between drydockings / special 
+    surveys, typically 2.5 to 5), drydockCost (cost per event in dollars) and 
+    drydockOffHireDays (days off hire per event).
+    
+    Optional loan structure parameters: repaymentType, one of "annuity" (level payments, the 
+    default), "straightLine" (equal principal instalments) or "balloon" (instalments on a 
+    longer profile with a balloon at maturity); repaymentProfileYears for the repayment 
+    profile of a balloon loan (e.g. "15-year profile" means 15); balloonPercent when the 
+    balloon is given as a percentage of the loan; gracePeriodMonths for an interest-only 
+    grace period on principal (e.g. "1-year grace" means 12); paymentFrequency, one of 
+    "monthly" (the default), "quarterly" or "semiAnnual".
+    
+    Optional floating-rate parameters, for loans priced as a margin over a reference rate such 
+    as SOFR: marginPercent (e.g. "SOFR + 250bps" means 2.5), referenceRatePercent for a flat 
+    reference rate assumption, referenceRateCurve as an array of reference rates in percent 
+    by year (year 1 first) when a forward curve is given, and swapCoveragePercent with 
+    swapRatePercent when part of the loan is fixed through an interest-rate swap.
+    
+    Optional debtTranches, only when the deal has more than one loan (e.g. a senior bank loan 
+    plus a junior/mezzanine tranche or a seller's credit): a list of objects each with name, 
+    ranking ("senior", "junior" or "sellerCredit"), amount in dollars or sharePercent of the 
+    purchase price, termYears, interestRatePercent (or marginPercent for floating tranches), 
+    and optionally repaymentType, repaymentProfileYears, balloonPercent, gracePeriodMonths 
+    and paymentFrequency as above.
+    
+    Optional retrofits, for scrubbers, ballast water treatment systems or energy-saving 
+    devices to appraise: a list of objects each with name, type ("scrubber", 
+    "ballastWaterTreatment", "energySaving" or "other"), installationYear (operating year, 1 
+    for the first), capex in dollars, offHireDays, and its benefit as annualFuelSaving in 
+    dollars, fuelSavingPercent (cut in fuel burnt, only with fuelConsumptionTonnesPerDay) or 
+    annualRevenuePremium in dollars.
+    
+    Optional covenant parameters: maxLtvPercent for the loan-to-value / value-maintenance 
+    covenant (e.g. "minimum value clause of 135%" means about 74), minDscr for the minimum 
+    debt service coverage ratio (e.g. 1.25), minLiquidity for the minimum cash balance in 
+    dollars, and openingCashBalance for cash held at delivery. The vessel value path, used 
+    for the LTV test and the resale price, follows the vessel type's secondhand curve unless 
+    vesselValueSchedule (array of market values by year, year 1 first) or 
+    valueDepreciationPercent for annual declining-balance depreciation is given.
+    
+    Optional MIRR parameters: financeRatePercent (rate at which equity outflows are financed) 
+    and reinvestmentRatePercent (rate at which distributions are reinvested). Both default 
+    to the discount rate.
+    
+    Optional targetEquityReturnPercent: the equity return used for the target-return 
+    breakeven charter rate. Defaults to the cost of equity, or else the discount rate.
+    
+    Goal seek: when the user asks which value of an input achieves a target (e.g. "what 
+    price gives a 12% equity IRR?" or "what charter rate do I need for NPV zero?"), set 
+    goalSeek to an object with targetMetric (one of equityIrr, projectIrr, mirr, equityNpv, 
+    projectNpv, equityMultiple, profitabilityIndex, dscr for average DSCR, or minimumDscr), 
+    targetValue (IRR and MIRR targets in percent, NPVs in dollars) and variable (the 
+    parameter name to solve for, e.g. price or dailyCharterRate). Leave the variable itself 
+    null in the parameters. Otherwise set goalSeek to null.
+    
     IMPORTANT: 
     - ONLY extract parameters that are explicitly mentioned in the current message
     - If a parameter is not mentioned in the current message, set its value to null (it will be preserved from existing values)
@@ -43,9 +151,76 @@ class GeminiAIService {
       "loanTermYears": 7,
       "interestRatePercent": 6.5,
       "dailyCharterRate": 18000,
+      "charterMode": null,
+      "cargoTonnes": null,
+      "freightRatePerTonne": null,
+      "worldscaleRate": null,
+      "worldscaleFlatRate": null,
+      "seaDays": null,
+      "portDays": null,
+      "seaConsumptionTonnesPerDay": null,
+      "portConsumptionTonnesPerDay": null,
+      "bunkerPricePerTonne": null,
+      "portCostsPerVoyage": null,
+      "canalDuesPerVoyage": null,
+      "fuelConsumptionTonnesPerDay": null,
+      "portFuelConsumptionTonnesPerDay": null,
+      "fuelType": null,
+      "fuelPricePerTonne": null,
+      "fuelPriceEscalationPercent": null,
+      "seaDaysPercent": null,
+      "serviceSpeedKnots": null,
+      "carbonPricePerTonne": null,
+      "carbonPriceEscalationPercent": null,
+      "euEtsExposurePercent": null,
+      "startYear": null,
       "opexPerDay": 4000,
       "utilizationPercent": 85,
-      "scrapValue": null
+      "scrapValue": null,
+      "ldt": null,
+      "scrapPricePerLdt": null,
+      "discountRatePercent": null,
+      "costOfEquityPercent": null,
+      "costOfDebtPercent": null,
+      "taxRatePercent": null,
+      "analysisHorizonYears": null,
+      "scrapAgeYears": null,
+      "exitMode": null,
+      "exitYear": null,
+      "exitValue": null,
+      "fixedCharterYears": null,
+      "fixedCharterRate": null,
+      "spotCharterRate": null,
+      "charterEscalationPercent": null,
+      "charterRateSchedule": null,
+      "opexEscalationPercent": null,
+      "opexAgeThresholdYears": null,
+      "opexAgeStepUpPercent": null,
+      "drydockIntervalYears": null,
+      "drydockCost": null,
+      "drydockOffHireDays": null,
+      "repaymentType": null,
+      "repaymentProfileYears": null,
+      "balloonPercent": null,
+      "gracePeriodMonths": null,
+      "paymentFrequency": null,
+      "marginPercent": null,
+      "referenceRatePercent": null,
+      "referenceRateCurve": null,
+      "swapCoveragePercent": null,
+      "swapRatePercent": null,
+      "debtTranches": null,
+      "retrofits": null,
+      "vesselValueSchedule": null,
+      "valueDepreciationPercent": null,
+      "maxLtvPercent": null,
+      "minDscr": null,
+      "minLiquidity": null,
+      "openingCashBalance": null,
+      "financeRatePercent": null,
+      "reinvestmentRatePercent": null,
+      "targetEquityReturnPercent": null,
+      "goalSeek": null
     }
     \`\`\`
     I've extracted the vessel parameters from your description.`;
@@ -83,6 +258,15 @@ class GeminiAIService {
       
       const parsed = this.parseParametersResponse(text);
       const validated = this.validateParameters(parsed.parameters);
+
+      // A malformed goal seek is dropped with a warning rather than failing the extraction
+      let goalSeek = null;
+      let goalSeekWarning = null;
+      try {
+        goalSeek = this.validateGoalSeek(parsed.parameters.goalSeek);
+      } catch (error) {
+        goalSeekWarning = error.message;
+      }
       
       // Merge with existing parameters, only updating non-null values
       const mergedParameters = { ...currentParameters };
@@ -94,6 +278,8 @@ class GeminiAIService {
       
       return {
         parameters: mergedParameters,
+        goalSeek,
+        goalSeekWarning,
         confirmation: parsed.confirmation,
         rawResponse: text
       };
@@ -127,25 +313,9 @@ class GeminiAIService {
 
   validateParameters(parameters) {
     const validated = {};
-    
-    // Define parameter types and validation rules
-    const parameterRules = {
-      vesselType: { type: 'string', required: false },
-      age: { type: 'number', min: 0, max: 50 },
-      price: { type: 'number', min: 100000, max: 1000000000 },
-      dwt: { type: 'number', min: 1000, max: 500000 },
-      currency: { type: 'string', default: 'USD' },
-      downPaymentPercent: { type: 'number', min: 0, max: 100 },
-      loanTermYears: { type: 'number', min: 1, max: 30 },
-      interestRatePercent: { type: 'number', min: 0, max: 20 },
-      dailyCharterRate: { type: 'number', min: 1000, max: 100000 },
-      opexPerDay: { type: 'number', min: 500, max: 20000 },
-      utilizationPercent: { type: 'number', min: 1, max: 100 },
-      scrapValue: { type: 'number', min: 0, max: 1000000000 }
-    };
 
     // Validate each parameter
-    for (const [key, rules] of Object.entries(parameterRules)) {
+    for (const [key, rules] of Object.entries(PARAMETER_RULES)) {
       let value = parameters[key];
       
       // Skip null/undefined values unless required
@@ -173,11 +343,33 @@ class GeminiAIService {
         if (rules.max !== undefined && value > rules.max) {
           throw new Error(`Parameter ${key} must be at most ${rules.max}`);
         }
+      } else if (rules.type === 'array') {
+        if (!Array.isArray(value)) {
+          throw new Error(`Parameter ${key} must be an array`);
+        }
+        value = value.map(item => parseFloat(item));
+        if (value.some(item => isNaN(item))) {
+          throw new Error(`Parameter ${key} must contain only numbers`);
+        }
+        if (rules.min !== undefined && value.some(item => item < rules.min)) {
+          throw new Error(`Parameter ${key} values must be at least ${rules.min}`);
+        }
+        if (rules.max !== undefined && value.some(item => item > rules.max)) {
+          throw new Error(`Parameter ${key} values must be at most ${rules.max}`);
+        }
+      } else if (rules.type === 'list') {
+        // Item fields are validated by the financial model
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'object' || item === null)) {
+          throw new Error(`Parameter ${key} must be a list of objects`);
+        }
       } else if (rules.type === 'string') {
         value = String(value).trim();
         if (value.length === 0 && rules.required) {
           throw new Error(`Parameter ${key} cannot be empty`);
         }
+        if (rules.enum && !rules.enum.includes(value)) {
+          throw new Error(`Parameter ${key} must be one of: ${rules.enum.join(', ')}`);
+        }
       }
 
       validated[key] = value;
@@ -186,6 +378,25 @@ class GeminiAIService {
     return validated;
   }
 
+  // Goal seek requests are checked for shape here; the solver rejects unknown metrics
+  validateGoalSeek(goalSeek) {
+    if (goalSeek === null || goalSeek === undefined) {
+      return null;
+    }
+
+    const { targetMetric, targetValue, variable } = goalSeek;
+    const rules = PARAMETER_RULES[variable];
+    if (!targetMetric || !rules || rules.type !== 'number') {
+      throw new Error('Goal seek needs a target metric and a numeric parameter to solve for');
+    }
+    const value = parseFloat(targetValue);
+    if (isNaN(value)) {
+      throw new Error('Goal seek target value must be a valid number');
+    }
+
+    return { targetMetric: String(targetMetric), targetValue: value, variable };
+  }
+
   async answerResultsQuery(query, resultsData, conversationHistory = []) {
     try {
       const summary = this.createResultsSummary(resultsData);
@@ -216,21 +427,69 @@ class GeminiAIService {
     }
   }
 
+  // IRRs without a unique root are reported as not meaningful rather than as a number
+  describeIRR(irr, status) {
+    if (status === 'multiple_irrs') {
+      return 'Not meaningful (cash flows change sign more than once, giving multiple IRRs)';
+    }
+    if (status === 'no_irr' || irr === null || irr === undefined) {
+      return 'Not meaningful (no discount rate sets NPV to zero)';
+    }
+    return `${(irr * 100).toFixed(2)}%`;
+  }
+
   createResultsSummary(resultsData) {
-    const { npv, irr, paybackPeriod, keyRatios, summary, cashFlows } = resultsData;
+    const { npv, irr, paybackPeriod, keyRatios, summary, cashFlows, amortizationSchedule, debtTranches } = resultsData;
+    
+    // Optional assumptions only present on newer analyses
+    const assumptionLines = [
+      summary.discountRate && `Discount Rate: ${summary.discountRate}`,
+      summary.analysisHorizon && `Analysis Horizon: ${summary.analysisHorizon}`,
+      summary.voyageEconomics && `Voyage Charter: ${summary.voyageEconomics}`,
+      summary.emissions && `Fuel and Emissions: ${summary.emissions}`,
+      summary.retrofits && `Retrofits: ${summary.retrofits}`,
+      summary.terminalValue && `Terminal Value: ${summary.terminalValue}`,
+      summary.operatingAssumptions.charterProfile && `Charter Profile: ${summary.operatingAssumptions.charterProfile}`,
+      summary.operatingAssumptions.opexProfile && `OPEX Profile: ${summary.operatingAssumptions.opexProfile}`,
+      summary.operatingAssumptions.drydockSchedule && `Drydock Schedule: ${summary.operatingAssumptions.drydockSchedule}`,
+      summary.covenants && `Covenants: ${summary.covenants}`
+    ].filter(Boolean).map(line => `\n${line}`).join('');
+
+    // NPV and IRR above are on equity cash flows; project returns are unlevered
+    const projectReturnLines = resultsData.projectNpv !== undefined
+      ? `\n- Project (Unlevered) NPV: $${Math.round(resultsData.projectNpv).toLocaleString()}` +
+        `\n- Project (Unlevered) IRR: ${this.describeIRR(resultsData.projectIrr, resultsData.projectIrrStatus)}`
+      : '';
+
+    // Extended return metrics only present on newer analyses
+    const formatPercent = (value) => `${(value * 100).toFixed(2)}%`;
+    const extendedReturnLines = [
+      resultsData.mirr !== undefined && `MIRR: ${resultsData.mirr !== null ? formatPercent(resultsData.mirr) : 'N/A'}` +
+        ` (finance rate ${formatPercent(resultsData.financeRate)}, reinvestment rate ${formatPercent(resultsData.reinvestmentRate)})`,
+      resultsData.discountedPaybackPeriod !== undefined && `Discounted Payback Period: ${
+        resultsData.discountedPaybackPeriod ? resultsData.discountedPaybackPeriod.toFixed(1) + ' years' : 'Not achieved'}`,
+      resultsData.equityMultiple != null && `Equity Multiple (MOIC): ${resultsData.equityMultiple.toFixed(2)}x`,
+      resultsData.profitabilityIndex != null && `Profitability Index: ${resultsData.profitabilityIndex.toFixed(2)}`,
+      keyRatios.avgCashOnCash != null && `Average Cash-on-Cash Yield: ${formatPercent(keyRatios.avgCashOnCash)}`
+    ].filter(Boolean).map(line => `\n- ${line}`).join('');
+
+    // Senior coverage only differs from total coverage when there are junior tranches
+    const seniorCoverageLine = (debtTranches || []).length > 1 && keyRatios.seniorDebtServiceCoverageRatio
+      ? `\n- Senior Debt Service Coverage Ratio: ${keyRatios.seniorDebtServiceCoverageRatio.toFixed(2)}x`
+      : '';
     
     let summaryText = `VESSEL INVESTMENT ANALYSIS SUMMARY:
     
 Vessel: ${summary.vesselDescription}
 Purchase Price: $${summary.purchasePrice.toLocaleString()}
-Financing: ${summary.financingTerms}
+Financing: ${summary.financingTerms}${assumptionLines}
 Operating: ${summary.operatingAssumptions.dailyRate.toLocaleString()}/day at ${summary.operatingAssumptions.utilization} utilization
 
 KEY FINANCIAL METRICS:
-- Net Present Value (NPV): $${npv.toLocaleString()} 
-- Internal Rate of Return (IRR): ${(irr * 100).toFixed(2)}%
-- Payback Period: ${paybackPeriod ? paybackPeriod.toFixed(1) + ' years' : 'Not achieved'}
-- Debt Service Coverage Ratio: ${keyRatios.debtServiceCoverageRatio ? keyRatios.debtServiceCoverageRatio.toFixed(2) + 'x' : 'N/A'}
+- Equity Net Present Value (NPV): $${npv.toLocaleString()} 
+- Equity Internal Rate of Return (IRR): ${this.describeIRR(irr, resultsData.irrStatus)}${projectReturnLines}
+- Payback Period: ${paybackPeriod ? paybackPeriod.toFixed(1) + ' years' : 'Not achieved'}${extendedReturnLines}
+- Debt Service Coverage Ratio: ${keyRatios.debtServiceCoverageRatio ? keyRatios.debtServiceCoverageRatio.toFixed(2) + 'x' : 'N/A'}${seniorCoverageLine}
 - Operating Margin: ${(keyRatios.operatingMargin * 100).toFixed(1)}%
 
 CASH FLOW HIGHLIGHTS:`;
@@ -242,6 +501,94 @@ CASH FLOW HIGHLIGHTS:`;
 - Year 1 Net Cash Flow: $${firstYear.netCashFlow.toLocaleString()}
 - Final Year Net Cash Flow: $${finalYear.netCashFlow.toLocaleString()}
 - Final Cumulative Cash Flow: $${finalYear.cumulativeCashFlow.toLocaleString()}`;
+
+      const balloonYear = cashFlows.find(cf => cf.balloonPayment > 0);
+      if (balloonYear) {
+        summaryText += `
+- Balloon Repayment: $${Math.round(balloonYear.balloonPayment).toLocaleString()} in year ${balloonYear.year}`;
+      }
+
+      const cashYields = cashFlows.slice(1).filter(cf => cf.cashOnCash != null);
+      if (cashYields.length > 0) {
+        summaryText += `
+- Cash-on-Cash Yield by Year: ${cashYields.map(cf => `Y${cf.year} ${formatPercent(cf.cashOnCash)}`).join(', ')}`;
+      }
+
+      const loanRates = (amortizationSchedule || []).filter(row => row.interestRate !== undefined);
+      if (loanRates.some(row => row.interestRate !== loanRates[0].interestRate)) {
+        summaryText += `
+- All-in Loan Rate by Year: ${loanRates.map(row => `Y${row.year} ${(row.interestRate * 100).toFixed(2)}%`).join(', ')}`;
+      }
+
+      if (cashFlows[1].charterRate !== undefined) {
+        summaryText += `
+
+REVENUE AND OPEX PROFILE BY YEAR:`;
+        cashFlows.slice(1).forEach(cf => {
+          summaryText += `
+- Year ${cf.year}: $${Math.round(cf.charterRate).toLocaleString()}/day, revenue $${Math.round(cf.revenue).toLocaleString()}, opex $${Math.round(cf.opex).toLocaleString()}${cf.capex ? `, drydock capex $${Math.round(cf.capex).toLocaleString()} (${cf.offHireDays} off-hire days)` : ''}${cf.fuelCost ? `, fuel $${Math.round(cf.fuelCost).toLocaleString()}` : ''}${cf.carbonCost ? `, EU ETS $${Math.round(cf.carbonCost).toLocaleString()}` : ''}${cf.ciiRating ? `, CII ${cf.ciiRating}` : ''}${cf.retrofitCapex ? `, retrofit capex $${Math.round(cf.retrofitCapex).toLocaleString()}` : ''}`;
+        });
+      }
+    }
+
+    const { breakevenRates } = resultsData;
+    if (breakevenRates) {
+      const tiers = [
+        ['OPEX only', 'opexBreakeven'],
+        ['OPEX, drydock and debt service (cash breakeven)', 'cashBreakeven'],
+        [`Cash breakeven plus ${formatPercent(breakevenRates.targetEquityReturn)} equity return`, 'targetReturnBreakeven']
+      ];
+      summaryText += `
+
+BREAKEVEN CHARTER RATES (average $/day vs assumed $${breakevenRates.charterRate.toLocaleString()}/day):`;
+      const formatRate = (rate) => rate !== null ? `$${Math.round(rate).toLocaleString()}/day` : 'N/A';
+      tiers.forEach(([label, key]) => {
+        const headroom = breakevenRates.headroom[key];
+        const headroomText = headroom !== null ? ` (headroom ${(headroom * 100).toFixed(1)}%)` : '';
+        summaryText += `
+- ${label}: ${formatRate(breakevenRates.average[key])}${headroomText}`;
+      });
+      const cashBreakevenByYear = breakevenRates.byYear
+        .map(row => `Y${row.year} ${formatRate(row.cashBreakeven)}`)
+        .join(', ');
+      summaryText += `
+- Cash breakeven by year: ${cashBreakevenByYear}`;
+    }
+
+    const { retrofitAppraisal } = resultsData;
+    if (retrofitAppraisal) {
+      const formatPayback = (payback) => payback !== null ? `${payback.toFixed(1)} years` : 'Not achieved';
+      const formatAppraisal = (label, appraisal) => `
+- ${label}: incremental NPV $${Math.round(appraisal.npv).toLocaleString()}, IRR ${this.describeIRR(appraisal.irr, appraisal.irrStatus)}, payback ${formatPayback(appraisal.paybackPeriod)}`;
+      summaryText += `
+
+RETROFIT APPRAISAL (deal NPV without retrofits $${Math.round(retrofitAppraisal.withoutRetrofits.npv).toLocaleString()}):`;
+      retrofitAppraisal.items.forEach(item => {
+        summaryText += formatAppraisal(`${item.name} (year ${item.installationYear}, $${item.capex.toLocaleString()})`, item);
+      });
+      if (retrofitAppraisal.items.length > 1) {
+        summaryText += formatAppraisal('All retrofits', retrofitAppraisal.combined);
+      }
+    }
+
+    const breaches = (keyRatios.covenantTests || []).filter(test => test.breached);
+    if (summary.covenants && breaches.length > 0) {
+      summaryText += `
+
+COVENANT BREACHES:`;
+      breaches.forEach(test => {
+        const failed = [
+          test.ltvBreach && `LTV ${(test.ltv * 100).toFixed(1)}% (cure prepayment $${Math.round(test.ltvCurePayment).toLocaleString()})`,
+          test.dscrBreach && `DSCR ${test.dscr.toFixed(2)}x`,
+          test.liquidityBreach && `cash $${Math.round(test.cashBalance).toLocaleString()}`
+        ].filter(Boolean).join(', ');
+        summaryText += `
+- Year ${test.year}: ${failed}`;
+      });
+    } else if (summary.covenants) {
+      summaryText += `
+
+COVENANTS: No breaches over the loan life`;
     }
 
     return summaryText;
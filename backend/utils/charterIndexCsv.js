@@ -0,0 +1,89 @@
+/**
+ * Charter Index CSV
+ * Parses an uploaded time-charter index series into annual average rates
+ */
+
+const MAX_CSV_LENGTH = 2 * 1024 * 1024;
+
+// Splits one CSV line, keeping commas inside double quotes (e.g. "12,500")
+const splitCsvLine = (line) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (const char of line) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if ((char === ',' || char === ';') && !quoted) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+
+  return cells;
+};
+
+// Accepts 2015, 2015-06, 2015-06-30, 2015/06/30 and 30/06/2015 style dates
+const parseYear = (value) => {
+  const match = value.match(/^(\d{4})(?:[-/.]\d{1,2}){0,2}$/) || value.match(/^\d{1,2}[-/.]\d{1,2}[-/.](\d{4})$/);
+  return match ? parseInt(match[1]) : null;
+};
+
+const parseRate = (value) => parseFloat(value.replace(/[$,\s]/g, ''));
+
+/**
+ * Rows are `date,rate`. A header row is skipped; monthly, weekly or daily observations
+ * are averaged into one rate per calendar year. Years must be consecutive so the series
+ * can be replayed as a charter rate curve.
+ */
+const parseCharterIndexCsv = (csv) => {
+  if (typeof csv !== 'string' || !csv.trim()) {
+    throw new Error('Charter index CSV is empty');
+  }
+  if (csv.length > MAX_CSV_LENGTH) {
+    throw new Error('Charter index CSV must be smaller than 2 MB');
+  }
+
+  const totals = new Map();
+  const lines = csv.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+  lines.forEach((line, index) => {
+    const [date = '', rateText = ''] = splitCsvLine(line);
+    const year = parseYear(date);
+    const rate = parseRate(rateText);
+
+    if (year === null || isNaN(rate)) {
+      if (index === 0) {
+        return; // header
+      }
+      throw new Error(`Line ${index + 1} must be a date and a rate, e.g. 2015-06,12500`);
+    }
+    if (rate < 0 || rate > 1000000) {
+      throw new Error(`Line ${index + 1}: rate must be between 0 and 1000000`);
+    }
+
+    const total = totals.get(year) || { sum: 0, observations: 0 };
+    total.sum += rate;
+    total.observations++;
+    totals.set(year, total);
+  });
+
+  const series = [...totals.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([year, { sum, observations }]) => ({ year, rate: Math.round(sum / observations), observations }));
+
+  if (series.length < 2) {
+    throw new Error('Charter index must cover at least 2 years');
+  }
+  const gap = series.find((point, i) => i > 0 && point.year !== series[i - 1].year + 1);
+  if (gap) {
+    throw new Error(`Charter index has no observations for ${series[series.indexOf(gap) - 1].year + 1}`);
+  }
+
+  return series;
+};
+
+module.exports = { parseCharterIndexCsv };
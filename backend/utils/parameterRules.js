@@ -0,0 +1,88 @@
+/**
+ * Parameter types and validation rules for vessel inputs.
+ * The single source of input bounds: the financial model range-checks against them, and
+ * AI parameter extraction and goal seek (which takes its search bounds from here) share them.
+ * Inputs the model uses as whole years are flagged integer so goal seek only tries those.
+ */
+const PARAMETER_RULES = {
+  vesselType: { type: 'string', required: false },
+  age: { type: 'number', min: 0, max: 50 },
+  price: { type: 'number', min: 100000, max: 1000000000 },
+  dwt: { type: 'number', min: 1000, max: 500000 },
+  currency: { type: 'string', default: 'USD' },
+  downPaymentPercent: { type: 'number', min: 0, max: 100 },
+  loanTermYears: { type: 'number', min: 1, max: 30, integer: true },
+  interestRatePercent: { type: 'number', min: 0, max: 20 },
+  dailyCharterRate: { type: 'number', min: 0, max: 1000000 },
+  charterMode: { type: 'string', enum: ['timeCharter', 'voyage'] },
+  cargoTonnes: { type: 'number', min: 1, max: 1000000 },
+  freightRatePerTonne: { type: 'number', min: 0, max: 10000 },
+  worldscaleRate: { type: 'number', min: 1, max: 1000 },
+  worldscaleFlatRate: { type: 'number', min: 0, max: 1000 },
+  seaDays: { type: 'number', min: 0, max: 365 },
+  portDays: { type: 'number', min: 0, max: 365 },
+  seaConsumptionTonnesPerDay: { type: 'number', min: 0, max: 500 },
+  portConsumptionTonnesPerDay: { type: 'number', min: 0, max: 200 },
+  bunkerPricePerTonne: { type: 'number', min: 0, max: 5000 },
+  portCostsPerVoyage: { type: 'number', min: 0, max: 10000000 },
+  canalDuesPerVoyage: { type: 'number', min: 0, max: 10000000 },
+  fuelConsumptionTonnesPerDay: { type: 'number', min: 0, max: 500 },
+  portFuelConsumptionTonnesPerDay: { type: 'number', min: 0, max: 200 },
+  fuelType: { type: 'string', enum: ['HFO', 'VLSFO', 'MGO', 'LNG', 'methanol'] },
+  fuelPricePerTonne: { type: 'number', min: 0, max: 5000 },
+  fuelPriceEscalationPercent: { type: 'number', min: -50, max: 50 },
+  seaDaysPercent: { type: 'number', min: 0, max: 100 },
+  serviceSpeedKnots: { type: 'number', min: 1, max: 40 },
+  carbonPricePerTonne: { type: 'number', min: 0, max: 1000 },
+  carbonPriceEscalationPercent: { type: 'number', min: -50, max: 50 },
+  euEtsExposurePercent: { type: 'number', min: 0, max: 100 },
+  startYear: { type: 'number', min: 2000, max: 2100, integer: true },
+  opexPerDay: { type: 'number', min: 500, max: 20000 },
+  utilizationPercent: { type: 'number', min: 1, max: 100 },
+  scrapValue: { type: 'number', min: 0, max: 1000000000 },
+  ldt: { type: 'number', min: 1, max: 500000 },
+  scrapPricePerLdt: { type: 'number', min: 0, max: 5000 },
+  discountRatePercent: { type: 'number', min: 0, max: 50 },
+  costOfEquityPercent: { type: 'number', min: 0, max: 50 },
+  costOfDebtPercent: { type: 'number', min: 0, max: 50 },
+  taxRatePercent: { type: 'number', min: 0, max: 100 },
+  analysisHorizonYears: { type: 'number', min: 1, max: 50, integer: true },
+  scrapAgeYears: { type: 'number', min: 1, max: 60, integer: true },
+  exitMode: { type: 'string', enum: ['scrap', 'resale'] },
+  exitYear: { type: 'number', min: 1, max: 50, integer: true },
+  exitValue: { type: 'number', min: 0, max: 1000000000 },
+  fixedCharterYears: { type: 'number', min: 0, max: 50 },
+  fixedCharterRate: { type: 'number', min: 0, max: 1000000 },
+  spotCharterRate: { type: 'number', min: 0, max: 1000000 },
+  charterEscalationPercent: { type: 'number', min: -50, max: 50 },
+  charterRateSchedule: { type: 'array', min: 0, max: 1000000 },
+  opexEscalationPercent: { type: 'number', min: -20, max: 50 },
+  opexAgeThresholdYears: { type: 'number', min: 0, max: 60 },
+  opexAgeStepUpPercent: { type: 'number', min: 0, max: 200 },
+  drydockIntervalYears: { type: 'number', min: 1, max: 10 },
+  drydockCost: { type: 'number', min: 0, max: 50000000 },
+  drydockOffHireDays: { type: 'number', min: 0, max: 120 },
+  repaymentType: { type: 'string', enum: ['annuity', 'straightLine', 'balloon'] },
+  repaymentProfileYears: { type: 'number', min: 1, max: 40 },
+  balloonPercent: { type: 'number', min: 0, max: 100 },
+  gracePeriodMonths: { type: 'number', min: 0, max: 120 },
+  paymentFrequency: { type: 'string', enum: ['monthly', 'quarterly', 'semiAnnual'] },
+  marginPercent: { type: 'number', min: 0, max: 20 },
+  referenceRatePercent: { type: 'number', min: -1, max: 30 },
+  referenceRateCurve: { type: 'array', min: -1, max: 30 },
+  swapCoveragePercent: { type: 'number', min: 0, max: 100 },
+  swapRatePercent: { type: 'number', min: -1, max: 30 },
+  debtTranches: { type: 'list' },
+  retrofits: { type: 'list' },
+  vesselValueSchedule: { type: 'array', min: 0, max: 1000000000 },
+  valueDepreciationPercent: { type: 'number', min: 0, max: 50 },
+  maxLtvPercent: { type: 'number', min: 1, max: 150 },
+  minDscr: { type: 'number', min: 0, max: 10 },
+  minLiquidity: { type: 'number', min: 0, max: 1000000000 },
+  openingCashBalance: { type: 'number', min: 0, max: 1000000000 },
+  financeRatePercent: { type: 'number', min: 0, max: 50 },
+  reinvestmentRatePercent: { type: 'number', min: 0, max: 50 },
+  targetEquityReturnPercent: { type: 'number', min: 0, max: 50 }
+};
+
+module.exports = { PARAMETER_RULES };
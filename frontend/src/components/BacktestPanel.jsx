@@ -0,0 +1,349 @@
+import React, { useState, useEffect } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell } from 'recharts';
+import { auth } from '../config/firebase';
+
+/**
+ * BacktestPanel
+ * Uploads historical charter index series and replays the deal from every start year
+ */
+const BacktestPanel = ({ parameters, formatCurrency }) => {
+  const [indices, setIndices] = useState([]);
+  const [selectedIndexId, setSelectedIndexId] = useState('');
+  const [upload, setUpload] = useState({ name: '', file: null });
+  const [options, setOptions] = useState({ lookbackYears: '20', minHistoryYears: '5', scaleToCurrentRate: false });
+  const [backtest, setBacktest] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadIndices = async () => {
+      if (!auth.currentUser) return;
+
+      try {
+        const idToken = await auth.currentUser.getIdToken();
+        const response = await fetch(`${process.env.REACT_APP_API_URL || '/api'}/charter-indices`, {
+          headers: {
+            'Authorization': `Bearer ${idToken}`,
+          },
+        });
+
+        if (!response.ok) {
+          const errorData = await response.json();
+          throw new Error(errorData.details || errorData.error || 'Failed to load charter indices');
+        }
+
+        const data = await response.json();
+        setIndices(data.indices);
+        if (data.indices.length > 0) {
+          setSelectedIndexId(data.indices[0].id);
+        }
+      } catch (error) {
+        console.error('Charter index load error:', error);
+        setError(error.message);
+      }
+    };
+
+    loadIndices();
+  }, []);
+
+  const uploadIndex = async () => {
+    if (!auth.currentUser || !upload.file) return;
+
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const csv = await upload.file.text();
+      const idToken = await auth.currentUser.getIdToken();
+      const response = await fetch(`${process.env.REACT_APP_API_URL || '/api'}/charter-indices`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${idToken}`,
+        },
+        body: JSON.stringify({ name: upload.name || upload.file.name, csv }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.details || errorData.error || 'Charter index upload failed');
+      }
+
+      // The list only needs the index summary, not its full series
+      const data = await response.json();
+      const summary = { ...data.index };
+      delete summary.series;
+      setIndices(prev => [summary, ...prev]);
+      setSelectedIndexId(summary.id);
+      setUpload({ name: '', file: null });
+    } catch (error) {
+      console.error('Charter index upload error:', error);
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const deleteIndex = async () => {
+    if (!auth.currentUser || !selectedIndexId) return;
+
+    try {
+      setError(null);
+      const idToken = await auth.currentUser.getIdToken();
+      const response = await fetch(`${process.env.REACT_APP_API_URL || '/api'}/charter-indices/${selectedIndexId}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${idToken}`,
+        },
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.details || errorData.error || 'Charter index delete failed');
+      }
+
+      const remaining = indices.filter(index => index.id !== selectedIndexId);
+      setIndices(remaining);
+      setSelectedIndexId(remaining[0]?.id || '');
+      setBacktest(null);
+    } catch (error) {
+      console.error('Charter index delete error:', error);
+      setError(error.message);
+    }
+  };
+
+  const runBacktest = async () => {
+    if (!auth.currentUser || !selectedIndexId) return;
+
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const idToken = await auth.currentUser.getIdToken();
+      const response = await fetch(`${process.env.REACT_APP_API_URL || '/api'}/backtest`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${idToken}`,
+        },
+        body: JSON.stringify({ parameters, indexId: selectedIndexId, options }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.details || errorData.error || 'Backtest failed');
+      }
+
+      const data = await response.json();
+      setBacktest(data.backtest);
+    } catch (error) {
+      console.error('Backtest error:', error);
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const formatPercent = (value) => value === null ? 'Not meaningful' : `${(value * 100).toFixed(2)}%`;
+
+  const vintageData = backtest
+    ? backtest.vintages.map(vintage => ({ ...vintage, irrPercent: vintage.irr === null ? 0 : vintage.irr * 100 }))
+    : [];
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h3 className="text-lg font-medium text-gray-900 mb-1">Historical Backtest</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Replays the deal as if bought in each year of an uploaded time-charter index.
+        Upload a CSV with one <code>date,rate</code> row per observation; rates are averaged per year.
+      </p>
+
+      <div className="grid grid-cols-1 gap-4 lg:grid-cols-3 mb-4">
+        <div className="p-3 bg-gray-50 rounded space-y-2">
+          <div className="text-sm font-medium text-gray-900">Upload Index</div>
+          <input
+            type="text"
+            value={upload.name}
+            placeholder="Baltic Supramax TC avg"
+            onChange={(e) => setUpload(prev => ({ ...prev, name: e.target.value }))}
+            className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+          />
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={(e) => setUpload(prev => ({ ...prev, file: e.target.files[0] || null }))}
+            className="w-full text-sm"
+          />
+          <button
+            onClick={uploadIndex}
+            disabled={isLoading || !upload.file}
+            className="px-3 py-1 bg-white border border-gray-300 text-gray-700 text-sm rounded-md hover:bg-gray-50 disabled:opacity-50"
+          >
+            Upload
+          </button>
+        </div>
+
+        <div className="p-3 bg-gray-50 rounded space-y-2">
+          <div className="text-sm font-medium text-gray-900">Charter Index</div>
+          {indices.length === 0 ? (
+            <p className="text-xs text-gray-500">No indices uploaded yet.</p>
+          ) : (
+            <>
+              <select
+                value={selectedIndexId}
+                onChange={(e) => setSelectedIndexId(e.target.value)}
+                className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+              >
+                {indices.map(index => (
+                  <option key={index.id} value={index.id}>{index.name} ({index.fromYear}–{index.toYear})</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={deleteIndex}
+                className="text-xs font-medium text-red-600 hover:text-red-800"
+              >
+                Delete Index
+              </button>
+            </>
+          )}
+        </div>
+
+        <div className="p-3 bg-gray-50 rounded space-y-2">
+          <div className="text-sm font-medium text-gray-900">Options</div>
+          <label className="block text-xs text-gray-600">
+            <span className="block mb-1">Lookback (years)</span>
+            <input
+              type="number"
+              value={options.lookbackYears}
+              onChange={(e) => setOptions(prev => ({ ...prev, lookbackYears: e.target.value }))}
+              className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+            />
+          </label>
+          <label className="block text-xs text-gray-600">
+            <span className="block mb-1">Minimum History (years)</span>
+            <input
+              type="number"
+              value={options.minHistoryYears}
+              onChange={(e) => setOptions(prev => ({ ...prev, minHistoryYears: e.target.value }))}
+              className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+            />
+          </label>
+          <label className="flex items-center text-xs text-gray-600">
+            <input
+              type="checkbox"
+              checked={options.scaleToCurrentRate}
+              onChange={(e) => setOptions(prev => ({ ...prev, scaleToCurrentRate: e.target.checked }))}
+              className="mr-2"
+            />
+            Scale index so its latest rate equals the current charter rate
+          </label>
+        </div>
+      </div>
+
+      <button
+        onClick={runBacktest}
+        disabled={isLoading || !selectedIndexId}
+        className="mb-4 px-4 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:opacity-50"
+      >
+        {isLoading ? 'Running...' : 'Run Backtest'}
+      </button>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-800">{error}</div>
+      )}
+
+      {backtest && (
+        <>
+          <div className="grid grid-cols-1 gap-4 md:grid-cols-4 mb-6">
+            <div className="p-4 bg-gray-50 rounded">
+              <div className="text-sm text-gray-600">Median IRR (P10 / P90)</div>
+              <div className="text-2xl font-semibold text-gray-900">{formatPercent(backtest.irr.p50)}</div>
+              <div className="text-xs text-gray-500">
+                {formatPercent(backtest.irr.p10)} / {formatPercent(backtest.irr.p90)}
+              </div>
+            </div>
+            <div className="p-4 bg-gray-50 rounded">
+              <div className="text-sm text-gray-600">Worst Vintage</div>
+              <div className="text-2xl font-semibold text-red-600">{backtest.worstVintage.startYear}</div>
+              <div className="text-xs text-gray-500">
+                IRR {formatPercent(backtest.worstVintage.irr)}, NPV {formatCurrency(backtest.worstVintage.npv)}
+              </div>
+            </div>
+            <div className="p-4 bg-gray-50 rounded">
+              <div className="text-sm text-gray-600">Best Vintage</div>
+              <div className="text-2xl font-semibold text-green-600">{backtest.bestVintage.startYear}</div>
+              <div className="text-xs text-gray-500">
+                IRR {formatPercent(backtest.bestVintage.irr)}, NPV {formatCurrency(backtest.bestVintage.npv)}
+              </div>
+            </div>
+            <div className="p-4 bg-gray-50 rounded">
+              <div className="text-sm text-gray-600">Vintages with Negative NPV</div>
+              <div className="text-2xl font-semibold text-gray-900">
+                {(backtest.probabilityNegativeNpv * 100).toFixed(0)}%
+              </div>
+              <div className="text-xs text-gray-500">of {backtest.vintages.length} start years</div>
+            </div>
+          </div>
+
+          <h4 className="font-medium text-gray-900 mb-3">Equity IRR by Start Year</h4>
+          <div className="h-72 mb-6">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={vintageData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="startYear" />
+                <YAxis tickFormatter={(value) => `${value.toFixed(0)}%`} />
+                <Tooltip formatter={(value, name, entry) => [formatPercent(entry.payload.irr), 'Equity IRR']} />
+                <Bar dataKey="irrPercent">
+                  {vintageData.map(vintage => (
+                    <Cell
+                      key={vintage.startYear}
+                      fill={vintage.startYear === backtest.worstVintage.startYear ? '#DC2626' : '#2563EB'}
+                    />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200 text-gray-600">
+                  <th className="py-2 pr-4 text-left font-medium">Start Year</th>
+                  <th className="py-2 pr-4 text-right font-medium">Avg Rate ($/day)</th>
+                  <th className="py-2 pr-4 text-right font-medium">Index Years Used</th>
+                  <th className="py-2 pr-4 text-right font-medium">Equity NPV</th>
+                  <th className="py-2 pr-4 text-right font-medium">Equity IRR</th>
+                  <th className="py-2 pr-4 text-right font-medium">Min DSCR</th>
+                </tr>
+              </thead>
+              <tbody>
+                {backtest.vintages.map(vintage => (
+                  <tr key={vintage.startYear} className="border-b border-gray-100">
+                    <td className="py-2 pr-4 font-medium text-gray-900">{vintage.startYear}</td>
+                    <td className="py-2 pr-4 text-right">{vintage.averageRate.toLocaleString()}</td>
+                    <td className="py-2 pr-4 text-right">{vintage.historicalYears}</td>
+                    <td className={`py-2 pr-4 text-right ${vintage.npv < 0 ? 'text-red-600' : ''}`}>
+                      {formatCurrency(vintage.npv)}
+                    </td>
+                    <td className="py-2 pr-4 text-right">{formatPercent(vintage.irr)}</td>
+                    <td className="py-2 pr-4 text-right">
+                      {vintage.minimumDscr === null ? 'N/A' : `${vintage.minimumDscr.toFixed(2)}x`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500 mt-2">
+              {backtest.indexName}, {backtest.indexYears.from}–{backtest.indexYears.to}. Once the index runs out,
+              its last annual rate is held for the rest of the horizon.
+            </p>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BacktestPanel;
@@ -0,0 +1,272 @@
+import React, { useState } from 'react';
+import { auth } from '../config/firebase';
+
+const AXIS_OPTIONS = [
+  { key: 'dailyCharterRate', label: 'Charter Rate ($/day)', format: 'currency' },
+  { key: 'price', label: 'Purchase Price', format: 'currency' },
+  { key: 'opexPerDay', label: 'OPEX ($/day)', format: 'currency' },
+  { key: 'utilizationPercent', label: 'Utilization (%)', format: 'percent', max: 100 },
+  { key: 'interestRatePercent', label: 'Interest Rate (%)', format: 'percent', max: 20 },
+  { key: 'downPaymentPercent', label: 'Down Payment (%)', format: 'percent', max: 100 },
+  { key: 'scrapValue', label: 'Scrap Value', format: 'currency' },
+  { key: 'loanTermYears', label: 'Loan Term (years)', format: 'years', max: 30 }
+];
+
+const METRIC_OPTIONS = [
+  { key: 'equityIrr', label: 'Equity IRR (%)' },
+  { key: 'projectIrr', label: 'Project IRR (%)' },
+  { key: 'equityNpv', label: 'Equity NPV' },
+  { key: 'projectNpv', label: 'Project NPV' },
+  { key: 'minimumDscr', label: 'Minimum DSCR' },
+  { key: 'dscr', label: 'Average DSCR' },
+  { key: 'equityMultiple', label: 'Equity Multiple' }
+];
+
+/**
+ * DataTablePanel
+ * Two-way data table of one metric across two inputs, colour-coded against a hurdle
+ */
+const DataTablePanel = ({ parameters, results, formatCurrency }) => {
+  // Default ranges are +/-20% around the current input, capped at the input's upper bound
+  const defaultRange = (key) => {
+    const option = AXIS_OPTIONS.find(o => o.key === key);
+    const base = parseFloat(parameters[key]) || 0;
+    const round = (value) => option.format === 'currency' ? Math.round(value) : Math.round(value * 100) / 100;
+    return {
+      min: round(base * 0.8),
+      max: round(option.max !== undefined ? Math.min(option.max, base * 1.2) : base * 1.2),
+      points: 5
+    };
+  };
+
+  // Hurdles default to the matching discount rate for IRRs, break-even for NPV and the covenant for DSCR
+  const defaultHurdle = (metric) => {
+    if (metric === 'equityIrr' && results.equityDiscountRate !== undefined) {
+      return (results.equityDiscountRate * 100).toFixed(2);
+    }
+    if (metric === 'equityIrr' || metric === 'projectIrr') {
+      return results.discountRate !== undefined ? (results.discountRate * 100).toFixed(2) : '10';
+    }
+    if (metric === 'minimumDscr' || metric === 'dscr') {
+      return String(parameters.minDscr ?? 1.25);
+    }
+    return metric === 'equityMultiple' ? '1' : '0';
+  };
+
+  const [metric, setMetric] = useState('equityIrr');
+  const [hurdle, setHurdle] = useState(defaultHurdle('equityIrr'));
+  const [rowAxis, setRowAxis] = useState({ variable: 'dailyCharterRate', ...defaultRange('dailyCharterRate') });
+  const [columnAxis, setColumnAxis] = useState({ variable: 'price', ...defaultRange('price') });
+  const [dataTable, setDataTable] = useState(null);
+  const [csv, setCsv] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleMetricChange = (value) => {
+    setMetric(value);
+    setHurdle(defaultHurdle(value));
+  };
+
+  const updateAxis = (setAxis, field, value) => {
+    if (field === 'variable') {
+      setAxis({ variable: value, ...defaultRange(value) });
+    } else {
+      setAxis(prev => ({ ...prev, [field]: value }));
+    }
+  };
+
+  const runDataTable = async () => {
+    if (!auth.currentUser) return;
+
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const idToken = await auth.currentUser.getIdToken();
+      const response = await fetch(`${process.env.REACT_APP_API_URL || '/api'}/data-table`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${idToken}`,
+        },
+        body: JSON.stringify({ parameters, metric, rowAxis, columnAxis, hurdle }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.details || 'Data table calculation failed');
+      }
+
+      const data = await response.json();
+      setDataTable(data.dataTable);
+      setCsv(data.csv);
+    } catch (error) {
+      console.error('Data table error:', error);
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const exportCsv = () => {
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `data-table-${dataTable.metric}-${dataTable.rowAxis.variable}-${dataTable.columnAxis.variable}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const formatAxisValue = (key, value) => {
+    const option = AXIS_OPTIONS.find(o => o.key === key);
+    if (option?.format === 'currency') return formatCurrency(value);
+    if (option?.format === 'percent') return `${value.toFixed(2)}%`;
+    return value;
+  };
+
+  const formatCell = (value) => {
+    if (value === null) return 'N/A';
+    if (dataTable.percent) return `${value.toFixed(2)}%`;
+    if (dataTable.metric.endsWith('Npv')) return formatCurrency(value);
+    return value.toFixed(2);
+  };
+
+  const cellColor = (cell) => {
+    if (cell.meetsHurdle === null) return 'bg-gray-50 text-gray-700';
+    return cell.meetsHurdle ? 'bg-green-100 text-green-900' : 'bg-red-100 text-red-900';
+  };
+
+  const isBaseCase = (rowValue, columnValue) =>
+    Number(parameters[dataTable.rowAxis.variable]) === rowValue &&
+    Number(parameters[dataTable.columnAxis.variable]) === columnValue;
+
+  const renderAxisInputs = (title, axis, setAxis, otherVariable) => (
+    <div className="p-3 bg-gray-50 rounded">
+      <div className="text-sm font-medium text-gray-900 mb-2">{title}</div>
+      <select
+        value={axis.variable}
+        onChange={(e) => updateAxis(setAxis, 'variable', e.target.value)}
+        className="w-full mb-2 px-3 py-2 border border-gray-300 rounded-md text-sm"
+      >
+        {AXIS_OPTIONS.filter(option => option.key !== otherVariable).map(option => (
+          <option key={option.key} value={option.key}>{option.label}</option>
+        ))}
+      </select>
+      <div className="grid grid-cols-3 gap-2">
+        {['min', 'max', 'points'].map(field => (
+          <label key={field} className="text-xs text-gray-600">
+            <span className="block mb-1 capitalize">{field}</span>
+            <input
+              type="number"
+              value={axis[field]}
+              onChange={(e) => updateAxis(setAxis, field, e.target.value)}
+              className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h3 className="text-lg font-medium text-gray-900 mb-1">Data Tables</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Runs the model for every pair of row and column values. Green cells meet the hurdle.
+      </p>
+
+      <div className="grid grid-cols-1 gap-4 lg:grid-cols-3 mb-4">
+        <div className="p-3 bg-gray-50 rounded">
+          <label className="block text-sm font-medium text-gray-900 mb-2">Metric</label>
+          <select
+            value={metric}
+            onChange={(e) => handleMetricChange(e.target.value)}
+            className="w-full mb-2 px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            {METRIC_OPTIONS.map(option => (
+              <option key={option.key} value={option.key}>{option.label}</option>
+            ))}
+          </select>
+          <label className="text-xs text-gray-600">
+            <span className="block mb-1">Hurdle</span>
+            <input
+              type="number"
+              value={hurdle}
+              onChange={(e) => setHurdle(e.target.value)}
+              className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+            />
+          </label>
+        </div>
+        {renderAxisInputs('Rows', rowAxis, setRowAxis, columnAxis.variable)}
+        {renderAxisInputs('Columns', columnAxis, setColumnAxis, rowAxis.variable)}
+      </div>
+
+      <div className="flex gap-2 mb-4">
+        <button
+          onClick={runDataTable}
+          disabled={isLoading}
+          className="px-4 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isLoading ? 'Calculating...' : 'Calculate'}
+        </button>
+        {dataTable && (
+          <button
+            onClick={exportCsv}
+            className="px-4 py-2 bg-white border border-gray-300 text-gray-700 text-sm rounded-md hover:bg-gray-50"
+          >
+            Export CSV
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-800">{error}</div>
+      )}
+
+      {dataTable && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 text-gray-600">
+                <th className="py-2 px-2 text-left font-medium">
+                  {AXIS_OPTIONS.find(o => o.key === dataTable.rowAxis.variable)?.label} ↓ / {AXIS_OPTIONS.find(o => o.key === dataTable.columnAxis.variable)?.label} →
+                </th>
+                {dataTable.columnAxis.values.map(value => (
+                  <th key={value} className="py-2 px-2 text-right font-medium">
+                    {formatAxisValue(dataTable.columnAxis.variable, value)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {dataTable.rowAxis.values.map((rowValue, i) => (
+                <tr key={rowValue}>
+                  <td className="py-2 px-2 font-medium text-gray-900">
+                    {formatAxisValue(dataTable.rowAxis.variable, rowValue)}
+                  </td>
+                  {dataTable.cells[i].map((cell, j) => (
+                    <td
+                      key={dataTable.columnAxis.values[j]}
+                      className={`py-2 px-2 text-right border border-white ${cellColor(cell)} ${
+                        isBaseCase(rowValue, dataTable.columnAxis.values[j]) ? 'font-bold ring-2 ring-blue-500' : ''
+                      }`}
+                    >
+                      {formatCell(cell.value)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-2">
+            {dataTable.metricLabel}{dataTable.hurdle !== null ? ` against a hurdle of ${dataTable.percent ? `${dataTable.hurdle}%` : dataTable.hurdle}` : ''}.
+            The outlined cell is the current case when it falls on the grid.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataTablePanel;
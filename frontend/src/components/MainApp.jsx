@@ -22,8 +22,44 @@ const MainApp = ({ user, onSignOut }) => {
     dailyCharterRate: null,
     opexPerDay: null,
     utilizationPercent: null,
-    scrapValue: null
+    scrapValue: null,
+    discountRatePercent: null,
+    costOfEquityPercent: null,
+    costOfDebtPercent: null,
+    taxRatePercent: null,
+    analysisHorizonYears: null,
+    scrapAgeYears: null,
+    fixedCharterYears: null,
+    fixedCharterRate: null,
+    spotCharterRate: null,
+    charterEscalationPercent: null,
+    charterRateSchedule: null,
+    opexEscalationPercent: null,
+    opexAgeThresholdYears: null,
+    opexAgeStepUpPercent: null,
+    drydockIntervalYears: null,
+    drydockCost: null,
+    drydockOffHireDays: null,
+    repaymentType: 'annuity',
+    repaymentProfileYears: null,
+    balloonPercent: null,
+    gracePeriodMonths: null,
+    paymentFrequency: 'monthly',
+    marginPercent: null,
+    referenceRatePercent: null,
+    referenceRateCurve: null,
+    swapCoveragePercent: null,
+    swapRatePercent: null,
+    debtTranches: null,
+    vesselValueSchedule: null,
+    valueDepreciationPercent: null,
+    maxLtvPercent: null,
+    minDscr: null,
+    minLiquidity: null,
+    openingCashBalance: null,
+    targetEquityReturnPercent: null
   });
+  const [scenarios, setScenarios] = useState([]);
   const [analysisResults, setAnalysisResults] = useState(null);
   const [conversationHistory, setConversationHistory] = useState([]);
   const [isCalculating, setIsCalculating] = useState(false);
@@ -90,6 +126,7 @@ const MainApp = ({ user, onSignOut }) => {
         },
         body: JSON.stringify({
           parameters,
+          scenarios,
           analysisName
         }),
       });
@@ -168,6 +205,7 @@ const MainApp = ({ user, onSignOut }) => {
       if (response.ok) {
         const data = await response.json();
         setParameters(data.analysis.parameters);
+        setScenarios(data.analysis.scenarios || []);
         setAnalysisResults(data.analysis.results);
         setCurrentView('results');
       }
@@ -269,6 +307,8 @@ const MainApp = ({ user, onSignOut }) => {
                 onRunAnalysis={handleRunAnalysis}
                 isCalculating={isCalculating}
                 error={error}
+                scenarios={scenarios}
+                onScenariosUpdate={setScenarios}
               />
             </div>
           </div>
@@ -332,7 +372,7 @@ const MainApp = ({ user, onSignOut }) => {
                               </div>
                               {analysis.summary?.irr !== undefined && (
                                 <div className="text-gray-600">
-                                  IRR: {(analysis.summary.irr * 100).toFixed(2)}%
+                                  IRR: {analysis.summary.irr === null ? 'Not meaningful' : `${(analysis.summary.irr * 100).toFixed(2)}%`}
                                 </div>
                               )}
                             </div>
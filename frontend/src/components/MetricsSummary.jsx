@@ -18,16 +18,48 @@ const MetricsSummary = ({ metrics }) => {
     return `${(value * 100).toFixed(2)}%`;
   };
 
+  // IRRs without a unique root come back as null
+  const formatIrr = (value) => value === null ? 'Not meaningful' : formatPercentage(value);
+
+  // npv and irr are equity returns; project (unlevered) returns sit alongside when available
+  const hasProjectReturns = metrics.projectNpv !== undefined;
+
   return (
     <div className="metrics-summary grid grid-cols-1 md:grid-cols-3 gap-6">
       <div className="metric-card bg-white p-6 rounded-lg shadow">
         <h3 className="text-sm font-medium text-gray-500">Net Present Value</h3>
-        <p className="text-2xl font-bold text-green-600">{formatCurrency(metrics.npv)}</p>
+        {hasProjectReturns ? (
+          <div className="grid grid-cols-2 gap-4 mt-1">
+            <div>
+              <p className="text-xs text-gray-500">Equity</p>
+              <p className="text-xl font-bold text-green-600">{formatCurrency(metrics.npv)}</p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-500">Project</p>
+              <p className="text-xl font-bold text-green-600">{formatCurrency(metrics.projectNpv)}</p>
+            </div>
+          </div>
+        ) : (
+          <p className="text-2xl font-bold text-green-600">{formatCurrency(metrics.npv)}</p>
+        )}
       </div>
       
       <div className="metric-card bg-white p-6 rounded-lg shadow">
         <h3 className="text-sm font-medium text-gray-500">Internal Rate of Return</h3>
-        <p className="text-2xl font-bold text-blue-600">{formatPercentage(metrics.irr)}</p>
+        {hasProjectReturns ? (
+          <div className="grid grid-cols-2 gap-4 mt-1">
+            <div>
+              <p className="text-xs text-gray-500">Equity</p>
+              <p className="text-xl font-bold text-blue-600">{formatIrr(metrics.irr)}</p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-500">Project</p>
+              <p className="text-xl font-bold text-blue-600">{formatIrr(metrics.projectIrr)}</p>
+            </div>
+          </div>
+        ) : (
+          <p className="text-2xl font-bold text-blue-600">{formatIrr(metrics.irr)}</p>
+        )}
       </div>
       
       <div className="metric-card bg-white p-6 rounded-lg shadow">
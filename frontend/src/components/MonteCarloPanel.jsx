@@ -0,0 +1,249 @@
+import React, { useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { auth } from '../config/firebase';
+
+const DISTRIBUTION_FIELDS = {
+  normal: ['mean', 'stdDev'],
+  uniform: ['min', 'max'],
+  triangular: ['min', 'mode', 'max']
+};
+
+const FIELD_LABELS = { mean: 'Mean', stdDev: 'Std Dev', min: 'Min', mode: 'Mode', max: 'Max' };
+
+/**
+ * MonteCarloPanel
+ * Seeded Monte Carlo simulation of NPV, IRR and DSCR breach risk
+ */
+const MonteCarloPanel = ({ parameters, formatCurrency }) => {
+  const [settings, setSettings] = useState({
+    iterations: '1000',
+    seed: '',
+    volatilityPercent: '25',
+    reversionSpeed: '0.5',
+    longRunRate: ''
+  });
+  const [distributions, setDistributions] = useState({
+    utilization: { distribution: 'normal', mean: String(parameters.utilizationPercent ?? ''), stdDev: '3' },
+    opexInflation: { distribution: 'normal', mean: String(parameters.opexEscalationPercent ?? 0), stdDev: '1' },
+    residualValue: { distribution: 'normal', mean: '100', stdDev: '20' }
+  });
+  const [simulation, setSimulation] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const distributionInputs = [
+    { key: 'utilization', label: 'Utilization (%)' },
+    { key: 'opexInflation', label: 'OPEX Inflation (% p.a.)' },
+    { key: 'residualValue', label: 'Scrap / Resale Value (% of base)' }
+  ];
+
+  const updateDistribution = (key, field, value) => {
+    setDistributions(prev => ({ ...prev, [key]: { ...prev[key], [field]: value } }));
+  };
+
+  const runSimulation = async () => {
+    if (!auth.currentUser) return;
+
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      // Only the fields of the chosen distribution are sent
+      const config = {
+        iterations: settings.iterations,
+        seed: settings.seed === '' ? undefined : settings.seed,
+        charter: {
+          volatilityPercent: settings.volatilityPercent,
+          reversionSpeed: settings.reversionSpeed,
+          longRunRate: settings.longRunRate === '' ? undefined : settings.longRunRate
+        }
+      };
+      for (const { key } of distributionInputs) {
+        const spec = distributions[key];
+        config[key] = { distribution: spec.distribution };
+        DISTRIBUTION_FIELDS[spec.distribution].forEach(field => { config[key][field] = spec[field]; });
+      }
+
+      const idToken = await auth.currentUser.getIdToken();
+      const response = await fetch(`${process.env.REACT_APP_API_URL || '/api'}/monte-carlo`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${idToken}`,
+        },
+        body: JSON.stringify({ parameters, config }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.details || 'Monte Carlo simulation failed');
+      }
+
+      const data = await response.json();
+      setSimulation(data.simulation);
+      // Keep the seed so re-running reproduces the same paths
+      setSettings(prev => ({ ...prev, seed: String(data.simulation.config.seed) }));
+    } catch (error) {
+      console.error('Monte Carlo error:', error);
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const formatPercent = (value) => value === null ? 'N/A' : `${(value * 100).toFixed(2)}%`;
+  const histogramData = (histogram, format) => histogram.map(bin => ({
+    label: format((bin.from + bin.to) / 2),
+    range: `${format(bin.from)} to ${format(bin.to)}`,
+    count: bin.count
+  }));
+
+  const renderInput = (label, value, onChange, placeholder) => (
+    <label className="block text-xs text-gray-600">
+      <span className="block mb-1">{label}</span>
+      <input
+        type="number"
+        value={value}
+        placeholder={placeholder}
+        onChange={(e) => onChange(e.target.value)}
+        className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+      />
+    </label>
+  );
+
+  const renderHistogram = (title, histogram, format, color) => (
+    <div>
+      <h4 className="font-medium text-gray-900 mb-3">{title}</h4>
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={histogramData(histogram, format)}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" interval={3} tick={{ fontSize: 11 }} />
+            <YAxis allowDecimals={false} />
+            <Tooltip
+              formatter={(value) => [value, 'Paths']}
+              labelFormatter={(label, payload) => payload?.[0]?.payload.range || label}
+            />
+            <Bar dataKey="count" fill={color} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h3 className="text-lg font-medium text-gray-900 mb-1">Monte Carlo Simulation</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Charter rates follow a mean-reverting process; the other drivers are drawn once per path.
+        The same seed always reproduces the same result.
+      </p>
+
+      <div className="grid grid-cols-1 gap-4 md:grid-cols-3 xl:grid-cols-5 mb-4">
+        <div className="p-3 bg-gray-50 rounded space-y-2">
+          <div className="text-sm font-medium text-gray-900">Run</div>
+          {renderInput('Iterations', settings.iterations, (value) => setSettings(prev => ({ ...prev, iterations: value })))}
+          {renderInput('Seed', settings.seed, (value) => setSettings(prev => ({ ...prev, seed: value })), 'Random')}
+        </div>
+        <div className="p-3 bg-gray-50 rounded space-y-2">
+          <div className="text-sm font-medium text-gray-900">Charter Rate</div>
+          {renderInput('Volatility (% p.a.)', settings.volatilityPercent, (value) => setSettings(prev => ({ ...prev, volatilityPercent: value })))}
+          {renderInput('Reversion Speed (0-1)', settings.reversionSpeed, (value) => setSettings(prev => ({ ...prev, reversionSpeed: value })))}
+          {renderInput('Long-run Rate ($/day)', settings.longRunRate, (value) => setSettings(prev => ({ ...prev, longRunRate: value })), 'Spot or current rate')}
+        </div>
+        {distributionInputs.map(({ key, label }) => (
+          <div key={key} className="p-3 bg-gray-50 rounded space-y-2">
+            <div className="text-sm font-medium text-gray-900">{label}</div>
+            <select
+              value={distributions[key].distribution}
+              onChange={(e) => updateDistribution(key, 'distribution', e.target.value)}
+              className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+            >
+              {Object.keys(DISTRIBUTION_FIELDS).map(type => (
+                <option key={type} value={type}>{type.charAt(0).toUpperCase() + type.slice(1)}</option>
+              ))}
+            </select>
+            {DISTRIBUTION_FIELDS[distributions[key].distribution].map(field => (
+              <React.Fragment key={field}>
+                {renderInput(FIELD_LABELS[field], distributions[key][field] ?? '', (value) => updateDistribution(key, field, value))}
+              </React.Fragment>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={runSimulation}
+        disabled={isLoading}
+        className="mb-4 px-4 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:opacity-50"
+      >
+        {isLoading ? 'Simulating...' : 'Run Simulation'}
+      </button>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-800">{error}</div>
+      )}
+
+      {simulation && (
+        <>
+          <div className="overflow-x-auto mb-6">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200 text-gray-600">
+                  <th className="py-2 pr-4 text-left font-medium">Equity Return</th>
+                  <th className="py-2 pr-4 text-right font-medium">P10</th>
+                  <th className="py-2 pr-4 text-right font-medium">P50</th>
+                  <th className="py-2 pr-4 text-right font-medium">P90</th>
+                  <th className="py-2 pr-4 text-right font-medium">Mean</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr className="border-b border-gray-100">
+                  <td className="py-2 pr-4 font-medium text-gray-900">NPV</td>
+                  {['p10', 'p50', 'p90', 'mean'].map(key => (
+                    <td key={key} className="py-2 pr-4 text-right">{formatCurrency(simulation.npv[key])}</td>
+                  ))}
+                </tr>
+                <tr className="border-b border-gray-100">
+                  <td className="py-2 pr-4 font-medium text-gray-900">IRR</td>
+                  {['p10', 'p50', 'p90', 'mean'].map(key => (
+                    <td key={key} className="py-2 pr-4 text-right">{formatPercent(simulation.irr[key])}</td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+            {simulation.irr.notMeaningfulCount > 0 && (
+              <p className="text-xs text-gray-500 mt-2">
+                {simulation.irr.notMeaningfulCount} of {simulation.iterations} paths have no meaningful IRR and are left out of the IRR figures.
+              </p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 gap-4 md:grid-cols-3 mb-6">
+            <div className="p-4 bg-gray-50 rounded">
+              <div className="text-sm text-gray-600">Probability of Negative NPV</div>
+              <div className="text-2xl font-semibold text-gray-900">{formatPercent(simulation.probabilityNegativeNpv)}</div>
+            </div>
+            <div className="p-4 bg-gray-50 rounded">
+              <div className="text-sm text-gray-600">Probability of DSCR Below {simulation.dscrThreshold.toFixed(2)}x</div>
+              <div className="text-2xl font-semibold text-gray-900">{formatPercent(simulation.probabilityDscrBreach)}</div>
+            </div>
+            <div className="p-4 bg-gray-50 rounded">
+              <div className="text-sm text-gray-600">Paths / Seed</div>
+              <div className="text-2xl font-semibold text-gray-900">
+                {simulation.iterations.toLocaleString()} / {simulation.config.seed}
+              </div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+            {renderHistogram('NPV Distribution', simulation.npv.histogram, formatCurrency, '#2563EB')}
+            {renderHistogram('IRR Distribution', simulation.irr.histogram, formatPercent, '#059669')}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MonteCarloPanel;
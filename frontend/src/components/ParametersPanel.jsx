@@ -4,7 +4,7 @@ import React, { useState, useEffect } from 'react';
  * ParametersPanel
  * Financial parameters input form with validation and analysis trigger
  */
-const ParametersPanel = ({ parameters, onParametersUpdate, onRunAnalysis, isCalculating, error }) => {
+const ParametersPanel = ({ parameters, onParametersUpdate, onRunAnalysis, isCalculating, error, scenarios = [], onScenariosUpdate }) => {
   const [analysisName, setAnalysisName] = useState('Vessel Analysis');
   const [validationErrors, setValidationErrors] = useState({});
   const [showAdvanced, setShowAdvanced] = useState(false);
@@ -33,8 +33,18 @@ const ParametersPanel = ({ parameters, onParametersUpdate, onRunAnalysis, isCalc
       errors.interestRatePercent = 'Interest rate must be positive';
     }
     
-    // Operational validation
-    if (!parameters.dailyCharterRate || parameters.dailyCharterRate <= 0) {
+    // Operational validation; voyage charters derive the daily rate from the voyage terms
+    if (parameters.charterMode === 'voyage') {
+      if (!parameters.cargoTonnes || parameters.cargoTonnes <= 0) {
+        errors.cargoTonnes = 'Cargo size must be positive';
+      }
+      if (!parameters.freightRatePerTonne && !(parameters.worldscaleRate && parameters.worldscaleFlatRate)) {
+        errors.freightRatePerTonne = 'Enter a freight rate, or a Worldscale rate with its flat rate';
+      }
+      if (!parameters.seaDays || parameters.seaDays <= 0) {
+        errors.seaDays = 'Sea days must be positive';
+      }
+    } else if (!parameters.dailyCharterRate || parameters.dailyCharterRate <= 0) {
       errors.dailyCharterRate = 'Daily charter rate must be positive';
     }
     if (!parameters.opexPerDay || parameters.opexPerDay <= 0) {
@@ -50,7 +60,24 @@ const ParametersPanel = ({ parameters, onParametersUpdate, onRunAnalysis, isCalc
   const handleInputChange = (field, value) => {
     const numericFields = ['price', 'age', 'dwt', 'downPaymentPercent', 'loanTermYears', 
                           'interestRatePercent', 'dailyCharterRate', 'opexPerDay', 
-                          'utilizationPercent', 'scrapValue'];
+                          'utilizationPercent', 'scrapValue', 'discountRatePercent',
+                          'costOfEquityPercent', 'costOfDebtPercent', 'taxRatePercent',
+                          'analysisHorizonYears', 'scrapAgeYears', 'fixedCharterYears',
+                          'fixedCharterRate', 'spotCharterRate', 'charterEscalationPercent',
+                          'opexEscalationPercent', 'opexAgeThresholdYears', 'opexAgeStepUpPercent',
+                          'drydockIntervalYears', 'drydockCost', 'drydockOffHireDays',
+                          'repaymentProfileYears', 'balloonPercent', 'gracePeriodMonths',
+                          'marginPercent', 'referenceRatePercent', 'swapCoveragePercent',
+                          'swapRatePercent', 'valueDepreciationPercent', 'maxLtvPercent', 'minDscr',
+                          'minLiquidity', 'openingCashBalance', 'targetEquityReturnPercent',
+                          'ldt', 'scrapPricePerLdt', 'exitYear', 'exitValue', 'cargoTonnes',
+                          'freightRatePerTonne', 'worldscaleRate', 'worldscaleFlatRate', 'seaDays',
+                          'portDays', 'seaConsumptionTonnesPerDay', 'portConsumptionTonnesPerDay',
+                          'bunkerPricePerTonne', 'portCostsPerVoyage', 'canalDuesPerVoyage',
+                          'fuelConsumptionTonnesPerDay', 'portFuelConsumptionTonnesPerDay',
+                          'fuelPricePerTonne', 'fuelPriceEscalationPercent', 'seaDaysPercent',
+                          'serviceSpeedKnots', 'carbonPricePerTonne', 'carbonPriceEscalationPercent',
+                          'euEtsExposurePercent', 'startYear'];
     
     const processedValue = numericFields.includes(field) 
       ? (value === '' ? null : parseFloat(value)) 
@@ -59,17 +86,124 @@ const ParametersPanel = ({ parameters, onParametersUpdate, onRunAnalysis, isCalc
     onParametersUpdate({ [field]: processedValue });
   };
 
+  const debtTranches = parameters.debtTranches || [];
+  const retrofits = parameters.retrofits || [];
+
+  // Mirrors the model: an exit year or value without an explicit mode means a resale
+  const exitMode = parameters.exitMode || (parameters.exitYear || parameters.exitValue ? 'resale' : 'scrap');
+
+  const updateTranche = (index, field, value) => {
+    const numericTrancheFields = ['amount', 'termYears', 'interestRatePercent', 'marginPercent', 'balloonPercent'];
+    const processedValue = numericTrancheFields.includes(field)
+      ? (value === '' ? null : parseFloat(value))
+      : value;
+
+    onParametersUpdate({
+      debtTranches: debtTranches.map((tranche, i) => i === index ? { ...tranche, [field]: processedValue } : tranche)
+    });
+  };
+
+  const addTranche = () => {
+    onParametersUpdate({
+      debtTranches: [...debtTranches, {
+        name: `Tranche ${debtTranches.length + 1}`,
+        ranking: debtTranches.length === 0 ? 'senior' : 'junior',
+        amount: null,
+        termYears: null,
+        interestRatePercent: null,
+        marginPercent: null,
+        repaymentType: 'annuity'
+      }]
+    });
+  };
+
+  const removeTranche = (index) => {
+    const remaining = debtTranches.filter((_, i) => i !== index);
+    onParametersUpdate({ debtTranches: remaining.length > 0 ? remaining : null });
+  };
+
+  const updateRetrofit = (index, field, value) => {
+    const processedValue = field !== 'name' && field !== 'type'
+      ? (value === '' ? null : parseFloat(value))
+      : value;
+
+    onParametersUpdate({
+      retrofits: retrofits.map((item, i) => i === index ? { ...item, [field]: processedValue } : item)
+    });
+  };
+
+  const addRetrofit = () => {
+    onParametersUpdate({
+      retrofits: [...retrofits, {
+        name: `Retrofit ${retrofits.length + 1}`,
+        type: 'scrubber',
+        installationYear: 1,
+        capex: null,
+        offHireDays: null,
+        annualFuelSaving: null,
+        fuelSavingPercent: null,
+        annualRevenuePremium: null
+      }]
+    });
+  };
+
+  const removeRetrofit = (index) => {
+    const remaining = retrofits.filter((_, i) => i !== index);
+    onParametersUpdate({ retrofits: remaining.length > 0 ? remaining : null });
+  };
+
+  const updateScenario = (index, changes) => {
+    onScenariosUpdate(scenarios.map((scenario, i) => i === index ? { ...scenario, ...changes } : scenario));
+  };
+
+  // New overrides start from the first unused field at its base value
+  const addScenarioOverride = (index) => {
+    const { overrides } = scenarios[index];
+    const field = scenarioFields.find(option => !(option.value in overrides));
+    if (field) {
+      updateScenario(index, { overrides: { ...overrides, [field.value]: parameters[field.value] ?? null } });
+    }
+  };
+
+  const renameScenarioOverride = (index, oldField, newField) => {
+    const overrides = Object.fromEntries(Object.entries(scenarios[index].overrides)
+      .map(([field, value]) => field === oldField ? [newField, value] : [field, value]));
+    updateScenario(index, { overrides });
+  };
+
+  const removeScenarioOverride = (index, field) => {
+    const overrides = { ...scenarios[index].overrides };
+    delete overrides[field];
+    updateScenario(index, { overrides });
+  };
+
+  const addScenario = (type) => {
+    const typeLabel = scenarioTypes.find(option => option.value === type).label;
+    const count = scenarios.filter(scenario => scenario.type === type).length;
+    onScenariosUpdate([...scenarios, {
+      name: count === 0 ? typeLabel : `${typeLabel} ${count + 1}`,
+      type,
+      overrides: {}
+    }]);
+  };
+
+  const removeScenario = (index) => {
+    onScenariosUpdate(scenarios.filter((_, i) => i !== index));
+  };
+
   const isFormValid = () => {
     return Object.keys(validationErrors).length === 0 && 
            parameters.vesselType && parameters.price && 
            parameters.downPaymentPercent !== null && parameters.loanTermYears &&
-           parameters.interestRatePercent !== null && parameters.dailyCharterRate &&
+           parameters.interestRatePercent !== null &&
+           (parameters.charterMode === 'voyage' || parameters.dailyCharterRate) &&
            parameters.opexPerDay && parameters.utilizationPercent !== null;
   };
 
   const getCompletionPercentage = () => {
     const requiredFields = ['vesselType', 'price', 'age', 'dwt', 'downPaymentPercent', 
-                           'loanTermYears', 'interestRatePercent', 'dailyCharterRate', 
+                           'loanTermYears', 'interestRatePercent',
+                           parameters.charterMode === 'voyage' ? 'cargoTonnes' : 'dailyCharterRate', 
                            'opexPerDay', 'utilizationPercent'];
     const completedFields = requiredFields.filter(field => parameters[field] !== null && parameters[field] !== undefined);
     return Math.round((completedFields.length / requiredFields.length) * 100);
@@ -77,6 +211,88 @@ const ParametersPanel = ({ parameters, onParametersUpdate, onRunAnalysis, isCalc
 
   const vesselTypes = ['Container', 'Bulk Carrier', 'Tanker', 'General Cargo', 'Car Carrier', 'LNG Carrier', 'Chemical Tanker', 'Offshore'];
   const currencies = ['USD', 'EUR', 'GBP', 'NOK', 'SGD'];
+  const repaymentTypes = [
+    { value: 'annuity', label: 'Annuity (level payments)' },
+    { value: 'straightLine', label: 'Straight-line instalments' },
+    { value: 'balloon', label: 'Profile with balloon' }
+  ];
+  const voyageFields = [
+    { key: 'cargoTonnes', label: 'Cargo (tonnes)', placeholder: '70000' },
+    { key: 'freightRatePerTonne', label: 'Freight Rate ($/tonne)', placeholder: '22.5' },
+    { key: 'worldscaleRate', label: 'Worldscale (WS points)', placeholder: 'Instead of $/tonne' },
+    { key: 'worldscaleFlatRate', label: 'WS100 Flat Rate ($/tonne)', placeholder: '20.5' },
+    { key: 'seaDays', label: 'Sea Days', placeholder: '30' },
+    { key: 'portDays', label: 'Port Days', placeholder: '6' },
+    { key: 'seaConsumptionTonnesPerDay', label: 'Bunkers at Sea (t/day)', placeholder: '28' },
+    { key: 'portConsumptionTonnesPerDay', label: 'Bunkers in Port (t/day)', placeholder: '4' },
+    { key: 'bunkerPricePerTonne', label: 'Bunker Price ($/tonne)', placeholder: '620' },
+    { key: 'portCostsPerVoyage', label: 'Port Costs per Voyage ($)', placeholder: '180000' },
+    { key: 'canalDuesPerVoyage', label: 'Canal Dues per Voyage ($)', placeholder: 'Optional' }
+  ];
+  const fuelTypes = [
+    { value: 'HFO', label: 'HFO' },
+    { value: 'VLSFO', label: 'VLSFO' },
+    { value: 'MGO', label: 'MGO / MDO' },
+    { value: 'LNG', label: 'LNG' },
+    { value: 'methanol', label: 'Methanol' }
+  ];
+  const emissionsFields = [
+    { key: 'fuelConsumptionTonnesPerDay', label: 'Consumption at Sea (t/day)', placeholder: '26' },
+    { key: 'portFuelConsumptionTonnesPerDay', label: 'Consumption in Port (t/day)', placeholder: '3' },
+    { key: 'fuelPricePerTonne', label: 'Fuel Price ($/tonne)', placeholder: '600' },
+    { key: 'fuelPriceEscalationPercent', label: 'Fuel Price Escalation (%)', placeholder: '0' },
+    { key: 'seaDaysPercent', label: 'Days at Sea (% of trading)', placeholder: '70' },
+    { key: 'serviceSpeedKnots', label: 'Service Speed (knots)', placeholder: '12.5' },
+    { key: 'carbonPricePerTonne', label: 'EU Allowance Price ($/t CO2)', placeholder: '80' },
+    { key: 'carbonPriceEscalationPercent', label: 'Allowance Price Escalation (%)', placeholder: '0' },
+    { key: 'euEtsExposurePercent', label: 'Emissions Under EU ETS (%)', placeholder: '50' },
+    { key: 'startYear', label: 'First Operating Year', placeholder: String(new Date().getFullYear()) }
+  ];
+  const retrofitTypes = [
+    { value: 'scrubber', label: 'Scrubber' },
+    { value: 'ballastWaterTreatment', label: 'Ballast Water Treatment' },
+    { value: 'energySaving', label: 'Energy-saving Device' },
+    { value: 'other', label: 'Other' }
+  ];
+  const retrofitFields = [
+    { key: 'installationYear', label: 'Installation Year', placeholder: '2' },
+    { key: 'capex', label: 'Capex ($)', placeholder: '3200000' },
+    { key: 'offHireDays', label: 'Off-hire Days', placeholder: '20' },
+    { key: 'annualFuelSaving', label: 'Fuel Saving ($/year)', placeholder: '950000' },
+    { key: 'fuelSavingPercent', label: 'Or Fuel Burn Cut (%)', placeholder: '4' },
+    { key: 'annualRevenuePremium', label: 'Revenue Premium ($/year)', placeholder: '0' }
+  ];
+  const exitModes = [
+    { value: 'scrap', label: 'Scrap at end of horizon' },
+    { value: 'resale', label: 'Resale (secondhand sale)' }
+  ];
+  const paymentFrequencies = [
+    { value: 'monthly', label: 'Monthly' },
+    { value: 'quarterly', label: 'Quarterly' },
+    { value: 'semiAnnual', label: 'Semi-annual' }
+  ];
+  const scenarioTypes = [
+    { value: 'upside', label: 'Upside' },
+    { value: 'downside', label: 'Downside' },
+    { value: 'custom', label: 'Custom' }
+  ];
+  const scenarioFields = [
+    { value: 'dailyCharterRate', label: 'Daily Charter Rate ($)' },
+    { value: 'spotCharterRate', label: 'Spot Charter Rate ($)' },
+    { value: 'utilizationPercent', label: 'Utilization (%)' },
+    { value: 'opexPerDay', label: 'Daily OpEx ($)' },
+    { value: 'opexEscalationPercent', label: 'OpEx Inflation (%)' },
+    { value: 'price', label: 'Vessel Price ($)' },
+    { value: 'downPaymentPercent', label: 'Down Payment (%)' },
+    { value: 'interestRatePercent', label: 'Interest Rate (%)' },
+    { value: 'referenceRatePercent', label: 'Reference Rate (%)' },
+    { value: 'scrapValue', label: 'Scrap Value ($)' }
+  ];
+  const trancheRankings = [
+    { value: 'senior', label: 'Senior' },
+    { value: 'junior', label: 'Junior / Mezzanine' },
+    { value: 'sellerCredit', label: "Seller's Credit" }
+  ];
 
   return (
     <div className="h-full flex flex-col bg-white">
@@ -271,29 +487,403 @@ const ParametersPanel = ({ parameters, onParametersUpdate, onRunAnalysis, isCalc
                   <p className="text-red-500 text-xs mt-1">{validationErrors.interestRatePercent}</p>
                 )}
               </div>
+
+              <div className="sm:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Repayment Type</label>
+                <select
+                  value={parameters.repaymentType || 'annuity'}
+                  onChange={(e) => handleInputChange('repaymentType', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {repaymentTypes.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Payment Frequency</label>
+                <select
+                  value={parameters.paymentFrequency || 'monthly'}
+                  onChange={(e) => handleInputChange('paymentFrequency', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {paymentFrequencies.map(frequency => (
+                    <option key={frequency.value} value={frequency.value}>{frequency.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Grace Period (months)</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="120"
+                  step="3"
+                  value={parameters.gracePeriodMonths ?? ''}
+                  onChange={(e) => handleInputChange('gracePeriodMonths', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="0"
+                />
+              </div>
+
+              {parameters.repaymentType === 'balloon' && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Repayment Profile (years)</label>
+                    <input
+                      type="number"
+                      min="1"
+                      max="40"
+                      value={parameters.repaymentProfileYears ?? ''}
+                      onChange={(e) => handleInputChange('repaymentProfileYears', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      placeholder="15"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Balloon (% of loan)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={parameters.balloonPercent ?? ''}
+                      onChange={(e) => handleInputChange('balloonPercent', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      placeholder="From profile"
+                    />
+                  </div>
+                </>
+              )}
             </div>
-          </div>
 
-          {/* Operations */}
-          <div className="bg-gray-50 rounded-lg p-4">
-            <h3 className="text-md font-medium text-gray-900 mb-3">Operational Parameters</h3>
+            <h4 className="text-sm font-medium text-gray-900 mt-4 mb-2">Floating Rate</h4>
+            <p className="text-xs text-gray-500 mb-3">
+              Optional. With a margin or reference rate the loan floats and the interest rate above is not used.
+            </p>
             <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Daily Charter Rate ($)</label>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Margin (%)</label>
+                <input
+                  type="number"
+                  step="0.05"
+                  value={parameters.marginPercent ?? ''}
+                  onChange={(e) => handleInputChange('marginPercent', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="2.5"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Reference Rate (%)</label>
+                <input
+                  type="number"
+                  step="0.05"
+                  value={parameters.referenceRatePercent ?? ''}
+                  onChange={(e) => handleInputChange('referenceRatePercent', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="4.3"
+                />
+              </div>
+
+              <div className="sm:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Reference Curve by Year (%)</label>
+                <input
+                  type="text"
+                  value={Array.isArray(parameters.referenceRateCurve)
+                    ? parameters.referenceRateCurve.join(', ')
+                    : parameters.referenceRateCurve ?? ''}
+                  onChange={(e) => handleInputChange('referenceRateCurve', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="4.3, 3.9, 3.6"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Swap Coverage (%)</label>
                 <input
                   type="number"
                   min="0"
-                  value={parameters.dailyCharterRate || ''}
-                  onChange={(e) => handleInputChange('dailyCharterRate', e.target.value)}
-                  className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
-                    validationErrors.dailyCharterRate ? 'border-red-300' : 'border-gray-300'
-                  }`}
-                  placeholder="15000"
+                  max="100"
+                  value={parameters.swapCoveragePercent ?? ''}
+                  onChange={(e) => handleInputChange('swapCoveragePercent', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="60"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Swap Rate (%)</label>
+                <input
+                  type="number"
+                  step="0.05"
+                  value={parameters.swapRatePercent ?? ''}
+                  onChange={(e) => handleInputChange('swapRatePercent', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="3.75"
+                />
+              </div>
+            </div>
+
+            <div className="flex items-center justify-between mt-4 mb-2">
+              <h4 className="text-sm font-medium text-gray-900">Debt Tranches</h4>
+              <button
+                type="button"
+                onClick={addTranche}
+                className="text-xs font-medium text-blue-600 hover:text-blue-800"
+              >
+                + Add Tranche
+              </button>
+            </div>
+            <p className="text-xs text-gray-500 mb-3">
+              Optional. Tranches replace the single loan above; equity is the price less total tranche debt.
+            </p>
+            {debtTranches.map((tranche, index) => (
+              <div key={index} className="border border-gray-200 rounded-md p-3 mb-3 bg-white">
+                <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <label className="block text-xs font-medium text-gray-700 mb-1">Name</label>
+                      <input
+                        type="text"
+                        value={tranche.name ?? ''}
+                        onChange={(e) => updateTranche(index, 'name', e.target.value)}
+                        className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        placeholder="Bank Loan"
+                      />
+                    </div>
+
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Ranking</label>
+                    <select
+                      value={tranche.ranking || 'senior'}
+                      onChange={(e) => updateTranche(index, 'ranking', e.target.value)}
+                      className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {trancheRankings.map(ranking => (
+                        <option key={ranking.value} value={ranking.value}>{ranking.label}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                    <div>
+                      <label className="block text-xs font-medium text-gray-700 mb-1">Amount</label>
+                      <input
+                        type="number"
+                        value={tranche.amount ?? ''}
+                        onChange={(e) => updateTranche(index, 'amount', e.target.value)}
+                        className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        placeholder="12000000"
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-xs font-medium text-gray-700 mb-1">Term (years)</label>
+                      <input
+                        type="number"
+                        value={tranche.termYears ?? ''}
+                        onChange={(e) => updateTranche(index, 'termYears', e.target.value)}
+                        className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        placeholder="6"
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-xs font-medium text-gray-700 mb-1">Fixed Rate (%)</label>
+                      <input
+                        type="number"
+                        value={tranche.interestRatePercent ?? ''}
+                        onChange={(e) => updateTranche(index, 'interestRatePercent', e.target.value)}
+                        className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        placeholder="7.25"
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-xs font-medium text-gray-700 mb-1">Or Margin (%)</label>
+                      <input
+                        type="number"
+                        value={tranche.marginPercent ?? ''}
+                        onChange={(e) => updateTranche(index, 'marginPercent', e.target.value)}
+                        className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        placeholder="3.5"
+                      />
+                    </div>
+
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Repayment</label>
+                    <select
+                      value={tranche.repaymentType || 'annuity'}
+                      onChange={(e) => updateTranche(index, 'repaymentType', e.target.value)}
+                      className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {repaymentTypes.map(type => (
+                        <option key={type.value} value={type.value}>{type.label}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {tranche.repaymentType === 'balloon' && (
+                    <div>
+                      <label className="block text-xs font-medium text-gray-700 mb-1">Balloon (% of tranche)</label>
+                      <input
+                        type="number"
+                        value={tranche.balloonPercent ?? ''}
+                        onChange={(e) => updateTranche(index, 'balloonPercent', e.target.value)}
+                        className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        placeholder="40"
+                      />
+                    </div>
+                  )}
+
+                  <div className="flex items-end">
+                    <button
+                      type="button"
+                      onClick={() => removeTranche(index)}
+                      className="text-xs font-medium text-red-600 hover:text-red-800"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+
+            <h4 className="text-sm font-medium text-gray-900 mt-4 mb-2">Covenants</h4>
+            <p className="text-xs text-gray-500 mb-3">
+              Optional. Tested every year the loan is outstanding; breach years are highlighted in the results.
+            </p>
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Max LTV (%)</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="150"
+                  value={parameters.maxLtvPercent ?? ''}
+                  onChange={(e) => handleInputChange('maxLtvPercent', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="75"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Min DSCR (x)</label>
+                <input
+                  type="number"
+                  step="0.05"
+                  value={parameters.minDscr ?? ''}
+                  onChange={(e) => handleInputChange('minDscr', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="1.25"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Min Liquidity</label>
+                <input
+                  type="number"
+                  value={parameters.minLiquidity ?? ''}
+                  onChange={(e) => handleInputChange('minLiquidity', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="1000000"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Opening Cash</label>
+                <input
+                  type="number"
+                  value={parameters.openingCashBalance ?? ''}
+                  onChange={(e) => handleInputChange('openingCashBalance', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="500000"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Value Depreciation (% p.a.)</label>
+                <input
+                  type="number"
+                  step="0.5"
+                  value={parameters.valueDepreciationPercent ?? ''}
+                  onChange={(e) => handleInputChange('valueDepreciationPercent', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="Secondhand curve"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Vessel Values by Year</label>
+                <input
+                  type="text"
+                  value={Array.isArray(parameters.vesselValueSchedule)
+                    ? parameters.vesselValueSchedule.join(', ')
+                    : parameters.vesselValueSchedule ?? ''}
+                  onChange={(e) => handleInputChange('vesselValueSchedule', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="22000000, 20000000"
                 />
-                {validationErrors.dailyCharterRate && (
-                  <p className="text-red-500 text-xs mt-1">{validationErrors.dailyCharterRate}</p>
-                )}
               </div>
+            </div>
+          </div>
+
+          {/* Operations */}
+          <div className="bg-gray-50 rounded-lg p-4">
+            <h3 className="text-md font-medium text-gray-900 mb-3">Operational Parameters</h3>
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              <div className="sm:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Revenue Mode</label>
+                <select
+                  value={parameters.charterMode || 'timeCharter'}
+                  onChange={(e) => handleInputChange('charterMode', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="timeCharter">Time charter (daily rate)</option>
+                  <option value="voyage">Voyage charter (TCE from a representative voyage)</option>
+                </select>
+              </div>
+
+              {parameters.charterMode === 'voyage' ? (
+                <div className="sm:col-span-2 grid grid-cols-1 gap-4 sm:grid-cols-2">
+                  {voyageFields.map(field => (
+                    <div key={field.key}>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={parameters[field.key] ?? ''}
+                        onChange={(e) => handleInputChange(field.key, e.target.value)}
+                        className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                          validationErrors[field.key] ? 'border-red-300' : 'border-gray-300'
+                        }`}
+                        placeholder={field.placeholder}
+                      />
+                      {validationErrors[field.key] && (
+                        <p className="text-red-500 text-xs mt-1">{validationErrors[field.key]}</p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Daily Charter Rate ($)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={parameters.dailyCharterRate || ''}
+                    onChange={(e) => handleInputChange('dailyCharterRate', e.target.value)}
+                    className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                      validationErrors.dailyCharterRate ? 'border-red-300' : 'border-gray-300'
+                    }`}
+                    placeholder="15000"
+                  />
+                  {validationErrors.dailyCharterRate && (
+                    <p className="text-red-500 text-xs mt-1">{validationErrors.dailyCharterRate}</p>
+                  )}
+                </div>
+              )}
 
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Daily OpEx ($)</label>
@@ -331,8 +921,365 @@ const ParametersPanel = ({ parameters, onParametersUpdate, onRunAnalysis, isCalc
                 )}
               </div>
             </div>
+
+            <h4 className="text-sm font-medium text-gray-900 mt-4 mb-2">Charter Profile</h4>
+            <p className="text-xs text-gray-500 mb-3">
+              Optional. Without a profile the daily charter rate applies to every year.
+            </p>
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Fixed Charter Period (years)</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="50"
+                  value={parameters.fixedCharterYears ?? ''}
+                  onChange={(e) => handleInputChange('fixedCharterYears', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="3"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Fixed Charter Rate ($)</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={parameters.fixedCharterRate ?? ''}
+                  onChange={(e) => handleInputChange('fixedCharterRate', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="Daily charter rate"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Spot Rate After Period ($)</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={parameters.spotCharterRate ?? ''}
+                  onChange={(e) => handleInputChange('spotCharterRate', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="14000"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Annual Escalation (%)</label>
+                <input
+                  type="number"
+                  min="-50"
+                  max="50"
+                  step="0.5"
+                  value={parameters.charterEscalationPercent ?? ''}
+                  onChange={(e) => handleInputChange('charterEscalationPercent', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="0"
+                />
+              </div>
+
+              <div className="sm:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Rate Curve by Year ($/day)</label>
+                <input
+                  type="text"
+                  value={Array.isArray(parameters.charterRateSchedule)
+                    ? parameters.charterRateSchedule.join(', ')
+                    : parameters.charterRateSchedule ?? ''}
+                  onChange={(e) => handleInputChange('charterRateSchedule', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="18000, 16000, 15000"
+                />
+              </div>
+            </div>
+
+            <h4 className="text-sm font-medium text-gray-900 mt-4 mb-2">OpEx Escalation</h4>
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Annual Inflation (%)</label>
+                <input
+                  type="number"
+                  min="-20"
+                  max="50"
+                  step="0.5"
+                  value={parameters.opexEscalationPercent ?? ''}
+                  onChange={(e) => handleInputChange('opexEscalationPercent', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="0"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Step-up From Age</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="60"
+                  value={parameters.opexAgeThresholdYears ?? ''}
+                  onChange={(e) => handleInputChange('opexAgeThresholdYears', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="15"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Age Step-up (%)</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="200"
+                  value={parameters.opexAgeStepUpPercent ?? ''}
+                  onChange={(e) => handleInputChange('opexAgeStepUpPercent', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="12"
+                />
+              </div>
+            </div>
+
+            <h4 className="text-sm font-medium text-gray-900 mt-4 mb-2">Drydock / Special Survey</h4>
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Interval (years)</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="10"
+                  step="0.5"
+                  value={parameters.drydockIntervalYears ?? ''}
+                  onChange={(e) => handleInputChange('drydockIntervalYears', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="2.5"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Cost per Event ($)</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="100000"
+                  value={parameters.drydockCost ?? ''}
+                  onChange={(e) => handleInputChange('drydockCost', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="1500000"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Off-hire Days</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="120"
+                  value={parameters.drydockOffHireDays ?? ''}
+                  onChange={(e) => handleInputChange('drydockOffHireDays', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="18"
+                />
+              </div>
+            </div>
+
+            <h4 className="text-sm font-medium text-gray-900 mt-4 mb-2">Fuel & Emissions</h4>
+            <p className="text-xs text-gray-500 mb-3">
+              Optional owner-paid fuel and EU ETS costs, entered from the consumption at sea. A service
+              speed is needed to rate the CII. On a voyage charter only the carbon cost is added.
+            </p>
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Fuel Type</label>
+                <select
+                  value={parameters.fuelType || 'VLSFO'}
+                  onChange={(e) => handleInputChange('fuelType', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {fuelTypes.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              {emissionsFields.map(field => (
+                <div key={field.key}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+                  <input
+                    type="number"
+                    value={parameters[field.key] ?? ''}
+                    onChange={(e) => handleInputChange(field.key, e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder={field.placeholder}
+                  />
+                </div>
+              ))}
+            </div>
+
+            <div className="flex items-center justify-between mt-4 mb-2">
+              <h4 className="text-sm font-medium text-gray-900">Retrofits</h4>
+              <button
+                type="button"
+                onClick={addRetrofit}
+                className="text-xs font-medium text-blue-600 hover:text-blue-800"
+              >
+                + Add Retrofit
+              </button>
+            </div>
+            <p className="text-xs text-gray-500 mb-3">
+              Optional. Each retrofit is paid for and installed in its operating year and is appraised on its incremental cash flows.
+            </p>
+            {retrofits.map((item, index) => (
+              <div key={index} className="border border-gray-200 rounded-md p-3 mb-3 bg-white">
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Name</label>
+                    <input
+                      type="text"
+                      value={item.name ?? ''}
+                      onChange={(e) => updateRetrofit(index, 'name', e.target.value)}
+                      className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      placeholder="Open-loop scrubber"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Type</label>
+                    <select
+                      value={item.type || 'other'}
+                      onChange={(e) => updateRetrofit(index, 'type', e.target.value)}
+                      className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {retrofitTypes.map(type => (
+                        <option key={type.value} value={type.value}>{type.label}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {retrofitFields.map(field => (
+                    <div key={field.key}>
+                      <label className="block text-xs font-medium text-gray-700 mb-1">{field.label}</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={item[field.key] ?? ''}
+                        onChange={(e) => updateRetrofit(index, field.key, e.target.value)}
+                        className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        placeholder={field.placeholder}
+                      />
+                    </div>
+                  ))}
+
+                  <div className="flex items-end">
+                    <button
+                      type="button"
+                      onClick={() => removeRetrofit(index)}
+                      className="text-xs font-medium text-red-600 hover:text-red-800"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
           </div>
 
+          {/* Scenarios */}
+          {onScenariosUpdate && (
+            <div className="bg-gray-50 rounded-lg p-4">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-md font-medium text-gray-900">Scenarios</h3>
+                <div className="flex space-x-3">
+                  {scenarioTypes.map(type => (
+                    <button
+                      key={type.value}
+                      type="button"
+                      onClick={() => addScenario(type.value)}
+                      className="text-xs font-medium text-blue-600 hover:text-blue-800"
+                    >
+                      + {type.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <p className="text-xs text-gray-500 mb-3">
+                Optional. Each scenario lists only the inputs it changes; everything else follows the base case.
+              </p>
+              {scenarios.map((scenario, index) => (
+                <div key={index} className="border border-gray-200 rounded-md p-3 mb-3 bg-white">
+                  <div className="grid grid-cols-2 gap-3 mb-2">
+                    <div>
+                      <label className="block text-xs font-medium text-gray-700 mb-1">Name</label>
+                      <input
+                        type="text"
+                        value={scenario.name}
+                        onChange={(e) => updateScenario(index, { name: e.target.value })}
+                        className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        placeholder="Weak market"
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-xs font-medium text-gray-700 mb-1">Type</label>
+                      <select
+                        value={scenario.type}
+                        onChange={(e) => updateScenario(index, { type: e.target.value })}
+                        className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        {scenarioTypes.map(type => (
+                          <option key={type.value} value={type.value}>{type.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+
+                  {Object.entries(scenario.overrides).map(([field, value]) => (
+                    <div key={field} className="grid grid-cols-5 gap-2 mb-2 items-center">
+                      <select
+                        value={field}
+                        onChange={(e) => renameScenarioOverride(index, field, e.target.value)}
+                        className="col-span-3 px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        {scenarioFields
+                          .filter(option => option.value === field || !(option.value in scenario.overrides))
+                          .map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                          ))}
+                      </select>
+                      <input
+                        type="number"
+                        value={value ?? ''}
+                        onChange={(e) => updateScenario(index, {
+                          overrides: { ...scenario.overrides, [field]: e.target.value === '' ? null : parseFloat(e.target.value) }
+                        })}
+                        className="px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeScenarioOverride(index, field)}
+                        className="text-xs font-medium text-red-600 hover:text-red-800"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+
+                  <div className="flex justify-between">
+                    <button
+                      type="button"
+                      onClick={() => addScenarioOverride(index)}
+                      className="text-xs font-medium text-blue-600 hover:text-blue-800"
+                    >
+                      + Override
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => removeScenario(index)}
+                      className="text-xs font-medium text-red-600 hover:text-red-800"
+                    >
+                      Remove Scenario
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Advanced Parameters */}
           {showAdvanced && (
             <div className="bg-gray-50 rounded-lg p-4">
@@ -359,7 +1306,175 @@ const ParametersPanel = ({ parameters, onParametersUpdate, onRunAnalysis, isCalc
                     value={parameters.scrapValue || ''}
                     onChange={(e) => handleInputChange('scrapValue', e.target.value)}
                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    placeholder="5000000"
+                    placeholder="LDT × scrap price"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Lightweight (LDT)</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={parameters.ldt ?? ''}
+                    onChange={(e) => handleInputChange('ldt', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="Estimated from DWT"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Scrap Price ($/LDT)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="5000"
+                    value={parameters.scrapPricePerLdt ?? ''}
+                    onChange={(e) => handleInputChange('scrapPricePerLdt', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="450"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Analysis Horizon (years)</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="50"
+                    value={parameters.analysisHorizonYears ?? ''}
+                    onChange={(e) => handleInputChange('analysisHorizonYears', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="Loan term"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Scrap Age (years)</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="60"
+                    value={parameters.scrapAgeYears ?? ''}
+                    onChange={(e) => handleInputChange('scrapAgeYears', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="25"
+                  />
+                </div>
+
+                <div className="sm:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Exit</label>
+                  <select
+                    value={exitMode}
+                    onChange={(e) => handleInputChange('exitMode', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {exitModes.map(mode => (
+                      <option key={mode.value} value={mode.value}>{mode.label}</option>
+                    ))}
+                  </select>
+                </div>
+
+                {exitMode === 'resale' && (
+                  <>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Exit Year</label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="50"
+                        value={parameters.exitYear ?? ''}
+                        onChange={(e) => handleInputChange('exitYear', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        placeholder="6"
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Exit Value ($)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={parameters.exitValue ?? ''}
+                        onChange={(e) => handleInputChange('exitValue', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        placeholder="From secondhand curve"
+                      />
+                    </div>
+                  </>
+                )}
+              </div>
+
+              <h4 className="text-sm font-medium text-gray-900 mt-4 mb-2">Discount Rate</h4>
+              <p className="text-xs text-gray-500 mb-3">
+                Set a discount rate directly, or enter cost of equity to build a WACC. Defaults to 10%.
+              </p>
+              <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Discount Rate (%)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="50"
+                    step="0.25"
+                    value={parameters.discountRatePercent ?? ''}
+                    onChange={(e) => handleInputChange('discountRatePercent', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="8"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Cost of Equity (%)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="50"
+                    step="0.25"
+                    value={parameters.costOfEquityPercent ?? ''}
+                    onChange={(e) => handleInputChange('costOfEquityPercent', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="15"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Cost of Debt (%)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="50"
+                    step="0.25"
+                    value={parameters.costOfDebtPercent ?? ''}
+                    onChange={(e) => handleInputChange('costOfDebtPercent', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="Loan interest rate"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Tax Rate (%)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={parameters.taxRatePercent ?? ''}
+                    onChange={(e) => handleInputChange('taxRatePercent', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="0"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Target Equity Return (%)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="50"
+                    step="0.5"
+                    value={parameters.targetEquityReturnPercent ?? ''}
+                    onChange={(e) => handleInputChange('targetEquityReturnPercent', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="15"
                   />
                 </div>
               </div>
@@ -1,6 +1,11 @@
 import React, { useState } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar, PieChart, Pie, Cell } from 'recharts';
 import ChatbotPanel from './ChatbotPanel';
+import SensitivityPanel from './SensitivityPanel';
+import DataTablePanel from './DataTablePanel';
+import MonteCarloPanel from './MonteCarloPanel';
+import ScenariosPanel from './ScenariosPanel';
+import BacktestPanel from './BacktestPanel';
 
 /**
  * ResultsDashboard
@@ -9,6 +14,7 @@ import ChatbotPanel from './ChatbotPanel';
 const ResultsDashboard = ({ results, parameters, onBackToAnalysis, conversationHistory, onChatMessage }) => {
   const [showChat, setShowChat] = useState(false);
   const [selectedMetric, setSelectedMetric] = useState('overview');
+  const [debtView, setDebtView] = useState('annual');
 
   if (!results) {
     return (
@@ -28,6 +34,39 @@ const ResultsDashboard = ({ results, parameters, onBackToAnalysis, conversationH
 
   const { npv, irr, paybackPeriod, totalRevenue, totalCosts, netCashFlow, breakdownData, projectionData, summaryData } = results;
 
+  // Annual cash flows from the model; projectionData takes precedence when supplied
+  const cashFlowData = projectionData || results.cashFlows || [];
+  const operatingYears = (results.cashFlows || []).slice(1);
+  const amortizationSchedule = results.amortizationSchedule || [];
+  const paymentSchedule = results.paymentSchedule || [];
+  const debtTranches = results.debtTranches || [];
+
+  // Voyage charters earn the TCE derived from the voyage terms
+  const dailyRate = results.voyage ? results.voyage.tce : parameters.dailyCharterRate;
+  const hasTrancheStructure = Boolean(parameters.debtTranches?.length) && debtTranches.length > 0;
+  const totalDebt = hasTrancheStructure
+    ? debtTranches.reduce((sum, tranche) => sum + tranche.amount, 0)
+    : parameters.price * (100 - parameters.downPaymentPercent) / 100;
+  const isFloatingRate = amortizationSchedule[0]?.interestRate !== undefined &&
+    (parameters.marginPercent != null || parameters.referenceRatePercent != null ||
+      Boolean(parameters.referenceRateCurve) || hasTrancheStructure);
+
+  const cashFlowColumns = [
+    { key: 'charterRate', label: 'Rate / Day' },
+    { key: 'revenue', label: 'Revenue' },
+    { key: 'opexRate', label: 'OpEx / Day' },
+    { key: 'opex', label: 'OpEx' },
+    ...(results.emissions ? [{ key: 'fuelCost', label: 'Fuel' }, { key: 'carbonCost', label: 'EU ETS' }] : []),
+    { key: 'ebitda', label: 'EBITDA' },
+    { key: 'capex', label: 'Capex' },
+    ...(results.retrofitAppraisal ? [{ key: 'retrofitCapex', label: 'Retrofit Capex' }, { key: 'retrofitSavings', label: 'Retrofit Savings' }] : []),
+    { key: 'scheduledDebtService', label: 'Debt Service' },
+    { key: 'balloonPayment', label: 'Balloon' },
+    { key: 'terminalValue', label: 'Terminal Value' },
+    { key: 'projectCashFlow', label: 'Project Cash Flow' },
+    { key: 'netCashFlow', label: 'Equity Cash Flow' }
+  ];
+
   // Format currency
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
@@ -43,13 +82,39 @@ const ResultsDashboard = ({ results, parameters, onBackToAnalysis, conversationH
     return `${(value * 100).toFixed(2)}%`;
   };
 
+  const covenantTests = results.keyRatios?.covenantTests || [];
+  const covenantBreachYears = results.keyRatios?.covenantBreachYears || [];
+  const { breakevenRates } = results;
+  const emissionsByYear = results.emissions?.byYear || [];
+  const ciiAlertYears = results.emissions?.ciiAlertYears || [];
+  const { retrofitAppraisal } = results;
+  const retrofitTypeLabels = {
+    scrubber: 'Scrubber', ballastWaterTreatment: 'Ballast Water Treatment', energySaving: 'Energy-saving Device', other: 'Other'
+  };
+  const formatPayback = (payback) => payback === null ? 'Not reached' : `${payback.toFixed(1)} years`;
+  const ratingStyles = { A: 'text-green-700', B: 'text-green-600', C: 'text-gray-700', D: 'text-orange-600', E: 'text-red-600' };
+  const breakevenTiers = breakevenRates ? [
+    { key: 'opexBreakeven', label: 'OPEX' },
+    { key: 'cashBreakeven', label: 'OPEX + drydock + debt service' },
+    { key: 'targetReturnBreakeven', label: `Cash breakeven + ${formatPercent(breakevenRates.targetEquityReturn)} equity return` }
+  ] : [];
+  const formatBreakeven = (rate) => rate === null ? 'N/A' : formatCurrency(rate);
+  const trancheRankingLabels = { senior: 'Senior', junior: 'Junior', sellerCredit: "Seller's Credit" };
+
   // Colors for charts
   const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8'];
 
+  // The model returns a null IRR when it has no unique root
+  const formatIrr = (value) => value === null ? 'Not meaningful' : formatPercent(value);
+
+  // Headline NPV and IRR are equity (levered) returns; older analyses have no project returns
+  const hasProjectReturns = results.projectNpv !== undefined;
+
   const keyMetrics = [
     {
-      label: 'Net Present Value',
+      label: hasProjectReturns ? 'Equity NPV' : 'Net Present Value',
       value: formatCurrency(npv),
+      detail: hasProjectReturns ? `Project NPV ${formatCurrency(results.projectNpv)}` : null,
       trend: npv > 0 ? 'positive' : 'negative',
       icon: (
         <svg className="h-6 w-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -58,9 +123,10 @@ const ResultsDashboard = ({ results, parameters, onBackToAnalysis, conversationH
       )
     },
     {
-      label: 'Internal Rate of Return',
-      value: formatPercent(irr),
-      trend: irr > 0.1 ? 'positive' : irr > 0.05 ? 'neutral' : 'negative',
+      label: hasProjectReturns ? 'Equity IRR' : 'Internal Rate of Return',
+      value: formatIrr(irr),
+      detail: hasProjectReturns ? `Project IRR ${formatIrr(results.projectIrr)}` : null,
+      trend: irr === null ? 'neutral' : irr > 0.1 ? 'positive' : irr > 0.05 ? 'neutral' : 'negative',
       icon: (
         <svg className="h-6 w-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6" />
@@ -78,7 +144,7 @@ const ResultsDashboard = ({ results, parameters, onBackToAnalysis, conversationH
       )
     },
     {
-      label: 'Total Revenue (20Y)',
+      label: `Total Revenue (${results.analysisHorizon || 20}Y)`,
       value: formatCurrency(totalRevenue),
       trend: 'neutral',
       icon: (
@@ -159,6 +225,9 @@ const ResultsDashboard = ({ results, parameters, onBackToAnalysis, conversationH
                       <p className={`text-2xl font-semibold ${getTrendColor(metric.trend)}`}>
                         {metric.value}
                       </p>
+                      {metric.detail && (
+                        <p className="text-xs text-gray-500">{metric.detail}</p>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -174,8 +243,13 @@ const ResultsDashboard = ({ results, parameters, onBackToAnalysis, conversationH
                 {[
                   { id: 'overview', name: 'Overview', icon: '📊' },
                   { id: 'cashflow', name: 'Cash Flow', icon: '💰' },
+                  { id: 'debt', name: 'Debt', icon: '🏦' },
                   { id: 'breakdown', name: 'Cost Breakdown', icon: '📈' },
-                  { id: 'sensitivity', name: 'Sensitivity', icon: '🎯' }
+                  { id: 'scenarios', name: 'Scenarios', icon: '🗂️' },
+                  { id: 'sensitivity', name: 'Sensitivity', icon: '🎯' },
+                  { id: 'dataTables', name: 'Data Tables', icon: '🧮' },
+                  { id: 'monteCarlo', name: 'Monte Carlo', icon: '🎲' },
+                  { id: 'backtest', name: 'Backtest', icon: '🕰️' }
                 ].map((tab) => (
                   <button
                     key={tab.id}
@@ -194,6 +268,28 @@ const ResultsDashboard = ({ results, parameters, onBackToAnalysis, conversationH
 
             {selectedMetric === 'overview' && (
               <div className="space-y-6">
+                {covenantBreachYears.length > 0 && (
+                  <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                    <p className="text-sm font-medium text-red-800">
+                      Covenant breach in year {covenantBreachYears.join(', ')}
+                    </p>
+                    <p className="text-sm text-red-700">
+                      Lenders could require prepayment. See the Debt tab for the annual covenant tests.
+                    </p>
+                  </div>
+                )}
+
+                {ciiAlertYears.length > 0 && (
+                  <div className="bg-orange-50 border border-orange-200 rounded-lg p-4">
+                    <p className="text-sm font-medium text-orange-800">
+                      CII rated D or E in year {ciiAlertYears.join(', ')}
+                    </p>
+                    <p className="text-sm text-orange-700">
+                      Three consecutive D years or one E year require a corrective action plan. See the Cash Flow tab for the CII trajectory.
+                    </p>
+                  </div>
+                )}
+
                 {/* Investment Summary */}
                 <div className="bg-white rounded-lg shadow p-6">
                   <h3 className="text-lg font-medium text-gray-900 mb-4">Investment Summary</h3>
@@ -206,33 +302,63 @@ const ResultsDashboard = ({ results, parameters, onBackToAnalysis, conversationH
                           <dd className="text-sm font-medium">{formatCurrency(parameters.price)}</dd>
                         </div>
                         <div className="flex justify-between">
-                          <dt className="text-sm text-gray-600">Down Payment ({parameters.downPaymentPercent}%)</dt>
+                          <dt className="text-sm text-gray-600">
+                            {hasTrancheStructure ? 'Equity' : `Down Payment (${parameters.downPaymentPercent}%)`}
+                          </dt>
                           <dd className="text-sm font-medium">
-                            {formatCurrency(parameters.price * parameters.downPaymentPercent / 100)}
+                            {formatCurrency(parameters.price - totalDebt)}
                           </dd>
                         </div>
                         <div className="flex justify-between">
-                          <dt className="text-sm text-gray-600">Loan Amount</dt>
+                          <dt className="text-sm text-gray-600">{hasTrancheStructure ? 'Total Debt' : 'Loan Amount'}</dt>
                           <dd className="text-sm font-medium">
-                            {formatCurrency(parameters.price * (100 - parameters.downPaymentPercent) / 100)}
+                            {formatCurrency(totalDebt)}
                           </dd>
                         </div>
                         <div className="flex justify-between">
-                          <dt className="text-sm text-gray-600">Loan Term</dt>
-                          <dd className="text-sm font-medium">{parameters.loanTermYears} years</dd>
+                          <dt className="text-sm text-gray-600">{hasTrancheStructure ? 'Debt Tranches' : 'Loan Term'}</dt>
+                          <dd className="text-sm font-medium">
+                            {hasTrancheStructure ? debtTranches.length : `${parameters.loanTermYears} years`}
+                          </dd>
                         </div>
+                        {results.analysisHorizon !== undefined && (
+                          <div className="flex justify-between">
+                            <dt className="text-sm text-gray-600">Analysis Horizon</dt>
+                            <dd className="text-sm font-medium">{results.analysisHorizon} years</dd>
+                          </div>
+                        )}
                         <div className="flex justify-between">
-                          <dt className="text-sm text-gray-600">Interest Rate</dt>
-                          <dd className="text-sm font-medium">{parameters.interestRatePercent}%</dd>
+                          <dt className="text-sm text-gray-600">
+                            {isFloatingRate
+                              ? `Interest Rate (Year 1 ${hasTrancheStructure ? 'Blended' : 'All-in'})`
+                              : 'Interest Rate'}
+                          </dt>
+                          <dd className="text-sm font-medium">
+                            {isFloatingRate ? formatPercent(amortizationSchedule[0].interestRate) : `${parameters.interestRatePercent}%`}
+                          </dd>
                         </div>
+                        {results.discountRate !== undefined && (
+                          <div className="flex justify-between">
+                            <dt className="text-sm text-gray-600">
+                              Discount Rate{results.discountRateSource === 'wacc' ? ' (WACC)' : ''}
+                            </dt>
+                            <dd className="text-sm font-medium">{formatPercent(results.discountRate)}</dd>
+                          </div>
+                        )}
+                        {results.equityDiscountRate !== undefined && results.equityDiscountRate !== results.discountRate && (
+                          <div className="flex justify-between">
+                            <dt className="text-sm text-gray-600">Equity Discount Rate (Cost of Equity)</dt>
+                            <dd className="text-sm font-medium">{formatPercent(results.equityDiscountRate)}</dd>
+                          </div>
+                        )}
                       </dl>
                     </div>
                     <div>
                       <h4 className="font-medium text-gray-900 mb-3">Operational Assumptions</h4>
                       <dl className="space-y-2">
                         <div className="flex justify-between">
-                          <dt className="text-sm text-gray-600">Daily Charter Rate</dt>
-                          <dd className="text-sm font-medium">{formatCurrency(parameters.dailyCharterRate)}</dd>
+                          <dt className="text-sm text-gray-600">{results.voyage ? 'TCE (Voyage Charter)' : 'Daily Charter Rate'}</dt>
+                          <dd className="text-sm font-medium">{formatCurrency(dailyRate)}</dd>
                         </div>
                         <div className="flex justify-between">
                           <dt className="text-sm text-gray-600">Daily OpEx</dt>
@@ -245,7 +371,7 @@ const ResultsDashboard = ({ results, parameters, onBackToAnalysis, conversationH
                         <div className="flex justify-between">
                           <dt className="text-sm text-gray-600">Annual Revenue</dt>
                           <dd className="text-sm font-medium">
-                            {formatCurrency(parameters.dailyCharterRate * 365 * parameters.utilizationPercent / 100)}
+                            {formatCurrency(dailyRate * 365 * parameters.utilizationPercent / 100)}
                           </dd>
                         </div>
                         <div className="flex justify-between">
@@ -257,8 +383,147 @@ const ResultsDashboard = ({ results, parameters, onBackToAnalysis, conversationH
                       </dl>
                     </div>
                   </div>
+                  {results.summary?.voyageEconomics && (
+                    <p className="text-sm text-gray-600 mt-4">
+                      <span className="font-medium text-gray-900">Voyage: </span>
+                      {results.summary.voyageEconomics}
+                    </p>
+                  )}
+                  {results.summary?.emissions && (
+                    <p className="text-sm text-gray-600 mt-4">
+                      <span className="font-medium text-gray-900">Fuel and emissions: </span>
+                      {results.summary.emissions}
+                    </p>
+                  )}
+                  {results.summary?.retrofits && (
+                    <p className="text-sm text-gray-600 mt-4">
+                      <span className="font-medium text-gray-900">Retrofits: </span>
+                      {results.summary.retrofits}
+                    </p>
+                  )}
+                  {results.summary?.terminalValue && (
+                    <p className="text-sm text-gray-600 mt-4">
+                      <span className="font-medium text-gray-900">Terminal value: </span>
+                      {results.summary.terminalValue}
+                    </p>
+                  )}
                 </div>
 
+                {breakevenRates && (
+                  <div className="bg-white rounded-lg shadow p-6">
+                    <h3 className="text-lg font-medium text-gray-900 mb-1">Breakeven Charter Rates</h3>
+                    <p className="text-sm text-gray-600 mb-4">
+                      Average daily rate needed against the assumed {formatCurrency(breakevenRates.charterRate)}/day
+                    </p>
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full text-sm">
+                        <thead>
+                          <tr className="border-b border-gray-200 text-gray-600">
+                            <th className="py-2 pr-4 text-left font-medium">Covers</th>
+                            <th className="py-2 pr-4 text-right font-medium">Average</th>
+                            {breakevenRates.byYear.map(row => (
+                              <th key={row.year} className="py-2 pr-4 text-right font-medium">Y{row.year}</th>
+                            ))}
+                            <th className="py-2 pr-4 text-right font-medium">Headroom</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {breakevenTiers.map(tier => {
+                            const headroom = breakevenRates.headroom[tier.key];
+                            return (
+                              <tr key={tier.key} className="border-b border-gray-100">
+                                <td className="py-2 pr-4 text-gray-900">{tier.label}</td>
+                                <td className="py-2 pr-4 text-right font-medium text-gray-900">
+                                  {formatBreakeven(breakevenRates.average[tier.key])}
+                                </td>
+                                {breakevenRates.byYear.map(row => (
+                                  <td key={row.year} className="py-2 pr-4 text-right text-gray-600">
+                                    {formatBreakeven(row[tier.key])}
+                                  </td>
+                                ))}
+                                <td className={`py-2 pr-4 text-right font-medium ${
+                                  headroom === null ? 'text-gray-500' : headroom >= 0 ? 'text-green-600' : 'text-red-600'
+                                }`}>
+                                  {headroom === null ? 'N/A' : `${(headroom * 100).toFixed(1)}%`}
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                )}
+
+                {retrofitAppraisal && (
+                  <div className="bg-white rounded-lg shadow p-6">
+                    <h3 className="text-lg font-medium text-gray-900 mb-1">Retrofit Appraisal</h3>
+                    <p className="text-sm text-gray-600 mb-4">
+                      Incremental equity cash flows against the deal without retrofits. Payback counts from the installation year.
+                    </p>
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full text-sm">
+                        <thead>
+                          <tr className="border-b border-gray-200 text-gray-600">
+                            <th className="py-2 pr-4 text-left font-medium">Retrofit</th>
+                            <th className="py-2 pr-4 text-right font-medium">Year</th>
+                            <th className="py-2 pr-4 text-right font-medium">Capex</th>
+                            <th className="py-2 pr-4 text-right font-medium">Incremental NPV</th>
+                            <th className="py-2 pr-4 text-right font-medium">Incremental IRR</th>
+                            <th className="py-2 pr-4 text-right font-medium">Payback</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {retrofitAppraisal.items.map(item => (
+                            <tr key={item.name} className="border-b border-gray-100">
+                              <td className="py-2 pr-4">
+                                <div className="font-medium text-gray-900">{item.name}</div>
+                                <div className="text-xs text-gray-500">{retrofitTypeLabels[item.type]}</div>
+                              </td>
+                              <td className="py-2 pr-4 text-right">{item.installationYear}</td>
+                              <td className="py-2 pr-4 text-right">{formatCurrency(item.capex)}</td>
+                              <td className={`py-2 pr-4 text-right ${item.npv < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                                {formatCurrency(item.npv)}
+                              </td>
+                              <td className="py-2 pr-4 text-right">{formatIrr(item.irr)}</td>
+                              <td className="py-2 pr-4 text-right">{formatPayback(item.paybackPeriod)}</td>
+                            </tr>
+                          ))}
+                          {retrofitAppraisal.items.length > 1 && (
+                            <tr className="font-medium">
+                              <td className="py-2 pr-4 text-gray-900">All retrofits</td>
+                              <td className="py-2 pr-4" />
+                              <td className="py-2 pr-4 text-right">
+                                {formatCurrency(retrofitAppraisal.items.reduce((sum, item) => sum + item.capex, 0))}
+                              </td>
+                              <td className={`py-2 pr-4 text-right ${retrofitAppraisal.combined.npv < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                                {formatCurrency(retrofitAppraisal.combined.npv)}
+                              </td>
+                              <td className="py-2 pr-4 text-right">{formatIrr(retrofitAppraisal.combined.irr)}</td>
+                              <td className="py-2 pr-4 text-right">{formatPayback(retrofitAppraisal.combined.paybackPeriod)}</td>
+                            </tr>
+                          )}
+                        </tbody>
+                      </table>
+                    </div>
+                    <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 mt-4">
+                      <div className="p-3 bg-gray-50 rounded">
+                        <div className="text-sm text-gray-600">Deal Without Retrofits</div>
+                        <div className="text-sm text-gray-900">
+                          NPV {formatCurrency(retrofitAppraisal.withoutRetrofits.npv)}, IRR {formatIrr(retrofitAppraisal.withoutRetrofits.irr)},
+                          payback {formatPayback(retrofitAppraisal.withoutRetrofits.paybackPeriod)}
+                        </div>
+                      </div>
+                      <div className="p-3 bg-gray-50 rounded">
+                        <div className="text-sm text-gray-600">Deal With Retrofits</div>
+                        <div className="text-sm text-gray-900">
+                          NPV {formatCurrency(npv)}, IRR {formatIrr(irr)}, payback {formatPayback(paybackPeriod)}
+                        </div>
+                      </div>
+                    </div>
+                  </div>
+                )}
+
                 {/* Investment Recommendation */}
                 <div className="bg-white rounded-lg shadow p-6">
                   <h3 className="text-lg font-medium text-gray-900 mb-4">Investment Recommendation</h3>
@@ -281,7 +546,7 @@ const ResultsDashboard = ({ results, parameters, onBackToAnalysis, conversationH
                         </h3>
                         <div className={`mt-2 text-sm ${getTrendColor(npv > 0 ? 'positive' : 'negative')}`}>
                           <p>
-                            The NPV of {formatCurrency(npv)} and IRR of {formatPercent(irr)} 
+                            The NPV of {formatCurrency(npv)} and IRR of {formatIrr(irr)} 
                             {npv > 0 ? ' indicate this is a financially attractive investment' : ' suggest this investment may not generate sufficient returns'}.
                             {paybackPeriod && ` The payback period is ${paybackPeriod.toFixed(1)} years.`}
                           </p>
@@ -293,37 +558,337 @@ const ResultsDashboard = ({ results, parameters, onBackToAnalysis, conversationH
               </div>
             )}
 
-            {selectedMetric === 'cashflow' && projectionData && (
+            {selectedMetric === 'cashflow' && cashFlowData.length > 0 && (
+              <div className="space-y-6">
+                <div className="bg-white rounded-lg shadow p-6">
+                  <h3 className="text-lg font-medium text-gray-900 mb-4">{results.analysisHorizon || 20}-Year Cash Flow Projection</h3>
+                  <div className="h-96">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={cashFlowData}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="year" />
+                        <YAxis tickFormatter={(value) => formatCurrency(value)} />
+                        <Tooltip 
+                          formatter={(value) => [formatCurrency(value), '']}
+                          labelFormatter={(label) => `Year ${label}`}
+                        />
+                        <Legend />
+                        <Line 
+                          type="monotone" 
+                          dataKey="netCashFlow" 
+                          stroke="#2563EB" 
+                          strokeWidth={3}
+                          name="Net Cash Flow"
+                        />
+                        <Line 
+                          type="monotone" 
+                          dataKey="cumulativeCashFlow" 
+                          stroke="#059669" 
+                          strokeWidth={2}
+                          name="Cumulative Cash Flow"
+                        />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                </div>
+
+                {operatingYears.length > 0 && (
+                  <div className="bg-white rounded-lg shadow p-6">
+                    <h3 className="text-lg font-medium text-gray-900 mb-1">Revenue Profile</h3>
+                    {results.summary?.operatingAssumptions?.charterProfile && (
+                      <p className="text-sm text-gray-600 mb-4">{results.summary.operatingAssumptions.charterProfile}</p>
+                    )}
+                    <div className="h-64">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <BarChart data={operatingYears}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="year" />
+                          <YAxis tickFormatter={(value) => formatCurrency(value)} />
+                          <Tooltip 
+                            formatter={(value, name) => [formatCurrency(value), name]}
+                            labelFormatter={(label) => `Year ${label}`}
+                          />
+                          <Legend />
+                          <Bar dataKey="revenue" fill="#2563EB" name="Revenue" />
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </div>
+                )}
+
+                {operatingYears.length > 0 && (
+                  <div className="bg-white rounded-lg shadow p-6">
+                    <h3 className="text-lg font-medium text-gray-900 mb-4">Annual Cash Flows</h3>
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full text-sm">
+                        <thead>
+                          <tr className="border-b border-gray-200 text-gray-600">
+                            <th className="py-2 pr-4 text-left font-medium">Year</th>
+                            {cashFlowColumns.map(column => (
+                              <th key={column.key} className="py-2 pr-4 text-right font-medium">{column.label}</th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {operatingYears.map(cf => (
+                            <tr
+                              key={cf.year}
+                              className={`border-b border-gray-100 ${covenantBreachYears.includes(cf.year) ? 'bg-red-50' : ''}`}
+                            >
+                              <td className="py-2 pr-4 text-gray-900">{cf.year}</td>
+                              {cashFlowColumns.map(column => (
+                                <td key={column.key} className="py-2 pr-4 text-right text-gray-900">
+                                  {formatCurrency(cf[column.key] || 0)}
+                                </td>
+                              ))}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                )}
+
+                {emissionsByYear.length > 0 && (
+                  <div className="bg-white rounded-lg shadow p-6">
+                    <h3 className="text-lg font-medium text-gray-900 mb-1">Fuel, EU ETS and CII</h3>
+                    <p className="text-sm text-gray-600 mb-4">
+                      Approximate CII trajectory: the attained CII stays flat while the required CII tightens each year.
+                      Years rated D or E are flagged.
+                    </p>
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full text-sm">
+                        <thead>
+                          <tr className="border-b border-gray-200 text-gray-600">
+                            <th className="py-2 pr-4 text-left font-medium">Year</th>
+                            <th className="py-2 pr-4 text-right font-medium">Fuel (t)</th>
+                            <th className="py-2 pr-4 text-right font-medium">CO2 (t)</th>
+                            <th className="py-2 pr-4 text-right font-medium">Fuel Cost</th>
+                            <th className="py-2 pr-4 text-right font-medium">ETS Phase-in</th>
+                            <th className="py-2 pr-4 text-right font-medium">EU ETS Cost</th>
+                            <th className="py-2 pr-4 text-right font-medium">Attained / Required CII</th>
+                            <th className="py-2 pr-4 text-right font-medium">CII Rating</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {emissionsByYear.map(row => (
+                            <tr
+                              key={row.year}
+                              className={`border-b border-gray-100 ${ciiAlertYears.includes(row.year) ? 'bg-orange-50' : ''}`}
+                            >
+                              <td className="py-2 pr-4 text-gray-900">{row.year} ({row.calendarYear})</td>
+                              <td className="py-2 pr-4 text-right">{Math.round(row.fuelTonnes).toLocaleString()}</td>
+                              <td className="py-2 pr-4 text-right">{Math.round(row.co2Tonnes).toLocaleString()}</td>
+                              <td className="py-2 pr-4 text-right">{formatCurrency(row.fuelCost)}</td>
+                              <td className="py-2 pr-4 text-right">{(row.etsPhaseIn * 100).toFixed(0)}%</td>
+                              <td className="py-2 pr-4 text-right">{formatCurrency(row.carbonCost)}</td>
+                              <td className="py-2 pr-4 text-right">
+                                {row.attainedCii === null ? 'N/A' : `${row.attainedCii.toFixed(2)} / ${row.requiredCii.toFixed(2)}`}
+                              </td>
+                              <td className={`py-2 pr-4 text-right font-semibold ${ratingStyles[row.ciiRating] || 'text-gray-500'}`}>
+                                {row.ciiRating || 'Not rated'}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {selectedMetric === 'debt' && (
               <div className="bg-white rounded-lg shadow p-6">
-                <h3 className="text-lg font-medium text-gray-900 mb-4">20-Year Cash Flow Projection</h3>
-                <div className="h-96">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <LineChart data={projectionData}>
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="year" />
-                      <YAxis tickFormatter={(value) => formatCurrency(value)} />
-                      <Tooltip 
-                        formatter={(value) => [formatCurrency(value), '']}
-                        labelFormatter={(label) => `Year ${label}`}
-                      />
-                      <Legend />
-                      <Line 
-                        type="monotone" 
-                        dataKey="netCashFlow" 
-                        stroke="#2563EB" 
-                        strokeWidth={3}
-                        name="Net Cash Flow"
-                      />
-                      <Line 
-                        type="monotone" 
-                        dataKey="cumulativeCashFlow" 
-                        stroke="#059669" 
-                        strokeWidth={2}
-                        name="Cumulative Cash Flow"
-                      />
-                    </LineChart>
-                  </ResponsiveContainer>
+                <div className="flex items-center justify-between mb-1">
+                  <h3 className="text-lg font-medium text-gray-900">Amortization Schedule</h3>
+                  {paymentSchedule.length > 0 && (
+                    <div className="flex space-x-1">
+                      {[
+                        { id: 'annual', label: 'Annual' },
+                        { id: 'instalments', label: 'Per Instalment' }
+                      ].map(view => (
+                        <button
+                          key={view.id}
+                          onClick={() => setDebtView(view.id)}
+                          className={`px-3 py-1 text-xs font-medium rounded-md ${
+                            debtView === view.id
+                              ? 'bg-blue-100 text-blue-700'
+                              : 'text-gray-500 hover:text-gray-700'
+                          }`}
+                        >
+                          {view.label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
                 </div>
+                {results.summary?.financingTerms && (
+                  <p className="text-sm text-gray-600 mb-4">{results.summary.financingTerms}</p>
+                )}
+                {debtTranches.length > 1 && (
+                  <div className="mb-6">
+                    <div className="grid grid-cols-2 gap-4 mb-4">
+                      <div className="bg-gray-50 rounded-md p-3">
+                        <p className="text-xs text-gray-500">Senior DSCR</p>
+                        <p className="text-lg font-semibold text-gray-900">
+                          {results.keyRatios?.seniorDebtServiceCoverageRatio
+                            ? `${results.keyRatios.seniorDebtServiceCoverageRatio.toFixed(2)}x` : 'N/A'}
+                        </p>
+                      </div>
+                      <div className="bg-gray-50 rounded-md p-3">
+                        <p className="text-xs text-gray-500">Total Debt DSCR</p>
+                        <p className="text-lg font-semibold text-gray-900">
+                          {results.keyRatios?.debtServiceCoverageRatio
+                            ? `${results.keyRatios.debtServiceCoverageRatio.toFixed(2)}x` : 'N/A'}
+                        </p>
+                      </div>
+                    </div>
+                    <table className="min-w-full text-sm">
+                      <thead>
+                        <tr className="border-b border-gray-200 text-gray-600">
+                          <th className="py-2 pr-4 text-left font-medium">Tranche</th>
+                          <th className="py-2 pr-4 text-left font-medium">Ranking</th>
+                          <th className="py-2 pr-4 text-right font-medium">Amount</th>
+                          <th className="py-2 pr-4 text-right font-medium">Year 1 Debt Service</th>
+                          <th className="py-2 pr-4 text-right font-medium">Maturity</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {debtTranches.map(tranche => (
+                          <tr key={tranche.name} className="border-b border-gray-100">
+                            <td className="py-2 pr-4 text-gray-900">{tranche.name}</td>
+                            <td className="py-2 pr-4 text-gray-900">{trancheRankingLabels[tranche.ranking] || tranche.ranking}</td>
+                            <td className="py-2 pr-4 text-right text-gray-900">{formatCurrency(tranche.amount)}</td>
+                            <td className="py-2 pr-4 text-right text-gray-900">
+                              {formatCurrency(tranche.amortizationSchedule[0]?.payment || 0)}
+                            </td>
+                            <td className="py-2 pr-4 text-right text-gray-900">Year {tranche.amortizationSchedule.length}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+                {amortizationSchedule.length === 0 ? (
+                  <p className="text-sm text-gray-500">This analysis has no debt financing.</p>
+                ) : debtView === 'instalments' && paymentSchedule.length > 0 ? (
+                  <div className="overflow-x-auto max-h-96 overflow-y-auto">
+                    <table className="min-w-full text-sm">
+                      <thead>
+                        <tr className="border-b border-gray-200 text-gray-600">
+                          {debtTranches.length > 1 && <th className="py-2 pr-4 text-left font-medium">Tranche</th>}
+                          <th className="py-2 pr-4 text-left font-medium">Instalment</th>
+                          <th className="py-2 pr-4 text-left font-medium">Year</th>
+                          <th className="py-2 pr-4 text-right font-medium">Interest</th>
+                          <th className="py-2 pr-4 text-right font-medium">Principal</th>
+                          <th className="py-2 pr-4 text-right font-medium">Balloon</th>
+                          <th className="py-2 pr-4 text-right font-medium">Closing Balance</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {paymentSchedule.map(row => (
+                          <tr
+                            key={`${row.tranche}-${row.period}`}
+                            className={`border-b border-gray-100 ${row.balloon > 0 ? 'bg-yellow-50' : row.interestOnly ? 'bg-blue-50' : ''}`}
+                          >
+                            {debtTranches.length > 1 && <td className="py-2 pr-4 text-gray-900">{row.tranche}</td>}
+                            <td className="py-2 pr-4 text-gray-900">
+                              {row.period}
+                              {row.interestOnly && <span className="ml-2 text-xs text-blue-600">grace</span>}
+                            </td>
+                            <td className="py-2 pr-4 text-gray-900">{row.year}</td>
+                            <td className="py-2 pr-4 text-right text-gray-900">{formatCurrency(row.interest)}</td>
+                            <td className="py-2 pr-4 text-right text-gray-900">{formatCurrency(row.principal)}</td>
+                            <td className="py-2 pr-4 text-right text-gray-900">{formatCurrency(row.balloon || 0)}</td>
+                            <td className="py-2 pr-4 text-right text-gray-900">{formatCurrency(row.closingBalance)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full text-sm">
+                      <thead>
+                        <tr className="border-b border-gray-200 text-gray-600">
+                          <th className="py-2 pr-4 text-left font-medium">Year</th>
+                          <th className="py-2 pr-4 text-right font-medium">All-in Rate</th>
+                          <th className="py-2 pr-4 text-right font-medium">Opening Balance</th>
+                          <th className="py-2 pr-4 text-right font-medium">Interest</th>
+                          <th className="py-2 pr-4 text-right font-medium">Principal</th>
+                          <th className="py-2 pr-4 text-right font-medium">Balloon</th>
+                          <th className="py-2 pr-4 text-right font-medium">Closing Balance</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {amortizationSchedule.map(row => (
+                          <tr
+                            key={row.year}
+                            className={`border-b border-gray-100 ${
+                              covenantBreachYears.includes(row.year) ? 'bg-red-50' : row.balloon > 0 ? 'bg-yellow-50' : ''
+                            }`}
+                          >
+                            <td className="py-2 pr-4 text-gray-900">{row.year}</td>
+                            <td className="py-2 pr-4 text-right text-gray-900">
+                              {row.interestRate !== undefined ? formatPercent(row.interestRate) : '—'}
+                            </td>
+                            <td className="py-2 pr-4 text-right text-gray-900">{formatCurrency(row.startingBalance)}</td>
+                            <td className="py-2 pr-4 text-right text-gray-900">{formatCurrency(row.interest)}</td>
+                            <td className="py-2 pr-4 text-right text-gray-900">{formatCurrency(row.principal)}</td>
+                            <td className="py-2 pr-4 text-right text-gray-900">{formatCurrency(row.balloon || 0)}</td>
+                            <td className="py-2 pr-4 text-right text-gray-900">{formatCurrency(row.endingBalance)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+                {results.summary?.covenants && covenantTests.length > 0 && (
+                  <div className="mt-6">
+                    <h4 className="font-medium text-gray-900 mb-1">Covenant Tests</h4>
+                    <p className="text-sm text-gray-600 mb-3">
+                      {results.summary.covenants}
+                      {covenantBreachYears.length > 0
+                        ? ` — breached in year ${covenantBreachYears.join(', ')}`
+                        : ' — no breaches'}
+                    </p>
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full text-sm">
+                        <thead>
+                          <tr className="border-b border-gray-200 text-gray-600">
+                            <th className="py-2 pr-4 text-left font-medium">Year</th>
+                            <th className="py-2 pr-4 text-right font-medium">Vessel Value</th>
+                            <th className="py-2 pr-4 text-right font-medium">LTV</th>
+                            <th className="py-2 pr-4 text-right font-medium">DSCR</th>
+                            <th className="py-2 pr-4 text-right font-medium">Cash</th>
+                            <th className="py-2 pr-4 text-right font-medium">LTV Cure</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {covenantTests.map(test => (
+                            <tr key={test.year} className={`border-b border-gray-100 ${test.breached ? 'bg-red-50' : ''}`}>
+                              <td className="py-2 pr-4 text-gray-900">{test.year}</td>
+                              <td className="py-2 pr-4 text-right text-gray-900">{formatCurrency(test.vesselValue)}</td>
+                              <td className={`py-2 pr-4 text-right ${test.ltvBreach ? 'text-red-600 font-medium' : 'text-gray-900'}`}>
+                                {test.ltv !== null ? formatPercent(test.ltv) : '—'}
+                              </td>
+                              <td className={`py-2 pr-4 text-right ${test.dscrBreach ? 'text-red-600 font-medium' : 'text-gray-900'}`}>
+                                {test.dscr.toFixed(2)}x
+                              </td>
+                              <td className={`py-2 pr-4 text-right ${test.liquidityBreach ? 'text-red-600 font-medium' : 'text-gray-900'}`}>
+                                {formatCurrency(test.cashBalance)}
+                              </td>
+                              <td className="py-2 pr-4 text-right text-gray-900">
+                                {test.ltvCurePayment > 0 ? formatCurrency(test.ltvCurePayment) : '—'}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                )}
               </div>
             )}
 
@@ -371,62 +936,24 @@ const ResultsDashboard = ({ results, parameters, onBackToAnalysis, conversationH
               </div>
             )}
 
+            {selectedMetric === 'scenarios' && (
+              <ScenariosPanel scenarios={results.scenarios} formatCurrency={formatCurrency} />
+            )}
+
             {selectedMetric === 'sensitivity' && (
-              <div className="bg-white rounded-lg shadow p-6">
-                <h3 className="text-lg font-medium text-gray-900 mb-4">Sensitivity Analysis</h3>
-                <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
-                  <div>
-                    <h4 className="font-medium text-gray-900 mb-3">Key Risk Factors</h4>
-                    <div className="space-y-3">
-                      <div className="flex justify-between items-center p-3 bg-gray-50 rounded">
-                        <span className="text-sm font-medium">Charter Rate Volatility</span>
-                        <span className="text-sm text-red-600">High Risk</span>
-                      </div>
-                      <div className="flex justify-between items-center p-3 bg-gray-50 rounded">
-                        <span className="text-sm font-medium">Utilization Rate</span>
-                        <span className="text-sm text-yellow-600">Medium Risk</span>
-                      </div>
-                      <div className="flex justify-between items-center p-3 bg-gray-50 rounded">
-                        <span className="text-sm font-medium">Operating Expenses</span>
-                        <span className="text-sm text-yellow-600">Medium Risk</span>
-                      </div>
-                      <div className="flex justify-between items-center p-3 bg-gray-50 rounded">
-                        <span className="text-sm font-medium">Interest Rate</span>
-                        <span className="text-sm text-green-600">Low Risk</span>
-                      </div>
-                    </div>
-                  </div>
-                  <div>
-                    <h4 className="font-medium text-gray-900 mb-3">Scenario Analysis</h4>
-                    <div className="space-y-3">
-                      <div className="p-3 bg-green-50 border border-green-200 rounded">
-                        <div className="flex justify-between">
-                          <span className="text-sm font-medium text-green-900">Best Case (+20%)</span>
-                          <span className="text-sm font-semibold text-green-900">
-                            NPV: {formatCurrency(npv * 1.4)}
-                          </span>
-                        </div>
-                      </div>
-                      <div className="p-3 bg-gray-50 border border-gray-200 rounded">
-                        <div className="flex justify-between">
-                          <span className="text-sm font-medium text-gray-900">Base Case</span>
-                          <span className="text-sm font-semibold text-gray-900">
-                            NPV: {formatCurrency(npv)}
-                          </span>
-                        </div>
-                      </div>
-                      <div className="p-3 bg-red-50 border border-red-200 rounded">
-                        <div className="flex justify-between">
-                          <span className="text-sm font-medium text-red-900">Worst Case (-20%)</span>
-                          <span className="text-sm font-semibold text-red-900">
-                            NPV: {formatCurrency(npv * 0.6)}
-                          </span>
-                        </div>
-                      </div>
-                    </div>
-                  </div>
-                </div>
-              </div>
+              <SensitivityPanel parameters={parameters} formatCurrency={formatCurrency} />
+            )}
+
+            {selectedMetric === 'dataTables' && (
+              <DataTablePanel parameters={parameters} results={results} formatCurrency={formatCurrency} />
+            )}
+
+            {selectedMetric === 'monteCarlo' && (
+              <MonteCarloPanel parameters={parameters} formatCurrency={formatCurrency} />
+            )}
+
+            {selectedMetric === 'backtest' && (
+              <BacktestPanel parameters={parameters} formatCurrency={formatCurrency} />
             )}
           </div>
         </div>
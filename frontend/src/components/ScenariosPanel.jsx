@@ -0,0 +1,143 @@
+import React from 'react';
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+
+const TYPE_STYLES = {
+  base: 'bg-gray-100 text-gray-800',
+  upside: 'bg-green-100 text-green-800',
+  downside: 'bg-red-100 text-red-800',
+  custom: 'bg-blue-100 text-blue-800'
+};
+
+const LINE_COLORS = ['#374151', '#2563EB', '#059669', '#DC2626', '#D97706', '#7C3AED', '#DB2777', '#0891B2'];
+
+/**
+ * ScenariosPanel
+ * Side-by-side comparison of the base case and its named scenarios
+ */
+const ScenariosPanel = ({ scenarios, formatCurrency }) => {
+  if (!scenarios || scenarios.length <= 1) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6">
+        <h3 className="text-lg font-medium text-gray-900 mb-1">Scenarios</h3>
+        <p className="text-sm text-gray-500">
+          Add upside, downside or custom scenarios in the parameters panel and run the analysis to compare them here.
+        </p>
+      </div>
+    );
+  }
+
+  const formatPercent = (value) => value === null || value === undefined ? 'Not meaningful' : `${(value * 100).toFixed(2)}%`;
+  const formatRatio = (value) => value === null || value === undefined ? 'N/A' : `${value.toFixed(2)}x`;
+
+  const npvData = scenarios.map(scenario => ({ name: scenario.name, npv: scenario.results.npv }));
+
+  // One row per year with a cumulative cash flow column per scenario
+  const cumulativeData = scenarios[0].results.cashFlows.map((flow, i) => {
+    const row = { year: flow.year };
+    scenarios.forEach(scenario => {
+      row[scenario.name] = scenario.results.cashFlows[i]?.cumulativeCashFlow ?? null;
+    });
+    return row;
+  });
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h3 className="text-lg font-medium text-gray-900 mb-1">Scenarios</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Every scenario is the base case with its overrides applied, calculated in the same run.
+      </p>
+
+      <div className="overflow-x-auto mb-6">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200 text-gray-600">
+              <th className="py-2 pr-4 text-left font-medium">Scenario</th>
+              <th className="py-2 pr-4 text-left font-medium">Overrides</th>
+              <th className="py-2 pr-4 text-right font-medium">Equity NPV</th>
+              <th className="py-2 pr-4 text-right font-medium">Equity IRR</th>
+              <th className="py-2 pr-4 text-right font-medium">Project IRR</th>
+              <th className="py-2 pr-4 text-right font-medium">Payback</th>
+              <th className="py-2 pr-4 text-right font-medium">Equity Multiple</th>
+              <th className="py-2 pr-4 text-right font-medium">Min DSCR</th>
+              <th className="py-2 pr-4 text-right font-medium">Covenant Breaches</th>
+            </tr>
+          </thead>
+          <tbody>
+            {scenarios.map(scenario => (
+              <tr key={scenario.name} className="border-b border-gray-100">
+                <td className="py-2 pr-4">
+                  <div className="font-medium text-gray-900">{scenario.name}</div>
+                  <span className={`inline-block mt-1 px-2 py-0.5 rounded text-xs capitalize ${TYPE_STYLES[scenario.type]}`}>
+                    {scenario.type}
+                  </span>
+                </td>
+                <td className="py-2 pr-4 text-xs text-gray-600">
+                  {Object.keys(scenario.overrides).length === 0
+                    ? '—'
+                    : Object.entries(scenario.overrides).map(([field, value]) => (
+                      <div key={field}>{field}: {value}</div>
+                    ))}
+                </td>
+                <td className={`py-2 pr-4 text-right ${scenario.results.npv < 0 ? 'text-red-600' : ''}`}>
+                  {formatCurrency(scenario.results.npv)}
+                </td>
+                <td className="py-2 pr-4 text-right">{formatPercent(scenario.results.irr)}</td>
+                <td className="py-2 pr-4 text-right">{formatPercent(scenario.results.projectIrr)}</td>
+                <td className="py-2 pr-4 text-right">
+                  {scenario.results.paybackPeriod === null ? 'Not reached' : `${scenario.results.paybackPeriod.toFixed(1)} years`}
+                </td>
+                <td className="py-2 pr-4 text-right">{formatRatio(scenario.results.equityMultiple)}</td>
+                <td className="py-2 pr-4 text-right">{formatRatio(scenario.results.minimumDscr)}</td>
+                <td className="py-2 pr-4 text-right">{scenario.results.covenantBreachYears ?? 0}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+        <div>
+          <h4 className="font-medium text-gray-900 mb-3">Equity NPV by Scenario</h4>
+          <div className="h-72">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={npvData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="name" />
+                <YAxis tickFormatter={(value) => formatCurrency(value)} />
+                <Tooltip formatter={(value) => [formatCurrency(value), 'Equity NPV']} />
+                <Bar dataKey="npv" fill="#2563EB" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+
+        <div>
+          <h4 className="font-medium text-gray-900 mb-3">Cumulative Cash Flow</h4>
+          <div className="h-72">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={cumulativeData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="year" />
+                <YAxis tickFormatter={(value) => formatCurrency(value)} />
+                <Tooltip formatter={(value) => formatCurrency(value)} />
+                <Legend />
+                {scenarios.map((scenario, i) => (
+                  <Line
+                    key={scenario.name}
+                    type="monotone"
+                    dataKey={scenario.name}
+                    stroke={LINE_COLORS[i % LINE_COLORS.length]}
+                    strokeWidth={i === 0 ? 3 : 2}
+                    dot={false}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScenariosPanel;
@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { auth } from '../config/firebase';
+
+// Drivers given in percent; the rest are currency amounts
+const PERCENT_DRIVERS = ['utilization', 'interestRate'];
+
+/**
+ * SensitivityPanel
+ * Tornado chart of NPV and IRR sensitivity, run server-side through the financial model
+ */
+const SensitivityPanel = ({ parameters, formatCurrency }) => {
+  const [stepsInput, setStepsInput] = useState('10, 20');
+  const [sensitivity, setSensitivity] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [steps, setSteps] = useState([10, 20]);
+
+  // A new steps array re-runs the analysis, even when the steps are unchanged
+  const applySteps = () => {
+    const parsedSteps = stepsInput.split(',').map(step => parseFloat(step.trim())).filter(step => !isNaN(step));
+    if (parsedSteps.length === 0) {
+      setError('Enter at least one step, e.g. 10, 20');
+      return;
+    }
+    setSteps(parsedSteps);
+  };
+
+  // A response that arrives after newer inputs have started another run is ignored
+  useEffect(() => {
+    let ignore = false;
+
+    const runSensitivity = async () => {
+      if (!auth.currentUser) return;
+
+      try {
+        setIsLoading(true);
+        setError(null);
+
+        const idToken = await auth.currentUser.getIdToken();
+        const response = await fetch(`${process.env.REACT_APP_API_URL || '/api'}/sensitivity`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${idToken}`,
+          },
+          body: JSON.stringify({ parameters, steps }),
+        });
+
+        if (!response.ok) {
+          const errorData = await response.json();
+          throw new Error(errorData.details || 'Sensitivity analysis failed');
+        }
+
+        const data = await response.json();
+        if (!ignore) {
+          setSensitivity(data.sensitivity);
+        }
+      } catch (error) {
+        console.error('Sensitivity error:', error);
+        if (!ignore) {
+          setError(error.message);
+        }
+      } finally {
+        if (!ignore) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    runSensitivity();
+    return () => {
+      ignore = true;
+    };
+  }, [parameters, steps]);
+
+  const formatDelta = (value) => `${value >= 0 ? '+' : ''}${formatCurrency(value)}`;
+  const formatIrrDelta = (value) => value === null ? 'N/A' : `${value >= 0 ? '+' : ''}${(value * 100).toFixed(2)} pp`;
+  const formatBaseValue = (driver) => PERCENT_DRIVERS.includes(driver.driver)
+    ? `${driver.baseValue.toFixed(2)}%`
+    : formatCurrency(driver.baseValue);
+
+  const maxStep = sensitivity ? sensitivity.steps[sensitivity.steps.length - 1] : null;
+  const tornadoData = sensitivity ? sensitivity.drivers.map(driver => ({
+    label: driver.label,
+    downside: driver.low.npvDelta,
+    upside: driver.high.npvDelta
+  })) : [];
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex flex-wrap items-end justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Sensitivity Analysis</h3>
+          <p className="text-sm text-gray-500">
+            Each driver is flexed on its own; bars show the change in equity NPV, ranked by impact.
+          </p>
+        </div>
+        <div className="flex items-end gap-2">
+          <label className="text-sm text-gray-700">
+            <span className="block mb-1">Steps (±%)</span>
+            <input
+              type="text"
+              value={stepsInput}
+              onChange={(e) => setStepsInput(e.target.value)}
+              className="w-32 px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+          </label>
+          <button
+            onClick={applySteps}
+            disabled={isLoading}
+            className="px-4 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isLoading ? 'Running...' : 'Run'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-800">{error}</div>
+      )}
+
+      {sensitivity && (
+        <>
+          <div className="h-80 mb-6">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={tornadoData} layout="vertical" margin={{ left: 40 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" tickFormatter={(value) => formatCurrency(value)} />
+                <YAxis type="category" dataKey="label" width={110} />
+                <Tooltip formatter={(value, name) => [formatDelta(value), name]} />
+                <Legend />
+                <ReferenceLine x={0} stroke="#374151" />
+                <Bar dataKey="downside" name={`-${maxStep}%`} fill="#DC2626" />
+                <Bar dataKey="upside" name={`+${maxStep}%`} fill="#059669" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200 text-gray-600">
+                  <th className="py-2 pr-4 text-left font-medium">Driver</th>
+                  <th className="py-2 pr-4 text-right font-medium">Base</th>
+                  {sensitivity.drivers[0]?.cases.map(c => (
+                    <th key={c.step} className="py-2 pr-4 text-right font-medium">{c.step > 0 ? '+' : ''}{c.step}%</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {sensitivity.drivers.map(driver => (
+                  <tr key={driver.driver} className="border-b border-gray-100">
+                    <td className="py-2 pr-4 font-medium text-gray-900">{driver.label}</td>
+                    <td className="py-2 pr-4 text-right">{formatBaseValue(driver)}</td>
+                    {driver.cases.map(c => (
+                      <td key={c.step} className="py-2 pr-4 text-right">
+                        <div className={c.npvDelta >= 0 ? 'text-green-700' : 'text-red-700'}>{formatDelta(c.npvDelta)}</div>
+                        <div className="text-xs text-gray-500">IRR {formatIrrDelta(c.irrDelta)}</div>
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SensitivityPanel;